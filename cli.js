@@ -0,0 +1,410 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface, for one-off visits and checks from other cron systems
+ * and CI jobs without the long-running server. Run without arguments for usage.
+ */
+const fs = require('fs');
+const visitor = require('./index');
+const runs = require('./lib/runs');
+const profiles = require('./lib/profiles');
+const accounts = require('./lib/accounts');
+const sessionState = require('./lib/session');
+const { loadCookies } = require('./lib/cookies');
+const { normalizeProfileUrl, parseProfileImport } = require('./lib/profileUrls');
+const { loadConfig, maskSettings } = require('./lib/config');
+const { failedOnLogin } = require('./lib/health');
+const { startFixtureServer } = require('./lib/drivers/fixtureServer');
+const shutdown = require('./lib/shutdown');
+const webhooks = require('./lib/webhooks');
+
+// Exit codes, so callers can tell a broken session from flaky profiles
+const EXIT = {
+    OK: 0,
+    FAILED: 1,
+    PARTIAL: 2,
+    AUTH: 3,
+    USAGE: 64,
+    CONFIG: 78
+};
+
+const USAGE = `Usage: linkedin-visitor <command> [options]
+
+Commands:
+  visit <url>                       Visit a single profile
+  run [--stop-on-error]             Visit every enabled profile once and exit
+      [--all-accounts]              ... of every enabled account, one after another
+  check-session                     Check that the session cookies are logged in
+  profiles list [--json]            List the profile registry
+  profiles import <file>            Add the profile URLs of a CSV or text file
+      [--dry-run] [--json]          ... only reporting what would be added
+  runs show <id> [--json]           Show a run with its visits
+  accounts list [--json]            List the LinkedIn accounts
+  accounts pause <id> [reason]      Stop an account from being run
+  accounts resume <id>              Let a paused account run again
+  serve                             Start the API server and scheduler
+  fixtures [--port <port>]          Serve the LinkedIn fixture pages, for LINKEDIN_BASE_URL
+           [--slow-ms <ms>]         ... delaying the slow profile by this much (default 5000)
+
+visit, run, check-session and the profiles commands take --account <id> to act for one
+account, otherwise they use the default account (profiles list shows every account).
+
+Exit codes: 0 success, 1 failed, 2 some profiles failed, 3 login or session error,
+64 usage error, 78 invalid configuration, 130 or 143 interrupted by SIGINT or SIGTERM`;
+
+/**
+ * Create an error for a command line that cannot be understood, reported with the usage
+ */
+function usageError(message) {
+    const error = new Error(message);
+    error.usage = true;
+    return error;
+}
+
+/**
+ * Take the --account <id> option out of the arguments, returning the account id,
+ * null when the option is absent, and the remaining arguments
+ */
+function takeAccountOption(args) {
+    const index = args.indexOf('--account');
+    if (index === -1) {
+        return { accountId: null, rest: args };
+    }
+    const accountId = args[index + 1];
+    if (!accountId || accountId.startsWith('--')) {
+        throw usageError('--account needs an account id');
+    }
+    return { accountId, rest: [...args.slice(0, index), ...args.slice(index + 2)] };
+}
+
+/**
+ * Validate the configuration like the server does, exiting on fatal errors
+ */
+function requireValidConfig() {
+    const { errors } = loadConfig();
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(`❌ ${error}`));
+        console.error("❌ Invalid configuration, run 'npm run check-config' for details");
+        process.exit(EXIT.CONFIG);
+    }
+}
+
+/**
+ * Import URLS into the profile registry on first use, as the server does on start
+ */
+async function seedProfiles() {
+    await profiles.seedProfiles(visitor.loadProfileUrls);
+}
+
+function printJson(value) {
+    console.log(JSON.stringify(value, null, 2));
+}
+
+/**
+ * Run every enabled profile of an account once, returning the exit code. A run
+ * of the account that was interrupted earlier is resumed instead of starting a
+ * new one, unless INTERRUPTED_RUNS=abort.
+ */
+async function runAccount(account, { continueOnError }) {
+    if (!account.enabled) {
+        console.error(`❌ Account '${account.id}' is disabled`);
+        return EXIT.FAILED;
+    }
+    if (account.pausedAt) {
+        console.error(`⏸️ Account '${account.id}' is paused since ${account.pausedAt}: ${account.pauseReason}`);
+        return EXIT.AUTH;
+    }
+    const [resumed] = await visitor.recoverInterruptedRuns({ accountId: account.id });
+    if (resumed) {
+        console.log(`⏯️ Resuming an interrupted run of account '${account.id}'`);
+        await resumed.promise;
+        if (!resumed.result) {
+            throw new Error(resumed.error);
+        }
+    }
+    const result = resumed ? resumed.result : await visitor.runProfileVisits({
+        accountId: account.id,
+        trigger: 'cli',
+        ...(continueOnError === undefined ? {} : { continueOnError })
+    });
+    // Counts come from the run record, which includes the visits made before a resume
+    const run = await runs.getRun(result.runId);
+    console.log(`📊 Run ${run.id} for account '${account.id}' finished with status ${run.status}: `
+        + `${run.successCount} successful, ${run.failureCount} failed, ${run.skippedCount} skipped`);
+
+    if (result.status === 'success') {
+        return EXIT.OK;
+    }
+    if (failedOnLogin(run) || (await accounts.requireAccount(account.id)).pausedAt) {
+        return EXIT.AUTH;
+    }
+    return result.status === 'partial' ? EXIT.PARTIAL : EXIT.FAILED;
+}
+
+/**
+ * Add the profile URLs of an import file to an account, returning the exit code:
+ * partial when some URLs were rejected, failed when none could be accepted
+ */
+async function importProfiles(args, accountId) {
+    const [file] = args.filter(arg => !arg.startsWith('--'));
+    if (!file) {
+        throw usageError('profiles import needs a CSV or text file');
+    }
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        console.error(`❌ Failed to read ${file}: ${error.message}`);
+        return EXIT.FAILED;
+    }
+    requireValidConfig();
+    await seedProfiles();
+    await accounts.requireAccount(accountId);
+
+    const entries = parseProfileImport(text);
+    if (entries.length === 0) {
+        console.error(`❌ No profile URLs found in ${file}`);
+        return EXIT.FAILED;
+    }
+    const report = await profiles.importProfiles(entries, { accountId, dryRun: args.includes('--dry-run') });
+    if (args.includes('--json')) {
+        printJson(report);
+    } else {
+        console.log(`📥 ${report.dryRun ? 'Would import' : 'Imported'} ${report.accepted} of ${report.total} profile URLs into account '${accountId}': `
+            + `${report.normalized} normalized, ${report.duplicates} duplicates, ${report.rejected} rejected`);
+        for (const entry of report.rejectedEntries) {
+            console.error(`   line ${entry.line}: ${entry.reason}`);
+        }
+    }
+    if (report.rejected === 0) {
+        return EXIT.OK;
+    }
+    return report.accepted + report.duplicates > 0 ? EXIT.PARTIAL : EXIT.FAILED;
+}
+
+const commands = {
+    async visit(args) {
+        const { accountId, rest: [url] } = takeAccountOption(args);
+        if (!url) {
+            throw usageError('visit needs a profile URL');
+        }
+        const { error } = normalizeProfileUrl(url);
+        if (error) {
+            throw usageError(`${url} ${error}`);
+        }
+        requireValidConfig();
+        const account = await accounts.requireAccount(accountId || accounts.DEFAULT_ACCOUNT_ID);
+        if (account.pausedAt) {
+            console.error(`⏸️ Account '${account.id}' is paused since ${account.pausedAt}: ${account.pauseReason}`);
+            return EXIT.AUTH;
+        }
+        const result = await visitor.runSingleVisit(url, { accountId: account.id });
+        if (result.skipped) {
+            console.log(`⏭️ Skipped ${url} (run ${result.runId}): ${result.reason}`);
+            return EXIT.OK;
+        }
+        if (result.success) {
+            console.log(`✅ Visited ${url} (run ${result.runId})`);
+            return EXIT.OK;
+        }
+        console.error(`❌ Failed to visit ${url} (${result.category}): ${result.error}`);
+        return ['auth', 'challenge'].includes(result.category) ? EXIT.AUTH : EXIT.FAILED;
+    },
+
+    async run(args) {
+        const { accountId, rest } = takeAccountOption(args);
+        if (accountId && rest.includes('--all-accounts')) {
+            throw usageError('run takes either --account or --all-accounts');
+        }
+        requireValidConfig();
+        await seedProfiles();
+        const options = { continueOnError: rest.includes('--stop-on-error') ? false : undefined };
+
+        if (!rest.includes('--all-accounts')) {
+            return runAccount(await accounts.requireAccount(accountId || accounts.DEFAULT_ACCOUNT_ID), options);
+        }
+        // A failure of one account, even a login error, does not stop the others;
+        // the exit code is that of the worst outcome
+        let code = EXIT.OK;
+        for (const account of await accounts.listAccounts({ enabled: true })) {
+            code = Math.max(code, await runAccount(account, options));
+        }
+        return code;
+    },
+
+    async 'check-session'(args) {
+        const { accountId } = takeAccountOption(args);
+        requireValidConfig();
+        const account = await accounts.requireAccount(accountId || accounts.DEFAULT_ACCOUNT_ID);
+        let loaded;
+        try {
+            loaded = await loadCookies(account);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            return EXIT.AUTH;
+        }
+        await sessionState.trackCookies(account.id, loaded.cookies, loaded.source);
+        console.log(`🍪 Cookies from the ${loaded.source} source`);
+        for (const cookie of sessionState.describeCookies(loaded.cookies)) {
+            console.log(`   ${cookie.name}: ${!cookie.present ? 'missing' : cookie.expired ? `expired at ${cookie.expiresAt}` : `expires ${cookie.expiresAt || 'with the browser session'}`}`);
+        }
+
+        const problems = sessionState.validateCookies(loaded.cookies);
+        if (problems.length > 0) {
+            problems.forEach(problem => console.error(`❌ ${problem}`));
+            return EXIT.AUTH;
+        }
+
+        try {
+            await visitor.probeSession(loaded.cookies);
+        } catch (error) {
+            await sessionState.recordProbe(account.id, { success: false, error: error.message, source: loaded.source });
+            console.error(`❌ Login probe failed: ${error.message}`);
+            return EXIT.AUTH;
+        }
+        await sessionState.recordProbe(account.id, { success: true, source: loaded.source });
+        console.log(`✅ Session of account '${account.id}' is logged in`);
+        return EXIT.OK;
+    },
+
+    async profiles(args) {
+        const { accountId, rest: [subcommand, ...rest] } = takeAccountOption(args);
+        if (subcommand === 'import') {
+            return importProfiles(rest, accountId || accounts.DEFAULT_ACCOUNT_ID);
+        }
+        if (subcommand !== 'list') {
+            throw usageError('Unknown profiles command, expected: profiles list or import');
+        }
+        requireValidConfig();
+        await seedProfiles();
+        const list = await profiles.listProfiles({ accountId: accountId || undefined });
+        if (rest.includes('--json')) {
+            printJson(list);
+            return EXIT.OK;
+        }
+        if (list.length === 0) {
+            console.log('No profiles');
+        }
+        for (const profile of list) {
+            console.log(`${profile.id}  ${profile.accountId}  ${profile.enabled ? 'enabled ' : 'disabled'}  ${profile.url}${profile.label ? `  (${profile.label})` : ''}`
+                + `${profile.unavailable ? `  [unavailable: ${profile.unavailable.state}]` : ''}`);
+        }
+        return EXIT.OK;
+    },
+
+    async accounts([subcommand, ...args]) {
+        if (subcommand === 'pause' || subcommand === 'resume') {
+            const [id, ...reason] = args;
+            if (!id) {
+                throw usageError(`accounts ${subcommand} needs an account id`);
+            }
+            if (subcommand === 'pause') {
+                const account = await accounts.pauseAccount(id, reason.length > 0 ? reason.join(' ') : undefined);
+                console.log(`⏸️ Account '${account.id}' paused: ${account.pauseReason}`);
+            } else {
+                const account = await accounts.resumeAccount(id);
+                console.log(`▶️ Account '${account.id}' resumed`);
+            }
+            return EXIT.OK;
+        }
+        if (subcommand !== 'list') {
+            throw usageError('Unknown accounts command, expected: accounts list, pause or resume');
+        }
+        const list = await accounts.listAccounts();
+        if (args.includes('--json')) {
+            printJson(list.map(account => ({ ...account, settings: maskSettings(account.settings) })));
+            return EXIT.OK;
+        }
+        for (const account of list) {
+            const settings = Object.keys(account.settings);
+            console.log(`${account.id}  ${account.enabled ? 'enabled ' : 'disabled'}  ${account.name}${settings.length > 0 ? `  (overrides ${settings.join(', ')})` : ''}`
+                + `${account.pausedAt ? `  [paused since ${account.pausedAt}]` : ''}`);
+        }
+        return EXIT.OK;
+    },
+
+    async runs([subcommand, id, ...args]) {
+        if (subcommand !== 'show' || !id) {
+            throw usageError('Unknown runs command, expected: runs show <id>');
+        }
+        const run = await runs.getRun(id);
+        if (!run) {
+            console.error(`❌ Run not found: ${id}`);
+            return EXIT.FAILED;
+        }
+        if (args.includes('--json')) {
+            printJson(run);
+            return EXIT.OK;
+        }
+        console.log(`Run ${run.id}`);
+        console.log(`  Account:  ${run.accountId}`);
+        console.log(`  Trigger:  ${run.trigger}${run.scheduleId ? ` (schedule ${run.scheduleId})` : ''}`);
+        console.log(`  Status:   ${run.status}${run.error ? ` - ${run.error}` : ''}`);
+        console.log(`  Started:  ${run.startedAt}`);
+        console.log(`  Finished: ${run.finishedAt || '-'}${run.durationMs !== null ? ` (${Math.round(run.durationMs / 1000)}s)` : ''}`);
+        console.log(`  Visits:   ${run.successCount} successful, ${run.failureCount} failed, ${run.skippedCount} skipped of ${run.totalUrls ?? '?'}`);
+        for (const visit of run.visits) {
+            const outcome = visit.skipped ? `SKIP  ${visit.skipReason}`
+                : visit.success ? 'OK'
+                : `FAIL  ${visit.category}: ${visit.error}`;
+            console.log(`    ${visit.url}  ${outcome}`);
+        }
+        return EXIT.OK;
+    },
+
+    async serve() {
+        await visitor.main();
+        // Keep running until the process is stopped
+        return null;
+    },
+
+    async fixtures(args) {
+        const options = {};
+        for (const [flag, key] of [['--port', 'port'], ['--slow-ms', 'slowMs']]) {
+            const index = args.indexOf(flag);
+            if (index === -1) {
+                continue;
+            }
+            const value = Number(args[index + 1]);
+            if (!Number.isInteger(value) || value < 0) {
+                throw usageError(`${flag} needs a whole number`);
+            }
+            options[key] = value;
+        }
+        const { url } = await startFixtureServer({ port: options.port ?? 4010, slowMs: options.slowMs });
+        console.log(`🧪 Serving LinkedIn fixture pages at ${url}`);
+        console.log(`   Point the visitor at them with LINKEDIN_BASE_URL=${url}`);
+        // Keep running until the process is stopped
+        return null;
+    }
+};
+
+async function cli([command, ...args]) {
+    if (!command || command === 'help' || command === '--help') {
+        console.log(USAGE);
+        return command ? EXIT.OK : EXIT.USAGE;
+    }
+    if (!Object.hasOwn(commands, command)) {
+        throw usageError(`Unknown command: ${command}`);
+    }
+    // SIGTERM and SIGINT interrupt a run before its next profile, so it can be resumed
+    shutdown.installSignalHandlers();
+    return commands[command](args);
+}
+
+cli(process.argv.slice(2))
+    .then(async code => {
+        // A shutdown in progress exits by itself once it has flushed state
+        if (code !== null && !shutdown.isShuttingDown()) {
+            // Let the webhook deliveries in progress finish, retries are left to the server
+            await webhooks.stopDeliveries();
+            process.exit(code);
+        }
+    })
+    .catch(error => {
+        if (error.usage) {
+            console.error(`❌ ${error.message}\n\n${USAGE}`);
+            process.exit(EXIT.USAGE);
+        }
+        console.error(`❌ ${error.message}`);
+        process.exit(EXIT.FAILED);
+    });
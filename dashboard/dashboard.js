@@ -0,0 +1,563 @@
+/**
+ * Dashboard of the LinkedIn Profile Visitor. Everything is loaded from the API with
+ * the API key entered on the sign-in form, so the dashboard has the same access as
+ * the key: a viewer key can look around, an operator key can also change things.
+ */
+(() => {
+    'use strict';
+
+    // The dashboard is served from /dashboard/, the API from the directory above
+    const API_BASE = new URL('../', window.location.href);
+    const KEY_STORAGE = 'linkedin-visitor-api-key';
+    const REFRESH_MS = 10000;
+    const RECENT_RUNS = 20;
+    const MAX_LOGGED_EVENTS = 100;
+
+    const state = {
+        accountId: 'default',
+        accounts: [],
+        refreshTimer: null,
+        nextRun: null,
+        // Run being followed: { jobId, runId, job, events, lastEventId, stream, finished }
+        live: null,
+        openRunId: null
+    };
+
+    const $ = id => document.getElementById(id);
+
+    /**
+     * Create an element. Attributes starting with "on" are event listeners, and
+     * children are elements or text, never parsed as HTML.
+     */
+    function el(tag, attributes = {}, ...children) {
+        const element = document.createElement(tag);
+        for (const [name, value] of Object.entries(attributes)) {
+            if (name.startsWith('on')) {
+                element.addEventListener(name.slice(2).toLowerCase(), value);
+            } else if (name === 'className') {
+                element.className = value;
+            } else if (value === true) {
+                element.setAttribute(name, '');
+            } else if (value !== false && value !== null && value !== undefined) {
+                element.setAttribute(name, value);
+            }
+        }
+        for (const child of children.flat()) {
+            if (child !== null && child !== undefined && child !== false) {
+                element.append(child instanceof Node ? child : String(child));
+            }
+        }
+        return element;
+    }
+
+    function formatTime(iso) {
+        return iso ? new Date(iso).toLocaleString() : '–';
+    }
+
+    function formatDuration(ms) {
+        if (ms === null || ms === undefined) {
+            return '–';
+        }
+        const seconds = Math.round(ms / 1000);
+        return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    }
+
+    function badge(text, kind = '') {
+        return el('span', { className: `badge ${kind}` }, text);
+    }
+
+    function sessionBadge(status) {
+        const kinds = { ok: 'success', expiring: 'warning', expired: 'failure', logged_out: 'failure' };
+        return badge(status.replace('_', ' '), kinds[status] || '');
+    }
+
+    function statusBadge(status) {
+        const kinds = { success: 'success', completed: 'success', partial: 'warning', interrupted: 'warning', failed: 'failure', aborted: 'failure' };
+        return badge(status, kinds[status] || '');
+    }
+
+    function showNotice(message, kind = 'error') {
+        const notice = $('notice');
+        notice.textContent = message;
+        notice.className = `notice ${kind}`;
+        notice.hidden = false;
+        clearTimeout(showNotice.timer);
+        showNotice.timer = setTimeout(() => {
+            notice.hidden = true;
+        }, 8000);
+    }
+
+    /**
+     * Call the API with the stored key, resolving with the parsed JSON body.
+     * A 401 response signs out, other failures reject with the API's error message.
+     */
+    async function api(path, { method = 'GET', query = {}, body } = {}) {
+        const url = new URL(path, API_BASE);
+        for (const [name, value] of Object.entries(query)) {
+            if (value !== undefined && value !== null) {
+                url.searchParams.set(name, value);
+            }
+        }
+        const headers = authHeaders();
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        const response = await fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+        const data = response.status === 204 ? null : await response.json().catch(() => null);
+        if (!response.ok) {
+            const error = new Error((data && (data.error || data.message)) || `${response.status} ${response.statusText}`);
+            error.status = response.status;
+            if (response.status === 401) {
+                signOut(error.message);
+            }
+            throw error;
+        }
+        return data;
+    }
+
+    function authHeaders() {
+        const key = sessionStorage.getItem(KEY_STORAGE);
+        return key ? { Authorization: `Bearer ${key}` } : {};
+    }
+
+    /**
+     * Run a change made from the dashboard, showing its error and refreshing afterwards
+     */
+    async function act(action, successMessage) {
+        try {
+            await action();
+            if (successMessage) {
+                showNotice(successMessage, 'info');
+            }
+        } catch (error) {
+            if (error.status !== 401) {
+                showNotice(error.status === 403 ? `Not allowed with this API key: ${error.message}` : error.message);
+            }
+        }
+        await refresh();
+    }
+
+    function signOut(message) {
+        // Opening the dashboard without a key is not worth an error
+        const hadKey = Boolean(sessionStorage.getItem(KEY_STORAGE));
+        sessionStorage.removeItem(KEY_STORAGE);
+        clearInterval(state.refreshTimer);
+        state.refreshTimer = null;
+        stopFollowing();
+        $('content').hidden = true;
+        $('toolbar').hidden = true;
+        $('sign-in').hidden = false;
+        if (message && hadKey) {
+            showNotice(message);
+        }
+    }
+
+    async function start() {
+        try {
+            await loadAccounts();
+        } catch (error) {
+            if (error.status !== 401) {
+                showNotice(error.message);
+            }
+            return;
+        }
+        $('sign-in').hidden = true;
+        $('content').hidden = false;
+        $('toolbar').hidden = false;
+        await refresh();
+        clearInterval(state.refreshTimer);
+        state.refreshTimer = setInterval(refresh, REFRESH_MS);
+    }
+
+    async function loadAccounts() {
+        state.accounts = await api('accounts');
+        if (!state.accounts.some(account => account.id === state.accountId)) {
+            state.accountId = state.accounts[0] ? state.accounts[0].id : 'default';
+        }
+        // Rebuilding the options would close the list while it is open
+        const signature = JSON.stringify(state.accounts.map(account => [account.id, account.name]));
+        const select = $('account');
+        if (select.dataset.signature === signature) {
+            return;
+        }
+        select.dataset.signature = signature;
+        const options = state.accounts.map(account => el('option', { value: account.id, selected: account.id === state.accountId },
+            account.name && account.name !== account.id ? `${account.name} (${account.id})` : account.id));
+        select.replaceChildren(...options);
+    }
+
+    /**
+     * Reload every section of the selected account
+     */
+    async function refresh() {
+        if (!state.refreshTimer && $('content').hidden) {
+            return;
+        }
+        const sections = [refreshStatus, renderProfiles, renderRuns];
+        const results = await Promise.allSettled(sections.map(section => section()));
+        const failed = results.find(result => result.status === 'rejected' && result.reason.status !== 401);
+        if (failed) {
+            showNotice(failed.reason.message);
+        }
+    }
+
+    async function refreshStatus() {
+        const [status] = await Promise.all([api('status', { query: { accountId: state.accountId } }), loadAccounts()]);
+        renderSchedules(status.schedules);
+        await renderSession(status.session);
+        if (status.activeJobId) {
+            await follow(status.activeJobId);
+        } else if (state.live && !state.live.finished) {
+            // The run ended while its stream was down
+            state.live.finished = true;
+            await updateLiveJob(state.live);
+        }
+        renderLive(status);
+    }
+
+    // Current run
+
+    /**
+     * Follow the progress of a job's run, streaming its events
+     */
+    async function follow(jobId) {
+        if (!state.live || state.live.jobId !== jobId) {
+            stopFollowing();
+            state.live = { jobId, runId: null, job: null, events: [], lastEventId: 0, stream: null, finished: false };
+        }
+        const live = state.live;
+        await updateLiveJob(live);
+        if (state.live === live && !live.stream && !live.finished && live.runId) {
+            streamEvents(live);
+        }
+    }
+
+    function stopFollowing() {
+        if (state.live && state.live.stream) {
+            state.live.stream.abort();
+        }
+        state.live = null;
+    }
+
+    async function updateLiveJob(live) {
+        try {
+            live.job = await api(`jobs/${live.jobId}`);
+            live.runId = live.job.runId;
+        } catch (error) {
+            // Jobs are only kept in memory, so one may be gone after a restart
+            if (error.status !== 404) {
+                throw error;
+            }
+            live.finished = true;
+        }
+    }
+
+    /**
+     * Read the run's Server-Sent Events with fetch, as EventSource cannot send the API key
+     */
+    async function streamEvents(live) {
+        const controller = new AbortController();
+        live.stream = controller;
+        try {
+            const headers = { ...authHeaders(), Accept: 'text/event-stream' };
+            if (live.lastEventId) {
+                headers['Last-Event-ID'] = String(live.lastEventId);
+            }
+            const response = await fetch(new URL(`runs/${live.runId}/events`, API_BASE), { headers, signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`Could not follow run: ${response.status} ${response.statusText}`);
+            }
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) {
+                    break;
+                }
+                buffer += value;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const data = block.split('\n').filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('\n');
+                    if (data) {
+                        await onRunEvent(live, JSON.parse(data));
+                    }
+                }
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                showNotice(error.message);
+            }
+        } finally {
+            // A stream that dropped mid-run is reopened by the next refresh
+            if (live.stream === controller) {
+                live.stream = null;
+            }
+        }
+    }
+
+    async function onRunEvent(live, event) {
+        live.lastEventId = event.id;
+        live.events.push(event);
+        live.events.splice(0, Math.max(0, live.events.length - MAX_LOGGED_EVENTS));
+        if (event.type === 'finished') {
+            live.finished = true;
+        }
+        if (state.live !== live) {
+            return;
+        }
+        if (['visited', 'failed', 'skipped', 'finished'].includes(event.type)) {
+            await updateLiveJob(live).catch(() => {});
+        }
+        renderLive();
+        if (event.type === 'finished') {
+            await refresh();
+        }
+    }
+
+    function describeEvent(event) {
+        const time = new Date(event.at).toLocaleTimeString();
+        switch (event.type) {
+            case 'started':
+                return `${time} Run started (${event.trigger}${event.resumed ? ', resumed' : ''})`;
+            case 'authenticated':
+                return `${time} Logged in`;
+            case 'visiting':
+                return `${time} Visiting ${event.index + 1}/${event.total}: ${event.url}`;
+            case 'visited':
+                return `${time} ✅ Visited ${event.url} in ${formatDuration(event.durationMs)}`;
+            case 'skipped':
+                return `${time} ⏭️ Skipped ${event.url}: ${event.reason}`;
+            case 'failed':
+                return `${time} ❌ Failed ${event.url}: ${event.error}`;
+            case 'finished':
+                return `${time} Run finished: ${event.status}${event.error ? ` (${event.error})` : ''}`;
+            default:
+                return `${time} ${event.type}`;
+        }
+    }
+
+    function renderLive(status) {
+        const container = $('current-run');
+        const live = state.live;
+        if (status) {
+            state.nextRun = status.nextRun;
+        }
+        const next = el('p', { className: 'muted' }, `Next scheduled run: ${formatTime(state.nextRun)}`);
+        if (!live || !live.job) {
+            $('run-now').disabled = false;
+            container.replaceChildren(el('p', {}, 'No run in progress.'), next);
+            return;
+        }
+
+        const job = live.job;
+        const running = !live.finished && job.status === 'running';
+        $('run-now').disabled = running;
+        const processed = job.processedCount || 0;
+        const total = job.totalUrls || 0;
+        const log = el('ul', { className: 'event-log' }, live.events.slice().reverse().map(event => el('li', {}, describeEvent(event))));
+
+        container.replaceChildren(...[
+            el('p', {},
+                running ? 'Run in progress ' : 'Last run ',
+                statusBadge(job.status),
+                ` started ${formatTime(job.createdAt)} by ${job.trigger}`,
+                running ? ' ' : null,
+                running ? el('button', { className: 'link', onclick: () => act(() => api(`jobs/${job.id}`, { method: 'DELETE' }), 'Cancellation requested') }, 'Cancel') : null),
+            el('progress', { max: total || 1, value: processed }),
+            el('p', {},
+                `${processed} of ${total} profiles: ${job.successCount || 0} visited, ${job.failureCount || 0} failed, ${job.skippedCount || 0} skipped`,
+                running && job.currentUrl ? el('br') : null,
+                running && job.currentUrl ? el('span', { className: 'muted' }, `Visiting ${job.currentUrl}`) : null),
+            job.error ? el('p', { className: 'muted' }, `Error: ${job.error}`) : null,
+            running ? null : next,
+            log
+        ].filter(Boolean));
+    }
+
+    // Session
+
+    /**
+     * Show the session of the selected account, with the health tracked by the
+     * session monitor from GET /status
+     */
+    async function renderSession(health) {
+        const session = await api('session', { query: { accountId: state.accountId } });
+        const account = state.accounts.find(candidate => candidate.id === state.accountId);
+        const probe = session.lastProbe;
+
+        const details = el('dl', {},
+            account ? [
+                el('dt', {}, 'Account'),
+                el('dd', {},
+                    account.pausedAt ? [badge('paused', 'failure'), ` since ${formatTime(account.pausedAt)}: ${account.pauseReason || ''} `,
+                        el('button', { className: 'link', onclick: () => act(() => api(`accounts/${account.id}/resume`, { method: 'POST' }), 'Account resumed') }, 'Resume')]
+                        : account.enabled === false ? badge('disabled', 'warning') : badge('active', 'success'))
+            ] : null,
+            el('dt', {}, 'Session'),
+            el('dd', {}, sessionBadge(health.status),
+                health.expiresAt ? ` cookies expire ${formatTime(health.expiresAt)}` : null),
+            el('dt', {}, 'Cookie source'),
+            el('dd', {}, session.cookieSource || '–'),
+            session.cookieError ? [el('dt', {}, 'Cookie error'), el('dd', {}, badge('error', 'failure'), ` ${session.cookieError}`)] : null,
+            el('dt', {}, 'Last login check'),
+            el('dd', {}, probe
+                ? [badge(probe.success ? 'passed' : 'failed', probe.success ? 'success' : 'failure'), ` ${formatTime(probe.at)}`, probe.error ? ` (${probe.error})` : '']
+                : 'never'),
+            el('dt', {}, 'Last confirmed valid'),
+            el('dd', {}, formatTime(session.lastConfirmedValidAt)),
+            el('dt', {}, 'Next login check'),
+            el('dd', {}, health.nextProbeAt ? formatTime(health.nextProbeAt) : 'off')
+        );
+
+        const cookies = el('table', {},
+            el('thead', {}, el('tr', {}, el('th', {}, 'Cookie'), el('th', {}, 'Expires'), el('th', {}, 'State'))),
+            el('tbody', {}, session.cookies.map(cookie => el('tr', {},
+                el('td', {}, cookie.name),
+                el('td', {}, cookie.present ? formatTime(cookie.expiresAt) : '–'),
+                el('td', {}, !cookie.present ? badge('missing', 'failure') : cookie.expired ? badge('expired', 'failure') : badge('valid', 'success'))))));
+
+        $('session').replaceChildren(details, cookies);
+    }
+
+    // Schedules
+
+    function renderSchedules(schedules) {
+        if (schedules.length === 0) {
+            $('schedules').replaceChildren(el('p', { className: 'muted' }, 'No schedules.'));
+            return;
+        }
+        $('schedules').replaceChildren(el('table', {},
+            el('thead', {}, el('tr', {}, el('th', {}, 'Name'), el('th', {}, 'Cron'), el('th', {}, 'Next run'), el('th', {}))),
+            el('tbody', {}, schedules.map(schedule => el('tr', {},
+                el('td', {}, schedule.name, schedule.paused ? [' ', badge('paused', 'warning')] : null),
+                el('td', {}, el('code', {}, schedule.cron), el('br'), el('span', { className: 'muted' }, schedule.timezone)),
+                el('td', {}, schedule.paused ? '–' : formatTime(schedule.nextRun)),
+                el('td', {}, el('button', {
+                    onclick: () => act(() => api(`schedules/${schedule.id}/${schedule.paused ? 'resume' : 'pause'}`, { method: 'POST' }))
+                }, schedule.paused ? 'Resume' : 'Pause')))))));
+    }
+
+    // Profiles
+
+    async function renderProfiles() {
+        const profiles = await api('profiles', { query: { accountId: state.accountId } });
+        if (profiles.length === 0) {
+            $('profiles').replaceChildren(el('p', { className: 'muted' }, 'No profiles yet.'));
+            return;
+        }
+        $('profiles').replaceChildren(el('table', {},
+            el('thead', {}, el('tr', {}, el('th', {}, 'Enabled'), el('th', {}, 'Label'), el('th', {}, 'URL'), el('th', {}, 'State'), el('th', {}))),
+            el('tbody', {}, profiles.map(profile => el('tr', {},
+                el('td', {}, el('input', {
+                    type: 'checkbox',
+                    checked: profile.enabled,
+                    'aria-label': `Visit ${profile.url}`,
+                    onchange: event => act(() => api(`profiles/${profile.id}`, { method: 'PATCH', body: { enabled: event.target.checked } }))
+                })),
+                el('td', {}, profile.label || el('span', { className: 'muted' }, '–')),
+                el('td', { className: 'url' }, el('a', { href: profile.url, target: '_blank', rel: 'noopener noreferrer' }, profile.url)),
+                el('td', {}, profile.unavailable
+                    ? [badge(profile.unavailable.state, 'failure'), ' ', el('button', {
+                        className: 'link',
+                        title: profile.unavailable.reason,
+                        onclick: () => act(() => api(`profiles/${profile.id}`, { method: 'PATCH', body: { unavailable: null } }))
+                    }, 'Clear')]
+                    : badge('available')),
+                el('td', {}, el('button', {
+                    onclick: () => {
+                        if (window.confirm(`Remove ${profile.url}?`)) {
+                            act(() => api(`profiles/${profile.id}`, { method: 'DELETE' }), 'Profile removed');
+                        }
+                    }
+                }, 'Remove')))))));
+    }
+
+    // Runs
+
+    async function renderRuns() {
+        const { runs } = await api('runs', { query: { accountId: state.accountId, limit: RECENT_RUNS } });
+        if (runs.length === 0) {
+            $('runs').replaceChildren(el('p', { className: 'muted' }, 'No runs yet.'));
+            return;
+        }
+        const open = runs.find(run => run.id === state.openRunId);
+        const details = open ? await api(`runs/${open.id}`) : null;
+
+        const rows = runs.flatMap(run => {
+            const row = el('tr', {},
+                el('td', {}, formatTime(run.startedAt)),
+                el('td', {}, run.trigger),
+                el('td', {}, statusBadge(run.status)),
+                el('td', {}, `${run.successCount} visited, ${run.failureCount} failed, ${run.skippedCount} skipped of ${run.totalUrls}`),
+                el('td', {}, formatDuration(run.durationMs)),
+                el('td', {}, el('button', {
+                    className: 'link',
+                    onclick: () => {
+                        state.openRunId = state.openRunId === run.id ? null : run.id;
+                        renderRuns().catch(error => showNotice(error.message));
+                    }
+                }, state.openRunId === run.id ? 'Hide results' : 'Results')));
+            return details && details.id === run.id ? [row, renderVisits(details)] : [row];
+        });
+
+        $('runs').replaceChildren(el('table', {},
+            el('thead', {}, el('tr', {}, el('th', {}, 'Started'), el('th', {}, 'Trigger'), el('th', {}, 'Status'), el('th', {}, 'Profiles'), el('th', {}, 'Duration'), el('th', {}))),
+            el('tbody', {}, rows)));
+    }
+
+    function renderVisits(run) {
+        const visits = run.visits.length === 0
+            ? el('p', { className: 'muted' }, run.error || 'No profiles were visited.')
+            : el('table', {},
+                el('thead', {}, el('tr', {}, el('th', {}, 'Profile'), el('th', {}, 'Outcome'), el('th', {}, 'Attempts'), el('th', {}, 'Duration'), el('th', {}, 'Error'))),
+                el('tbody', {}, run.visits.map(visit => el('tr', {},
+                    el('td', { className: 'url' }, visit.url),
+                    el('td', {}, visit.skipped ? badge('skipped') : visit.success ? badge('visited', 'success') : badge(visit.category || 'failed', 'failure')),
+                    el('td', {}, visit.attempts ?? '–'),
+                    el('td', {}, formatDuration(visit.durationMs)),
+                    el('td', {}, visit.skipped ? visit.skipReason : visit.error || '')))));
+        return el('tr', { className: 'details' }, el('td', { colspan: 6 }, visits));
+    }
+
+    // Actions
+
+    $('sign-in-form').addEventListener('submit', event => {
+        event.preventDefault();
+        sessionStorage.setItem(KEY_STORAGE, $('api-key').value.trim());
+        $('api-key').value = '';
+        $('notice').hidden = true;
+        start();
+    });
+
+    $('sign-out').addEventListener('click', () => signOut());
+
+    $('account').addEventListener('change', event => {
+        state.accountId = event.target.value;
+        state.openRunId = null;
+        stopFollowing();
+        refresh();
+    });
+
+    $('run-now').addEventListener('click', () => act(async () => {
+        const result = await api('run', { method: 'POST', body: { accountId: state.accountId } });
+        await follow(result.jobId);
+    }, 'Run started'));
+
+    $('add-profile').addEventListener('submit', event => {
+        event.preventDefault();
+        const form = event.target;
+        const label = form.elements.label.value.trim();
+        act(async () => {
+            await api('profiles', {
+                method: 'POST',
+                body: { accountId: state.accountId, url: form.elements.url.value.trim(), ...(label ? { label } : {}) }
+            });
+            form.reset();
+        }, 'Profile added');
+    });
+
+    start();
+})();
@@ -1,425 +1,1162 @@
-const puppeteer = require('puppeteer-core');
-const fs = require('fs').promises;
+const path = require('path');
 const express = require('express');
-const cron = require('node-cron');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 require('dotenv').config({ override: true });
-const https = require('https');
+const runs = require('./lib/runs');
+const profiles = require('./lib/profiles');
+const accounts = require('./lib/accounts');
+const jobs = require('./lib/jobs');
+const { httpError, sendError } = require('./lib/errors');
+const { loadCookies } = require('./lib/cookies');
+const sessionState = require('./lib/session');
+const sessionMonitor = require('./lib/sessionMonitor');
+const { notify } = require('./lib/notifiers');
+const { classifyError, retryPolicy, backoffDelay, continueOnErrorDefault } = require('./lib/failures');
+const { registerRunRoutes } = require('./lib/routes/runs');
+const { registerProfileRoutes } = require('./lib/routes/profiles');
+const { registerJobRoutes } = require('./lib/routes/jobs');
+const { registerSessionRoutes } = require('./lib/routes/session');
+const { registerScheduleRoutes } = require('./lib/routes/schedules');
+const { registerApiKeyRoutes } = require('./lib/routes/apiKeys');
+const { registerAccountRoutes } = require('./lib/routes/accounts');
+const { registerWebhookRoutes } = require('./lib/routes/webhooks');
+const scheduler = require('./lib/scheduler');
+const quota = require('./lib/quota');
+const snapshots = require('./lib/snapshots');
+const artifacts = require('./lib/artifacts');
+const logger = require('./lib/logger');
+const { emitRunEvent, subscribeAllRunEvents } = require('./lib/events');
+const webhooks = require('./lib/webhooks');
+const metrics = require('./lib/metrics');
+const { getHealth } = require('./lib/health');
+const auth = require('./lib/auth');
+const { loadConfig } = require('./lib/config');
+const drivers = require('./lib/drivers');
+const { detectPageState, loadRules } = require('./lib/pageStates');
+const { normalizeProfileUrl, normalizeProfileList, profileKey } = require('./lib/profileUrls');
+const shutdown = require('./lib/shutdown');
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+const DASHBOARD_DIR = path.join(__dirname, 'dashboard');
+
+// Browsers launched and not yet closed, closed by force if a shutdown times out
+const openBrowsers = new Set();
+// Run id -> promise of every run in progress in this process
+const activeRuns = new Map();
+
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
 }
 
 /**
- * Send a Slack notification
+ * Wait for a page to settle, or between visits like a person would. Drivers
+ * without real pages, like the simulation driver, skip the wait.
  */
-async function sendSlackNotification(message) {
-    const webhookUrl = process.env.SLACK_WEBHOOK_URL;
-    
-    console.log(`🔔 Attempting to send Slack notification: ${message}`);
-    
-    return new Promise((resolve, reject) => {
-        const url = new URL(webhookUrl);
-        
-        // Clean the message - remove problematic characters that might break JSON
-        const cleanMessage = message.replace(/\n/g, ' ').replace(/"/g, "'");
-        const data = JSON.stringify({ text: cleanMessage });
-        
-        console.log(`📡 Sending to Slack: ${url.hostname}${url.pathname}`);
-        console.log(`📦 Payload: ${data}`); // Debug: show what we're sending
-        
-        const options = {
-            hostname: url.hostname,
-            port: 443,
-            path: url.pathname + url.search,
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(data, 'utf8')
-            }
-        };
-        
-        const req = https.request(options, (res) => {
-            let responseData = '';
-            
-            res.on('data', (chunk) => {
-                responseData += chunk;
-            });
-            
-            res.on('end', () => {
-                if (res.statusCode >= 200 && res.statusCode < 300) {
-                    console.log("✅ Slack notification sent successfully");
-                    console.log(`📥 Response: ${responseData}`);
-                } else {
-                    console.log(`⚠️ Failed to send Slack notification: ${res.statusCode}`);
-                    console.log(`📥 Response: ${responseData}`);
-                }
-                resolve();
-            });
-        });
-        
-        req.on('error', (error) => {
-            console.log(`⚠️ Error sending Slack notification: ${error.message}`);
-            resolve();
-        });
-        
-        req.write(data);
-        req.end();
-    });
+function settle(ms) {
+    return drivers.getDriver().pacing ? sleep(ms) : Promise.resolve();
 }
 
 /**
- * Setup Puppeteer browser and return the browser instance
+ * Launch a browser with the driver selected by BROWSER_DRIVER and return it
  */
 async function setupDriver() {
-    console.log("Initializing the Chrome driver...");
-    
-    const launchOptions = {
-        headless: true,
-        args: [
-            '--no-sandbox',
-        ]
-    };
+    const driver = drivers.getDriver();
+    logger.info(`Initializing the ${driver.name} driver...`);
     
     try {
-        console.log("💻 Using local Chrome setup...");
-        
-        const chromePaths = [
-            '/usr/bin/chromium',
-            '/usr/bin/chromium-browser',
-            '/usr/bin/google-chrome',
-            '/usr/bin/google-chrome-stable',
-            '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
-            'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
-            'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe'
-        ];
-        
-        for (const chromePath of chromePaths) {
-            const exists = await fs.access(chromePath).then(() => true).catch(() => false);
-            if (exists) {
-                launchOptions.executablePath = chromePath;
-                console.log(`Found Chrome at: ${chromePath}`);
-                break;
-            }
-        }
-        
-        if (!launchOptions.executablePath) {
-            console.log("⚠️ Chrome not found in common locations. Trying with chrome channel...");
-            launchOptions.channel = 'chrome';
-        }
-        
-        console.log("🚀 Launching browser with executablePath:", launchOptions.executablePath || 'using channel');
-        const browser = await puppeteer.launch(launchOptions);
+        const endLaunchTimer = metrics.browserLaunchSeconds.startTimer();
+        const browser = await driver.launch();
+        endLaunchTimer();
+        openBrowsers.add(browser);
         
-        const pages = await browser.pages();
-        const page = pages[0];
-        await page.evaluateOnNewDocument(() => {
-            Object.defineProperty(navigator, 'webdriver', {get: () => undefined});
-        });
-        
-        console.log("✅ Chrome driver initialized successfully!");
+        logger.info(`✅ ${driver.name} driver initialized successfully!`);
         return browser;
         
     } catch (error) {
-        console.error(`❌ Failed to initialize Chrome driver: ${error}`);
-        console.log("💡 Make sure Chrome/Chromium is installed and accessible");
+        logger.error(`❌ Failed to initialize ${driver.name} driver: ${error}`);
         throw error;
     }
 }
 
 /**
- * Check if we're logged in by looking for login/signup page indicators
+ * Check that the page shows a logged-in LinkedIn session, throwing the error of
+ * the page state found otherwise
  */
-async function checkLoginStatus(page) {
-    try {
-        const redirectErrorIndicators = [
-            '#main-frame-error',
-            'div.interstitial-wrapper',
-            '#main-message h1 span',
-            '.error-code',
-        ];
-        
-        for (const selector of redirectErrorIndicators) {
-            const element = await page.$(selector);
-            if (element) {
-                const text = await element.evaluate(el => el.textContent);
-                if (text && (text.includes("This page isn't working") || 
-                           text.includes("redirected you too many times") ||
-                           text.includes("ERR_TOO_MANY_REDIRECTS"))) {
-                    console.log(`🚫 Found redirect error: ${text.trim()}`);
-                    console.log(`💡 Suggestion: Clear cookies and try again`);
-                    console.log(`🛑 Stopping execution due to login error`);
-                    await sendSlackNotification(`🚨 URGENT: LinkedIn login error detected - ${text.trim()}`);
-                    throw new Error("LOGIN_ERROR: Too many redirects - cookies may be invalid");
-                }
-            }
-        }
-        
-        const loginIndicators = [
-            'h1[data-test-id="hero__headline"]',
-            'h1.authwall-join-form__title',
-            'form.join-form',
-            '.authwall-join-form__swap-cta',
-            'input[name="session_key"]',
-            'input[name="session_password"]',
-        ];
-        
-        for (const selector of loginIndicators) {
-            const element = await page.$(selector);
-            if (element) {
-                console.log(`🚫 Found login indicator: ${selector}`);
-                console.log(`🛑 Stopping execution due to login error`);
-                throw new Error("LOGIN_ERROR: Not logged in - authentication required");
-            }
-        }
-        
-        const currentUrl = page.url();
-        if (currentUrl.includes('/authwall') || currentUrl.includes('/signup') || currentUrl.includes('/login')) {
-            console.log(`🚫 Detected login/signup URL: ${currentUrl}`);
-            console.log(`🛑 Stopping execution due to login error`);
-            throw new Error("LOGIN_ERROR: Redirected to authentication page");
-        }
-        
-        if (currentUrl.includes('linkedin.com')) {
-            console.log(`✅ Login verification passed - no login indicators found`);
-            return true;
-        }
-        
-        console.log(`🛑 Stopping execution - not on LinkedIn domain`);
-        throw new Error("LOGIN_ERROR: Not on LinkedIn domain");
-        
-    } catch (error) {
-        if (error.message.startsWith('LOGIN_ERROR:')) {
-            throw error;
-        }
-        console.log(`⚠️ Error checking login status: ${error}`);
-        throw new Error("LOGIN_ERROR: Unable to verify login status");
+async function checkLoginStatus(page, response = null) {
+    const pageState = await detectPageState(page, { response, baseUrl: await drivers.linkedinBaseUrl() });
+    if (pageState.state !== 'logged_in') {
+        logger.warn(`🚫 Page state ${pageState.state}: ${pageState.evidence}`);
+        throw new Error(pageState.message);
     }
+    logger.info(`✅ Login verification passed - no login indicators found`);
+    return true;
+}
+
+/**
+ * Open a page in a new browser context, which shares no cookies or storage with
+ * any other context, so one account's session can never leak into another's
+ */
+async function openIsolatedPage(browser) {
+    const context = await browser.createBrowserContext();
+    const page = await context.newPage();
+    await page.evaluateOnNewDocument(() => {
+        Object.defineProperty(navigator, 'webdriver', {get: () => undefined});
+    });
+    return page;
 }
 
 /**
- * Add the LinkedIn cookie to the browser
+ * Add the LinkedIn session cookies to the browser, from the account's cookie
+ * sources unless a cookie set is given
  */
-async function addCookie(page) {
-    console.log("Adding LinkedIn session cookie...");
+async function addCookie(page, { account, cookies: cookieSet } = {}) {
+    logger.info("Adding LinkedIn session cookie...");
    
     // Ensure we're on LinkedIn
-    await page.goto("https://www.linkedin.com");
-    await sleep(2000);
-   
-    // Get cookies from GitHub Gist
-    const gistUrl = process.env.GIST_URL || "https://gist.githubusercontent.com/sharmila-f22/74e9460296b04691fcd5e050460ef491/raw";
-   
-    console.log(`Fetching cookies from Gist: ${gistUrl}`);
+    const baseUrl = await drivers.linkedinBaseUrl();
+    await page.goto(baseUrl);
+    await settle(2000);
    
     try {
-        // Fetch cookies from Gist
-        const response = await fetch(gistUrl);
-       
-        if (!response.ok) {
-            throw new Error(`Failed to fetch cookies from Gist: ${response.status} ${response.statusText}`);
+        let cookies = cookieSet;
+        if (!cookies) {
+            const loaded = await loadCookies(account);
+            cookies = loaded.cookies;
+            await sessionState.trackCookies(account.id, cookies, loaded.source);
         }
+        const now = Date.now() / 1000;
+        // A fixture server only receives the session cookies under its own host
+        const fixtureHost = drivers.isLinkedIn(baseUrl) ? null : new URL(baseUrl).hostname;
        
-        const fileContent = await response.text();
-        const cookies = JSON.parse(fileContent);
-        // console.log("cookies: , ", cookies);
-       
-        for (const cookie of cookies) {
+        for (const loadedCookie of cookies) {
+            const cookie = fixtureHost ? { ...loadedCookie, domain: fixtureHost } : loadedCookie;
+            if (cookie.expires && cookie.expires < now) {
+                logger.warn(`⚠️ Skipping expired cookie: ${cookie.name}`);
+                continue;
+            }
             try {
-                // Only add essential cookie data (matching Python exactly)
-                const cookieData = {
-                    name: cookie.name,
-                    value: cookie.value,
-                    domain: '.linkedin.com', // Force LinkedIn domain
-                    path: '/'
-                };
-               
-                await page.setCookie(cookieData);
-                console.log(`✅ Added cookie: ${cookie.name}`);
+                await page.setCookie(cookie);
+                logger.debug(`✅ Added cookie: ${cookie.name}`);
                
             } catch (error) {
-                console.log(`⚠️ Failed to add cookie ${cookie.name || 'unknown'}: ${error}`);
+                logger.warn(`⚠️ Failed to add cookie ${cookie.name || 'unknown'}: ${error}`);
                 continue;
             }
         }
        
-        // THIS IS THE KEY PART YOU WERE MISSING:
+        // Reload so LinkedIn picks up the session cookies
         await page.reload();
-        await sleep(2000);
+        await settle(2000);
        
-        // Check if we're actually logged in by looking for login/signup indicators
-        // const isLoggedIn = await checkLoginStatus(page);
-        // if (!isLoggedIn) {
-        //     throw new Error("❌ Cookie authentication failed - still seeing login/signup page");
-        // }
-       
-        console.log("✅ Logged in using cookies!");
+        logger.info("✅ Logged in using cookies!");
        
     } catch (error) {
-        throw new Error(`Failed to fetch or parse cookies from Gist: ${error.message}`);
+        throw new Error(`Failed to load cookies: ${error.message}`);
     }
  }
  
 
 /**
- * Visit a single LinkedIn profile URL
+ * Close the browser, killing its process if a clean shutdown fails or hangs
  */
-async function visitProfile(url) {
-    console.log(`Visiting profile: ${url}`);
-    let browser = null;
-    
+async function closeBrowser(browser) {
+    logger.info("Closing the browser...");
+    let timer;
     try {
-        browser = await setupDriver();
-        const page = await browser.newPage();
-        
-        await addCookie(page);
-        
-        await page.goto(url);
-        await sleep(2000);
-        
-        // NOW check if we're logged in by testing the actual profile page
-        console.log("🔍 Checking login status after visiting profile...");
-        const isOnProfile = await checkLoginStatus(page);
-        if (!isOnProfile) {
-            console.log(`   🚫 Login check failed on profile page`);
-            return { success: false, error: "LOGIN_ERROR: Authentication failed on profile page" };
+        await Promise.race([
+            browser.close(),
+            new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error("Timed out waiting for browser to close")), 10000);
+            })
+        ]);
+        logger.info("✅ Browser closed.");
+    } catch (error) {
+        logger.warn(`⚠️ Error closing browser: ${error}`);
+        const browserProcess = browser.process();
+        if (browserProcess && browserProcess.exitCode === null) {
+            logger.info(`🔪 Killing browser process ${browserProcess.pid}`);
+            browserProcess.kill('SIGKILL');
         }
-        
-        console.log(`   ✅ Successfully accessed profile page`);
-        
-        const waitTime = Math.round((Math.random() * (10 - 5) + 5) * 10) / 10;
-        console.log(`   Waiting for ${waitTime} seconds...`);
-        await sleep(waitTime * 1000);
-        
-        console.log(`   ✅ Successfully visited: ${url}`);
-        return { success: true };
-        
+    } finally {
+        clearTimeout(timer);
+        openBrowsers.delete(browser);
+    }
+}
+
+/**
+ * Launch the browser and authenticate as the account once, returning the session
+ * to visit profiles with. The browser is closed again if authentication fails.
+ */
+async function openBrowserSession(account) {
+    const browser = await setupDriver();
+    try {
+        const page = await openIsolatedPage(browser);
+        const recorder = artifacts.createPageRecorder(page);
+        await addCookie(page, { account });
+        return { account, browser, page, recorder };
     } catch (error) {
-        console.log(`   ❌ Error visiting ${url}: ${error}`);
-        return { success: false, error: error.message };
+        await closeBrowser(browser);
+        throw error;
+    }
+}
+
+/**
+ * Check whether a cookie set gives a logged-in LinkedIn session, in a throwaway headless browser
+ */
+async function probeSession(cookies) {
+    logger.info("🔎 Probing LinkedIn session...");
+    const browser = await setupDriver();
+    try {
+        const page = await openIsolatedPage(browser);
+        await addCookie(page, { cookies });
+        const response = await page.goto(`${await drivers.linkedinBaseUrl()}/feed/`);
+        await settle(2000);
+        await checkLoginStatus(page, response);
+        logger.info("✅ Session probe passed");
     } finally {
-        if (browser) {
+        await closeBrowser(browser);
+    }
+}
+
+/**
+ * URLs the navigation was redirected through before reaching its final response
+ */
+function redirectChainOf(response) {
+    if (!response) {
+        return [];
+    }
+    return [...response.request().redirectChain().map(request => request.url()), response.url()];
+}
+
+/**
+ * Visit a single LinkedIn profile URL. Uses the given page when visiting as part
+ * of a run, otherwise opens and closes a browser session as the account just for this visit.
+ */
+async function visitProfile(url, { page, account } = {}) {
+    return logger.withContext({ url }, async () => {
+        if (!page) {
+            let session = null;
             try {
-                console.log("Closing the browser...");
-                console.log("✅ Browser closed.");
+                session = await openBrowserSession(account);
+                return await visitProfile(url, { page: session.page });
             } catch (error) {
-                console.log(`⚠️ Error closing browser: ${error}`);
+                logger.error(`❌ Error visiting ${url}: ${error}`);
+                return { success: false, error: error.message };
+            } finally {
+                if (session) {
+                    await closeBrowser(session.browser);
+                }
+            }
+        }
+    
+        logger.info(`Visiting profile: ${url}`);
+        let response = null;
+    
+        try {
+            const baseUrl = await drivers.linkedinBaseUrl();
+            const endNavigationTimer = metrics.navigationSeconds.startTimer();
+            response = await page.goto(drivers.rebaseUrl(url, baseUrl));
+            endNavigationTimer();
+            await settle(2000);
+        
+            // Check what the profile page shows: the profile, a login wall, a challenge...
+            logger.debug("🔍 Detecting the page state after visiting profile...");
+            const pageState = await detectPageState(page, { response, baseUrl });
+            if (pageState.state !== 'logged_in') {
+                logger.warn(`🚫 Page state ${pageState.state} on ${url}: ${pageState.evidence}`);
+                return {
+                    success: false,
+                    error: pageState.message,
+                    pageState: pageState.state,
+                    policy: pageState.policy,
+                    redirectChain: redirectChainOf(response)
+                };
+            }
+        
+            logger.info(`✅ Successfully accessed profile page`);
+        
+            let snapshot = null;
+            if (snapshots.snapshotsEnabled()) {
                 try {
-                    const { exec } = require('child_process');
-                    exec('pkill -f chromium', () => {});
-                } catch {
-                    // Ignore errors
+                    snapshot = await snapshots.extractSnapshot(page);
+                    logger.info(`📸 Captured profile snapshot: ${snapshot.name || 'unknown name'}`);
+                } catch (error) {
+                    logger.warn(`⚠️ Failed to capture profile snapshot: ${error.message}`);
                 }
             }
+        
+            const waitTime = Math.round((Math.random() * (10 - 5) + 5) * 10) / 10;
+            logger.debug(`Waiting for ${waitTime} seconds...`);
+            await settle(waitTime * 1000);
+        
+            logger.info(`✅ Successfully visited: ${url}`);
+            return { success: true, snapshot };
+        
+        } catch (error) {
+            logger.error(`❌ Error visiting ${url}: ${error}`);
+            return { success: false, error: error.message, redirectChain: redirectChainOf(response) };
         }
-    }
+    });
 }
 
 /**
- * Load profile URLs
+ * Load profile URLs from the URLS environment variable, used to seed the profile
+ * registry, in canonical form and without duplicates
  */
 function loadProfileUrls() {
+    if (!process.env.URLS) {
+        logger.info("ℹ️ URLS is not set, add profiles with the /profiles endpoints");
+        return [];
+    }
+    // URLS was validated by loadConfig at startup
+    const { urls } = JSON.parse(process.env.URLS);
+    const { accepted, duplicates } = normalizeProfileList(urls.map(input => ({ input })));
+    const normalizedCount = accepted.filter(entry => entry.normalized).length;
+    logger.info(`✅ Loaded ${accepted.length} profile URLs (${normalizedCount} normalized, ${duplicates.length} duplicates dropped).`);
+    return accepted.map(entry => entry.url);
+}
+
+/**
+ * Send a notification about an account through the account's channels, naming
+ * the account in the title unless it is the default one
+ */
+async function notifyAccount(account, event) {
+    await notify({
+        ...event,
+        title: account.id === accounts.DEFAULT_ACCOUNT_ID ? event.title : `[${account.name}] ${event.title}`,
+        accountId: account.id
+    }, accounts.accountEnv(account));
+}
+
+/**
+ * Keep track of a run in progress until it settles, so a shutdown can wait for it,
+ * refreshing its checkpoint meanwhile
+ */
+function trackRun(runId, promise) {
+    activeRuns.set(runId, promise);
+    const heartbeat = setInterval(() => {
+        runs.touchCheckpoint(runId).catch(error => logger.warn(`⚠️ Failed to refresh the checkpoint of run ${runId}: ${error.message}`));
+    }, runs.HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+    return promise.finally(() => {
+        clearInterval(heartbeat);
+        activeRuns.delete(runId);
+    });
+}
+
+/**
+ * Check the page state rules before a run visits anything, so a missing or
+ * broken rules file fails the run once instead of every visit. Returns the
+ * configuration error, or null.
+ */
+function pageStateRulesError() {
     try {
-        const urls = process.env.URLS;
-        const urlsJson = JSON.parse(urls);
-        console.log(`✅ Loaded ${urlsJson.urls.length} profile URLs.`);
-        return urlsJson.urls;
+        loadRules();
+        return null;
     } catch (error) {
-        console.log(`❌ Error loading URLs: ${error}`);
-        return [];
+        return `Configuration error: ${error.message}`;
+    }
+}
+
+/**
+ * Run profile visits for an account's profiles and record the run in the history.
+ * With resumeRun, an interrupted run is taken up again from its checkpoint
+ * instead of starting a new one.
+ */
+async function runProfileVisits({
+    accountId = accounts.DEFAULT_ACCOUNT_ID,
+    trigger = 'manual',
+    scheduleId = null,
+    profileIds = null,
+    resumeRun = null,
+    signal,
+    onProgress = () => {},
+    continueOnError = continueOnErrorDefault()
+} = {}) {
+    if (shutdown.isShuttingDown()) {
+        throw httpError(503, 'Shutting down, no new runs are started');
+    }
+    const account = await accounts.requireAccount(accountId);
+    const run = resumeRun ? await runs.resumeRun(resumeRun.id) : await runs.startRun({ trigger, accountId, scheduleId });
+    onProgress({ runId: run.id });
+    // A shutdown stops the run before its next profile, like a cancellation
+    const runSignal = signal ? AbortSignal.any([signal, shutdown.shutdownSignal]) : shutdown.shutdownSignal;
+    
+    return trackRun(run.id, logger.withContext({ runId: run.id, accountId }, async () => {
+        if (resumeRun) {
+            logger.info(`⏯️ Resuming run ${run.id} for account '${accountId}' with ${run.checkpoint.remaining.length} profiles left`);
+        } else {
+            logger.info(`🗂️ Recording run ${run.id} for account '${accountId}' (trigger: ${run.trigger})`);
+        }
+        emitRunEvent(run.id, 'started', { accountId, trigger: run.trigger, scheduleId: run.scheduleId, resumed: Boolean(resumeRun) });
+        
+        try {
+            const result = await visitAllProfiles(run, account, {
+                profileIds,
+                resumeUrls: resumeRun ? run.checkpoint.remaining : null,
+                signal: runSignal,
+                onProgress,
+                continueOnError
+            });
+            const status = result.interrupted ? 'interrupted'
+                : result.cancelled ? 'cancelled'
+                : result.success ? 'success'
+                : result.completed ? 'partial'
+                : 'failed';
+            const error = ['failed', 'partial', 'interrupted'].includes(status) ? result.message : null;
+            metrics.recordRun(await runs.finishRun(run.id, { status, error }));
+            // The finished event carries the whole result, as sent to webhooks
+            emitRunEvent(run.id, 'finished', {
+                ...result,
+                status,
+                successCount: result.successCount || 0,
+                failureCount: result.failureCount || 0,
+                skippedCount: result.skippedCount || 0,
+                results: result.results || [],
+                error
+            });
+            return { runId: run.id, status, ...result };
+        } catch (error) {
+            metrics.recordRun(await runs.finishRun(run.id, { status: 'failed', error: error.message }));
+            emitRunEvent(run.id, 'finished', { status: 'failed', error: error.message });
+            throw error;
+        } finally {
+            await artifacts.pruneArtifacts().catch(error => {
+                logger.warn(`⚠️ Failed to prune failure artifacts: ${error.message}`);
+            });
+        }
+    }));
+}
+
+/**
+ * Visit a single profile URL as an account, the URL need not be in the profile
+ * registry, in a browser session of its own. The visit is recorded as a run and
+ * goes through the account's run lock and visit quotas like any run: it is
+ * skipped in quiet hours, past a cap or within the revisit interval.
+ */
+async function runSingleVisit(input, { accountId = accounts.DEFAULT_ACCOUNT_ID, trigger = 'cli' } = {}) {
+    if (shutdown.isShuttingDown()) {
+        throw httpError(503, 'Shutting down, no new runs are started');
+    }
+    const { url, error } = normalizeProfileUrl(input);
+    if (error) {
+        throw httpError(400, `Invalid profile URL: ${input} ${error}`);
     }
+    const account = await accounts.requireAccount(accountId);
+    requireUnpaused(account);
+    
+    // Hold the account's job lock for the whole visit, so no run starts alongside it
+    let visit;
+    const job = jobs.startJob({ trigger, accountId }, ({ onProgress }) => {
+        visit = visitSingleProfile(url, account, { trigger, onProgress });
+        return visit;
+    });
+    await job.promise;
+    return visit;
+}
+
+/**
+ * Record a run of a single profile visit, for runSingleVisit()
+ */
+async function visitSingleProfile(url, account, { trigger, onProgress }) {
+    const accountId = account.id;
+    const run = await runs.startRun({ trigger, accountId });
+    onProgress({ runId: run.id, totalUrls: 1 });
+    
+    return trackRun(run.id, logger.withContext({ runId: run.id, accountId }, async () => {
+        emitRunEvent(run.id, 'started', { accountId, trigger });
+        await runs.updateRun(run.id, { totalUrls: 1 });
+        
+        const rulesError = pageStateRulesError();
+        if (rulesError) {
+            logger.error(`❌ ${rulesError}`);
+            metrics.recordRun(await runs.finishRun(run.id, { status: 'failed', error: rulesError }));
+            emitRunEvent(run.id, 'finished', {
+                status: 'failed',
+                success: false,
+                totalUrls: 1,
+                processedUrls: 0,
+                successCount: 0,
+                failureCount: 0,
+                skippedCount: 0,
+                results: [],
+                error: rulesError
+            });
+            return { runId: run.id, status: 'failed', success: false, error: rulesError };
+        }
+        
+        const plan = await quota.planVisits([url], { accountId, env: accounts.accountEnv(account) });
+        if (plan.skipped.length > 0) {
+            const [{ reason }] = plan.skipped;
+            const skippedResult = await recordSkippedVisit(run, url, reason);
+            metrics.recordRun(await runs.finishRun(run.id, { status: 'success' }));
+            emitRunEvent(run.id, 'finished', {
+                status: 'success',
+                success: true,
+                totalUrls: 1,
+                processedUrls: 1,
+                successCount: 0,
+                failureCount: 0,
+                skippedCount: 1,
+                results: [skippedResult],
+                error: null
+            });
+            onProgress({ processedCount: 1, skippedCount: 1 });
+            return { runId: run.id, status: 'success', success: true, skipped: true, reason };
+        }
+        
+        const startedAt = new Date();
+        const result = await visitProfile(url, { account });
+        const finishedAt = new Date();
+        const category = result.success ? null : classifyError(result.error);
+        const skipped = result.policy === 'skip_profile';
+        
+        if (skipped) {
+            const profile = (await profiles.listProfiles({ accountId })).find(candidate => profileKey(candidate.url) === url);
+            await skipUnavailableProfile(run, url, result, profile && profile.id);
+        } else {
+            await runs.recordVisit(run.id, {
+                url,
+                success: result.success,
+                error: result.success ? null : result.error,
+                category,
+                attempts: 1,
+                startedAt: startedAt.toISOString(),
+                finishedAt: finishedAt.toISOString(),
+                durationMs: finishedAt - startedAt
+            });
+            metrics.recordVisit({ ...result, category });
+            emitRunEvent(run.id, result.success ? 'visited' : 'failed', { url, index: 0, error: result.error, category });
+        }
+        if (result.success) {
+            await sessionState.confirmValid(accountId);
+        }
+        if (result.policy === 'pause_account') {
+            await accounts.pauseAccount(accountId, result.error);
+            await notifyAccount(account, {
+                severity: FATAL_FAILURES.challenge.severity,
+                title: FATAL_FAILURES.challenge.title,
+                message: `Visiting ${url} - ${result.error}\n${resumeInstructions(account)}`,
+                runId: run.id
+            });
+        }
+        
+        const status = result.success ? 'success' : 'failed';
+        metrics.recordRun(await runs.finishRun(run.id, { status, error: result.success ? null : result.error }));
+        emitRunEvent(run.id, 'finished', {
+            status,
+            success: result.success,
+            totalUrls: 1,
+            processedUrls: 1,
+            successCount: result.success ? 1 : 0,
+            failureCount: result.success || skipped ? 0 : 1,
+            skippedCount: skipped ? 1 : 0,
+            results: [skipped ? { url, success: false, skipped: true, reason: result.error }
+                : { url, success: result.success, error: result.success ? null : result.error, category }],
+            error: result.success ? null : result.error
+        });
+        onProgress({
+            processedCount: 1,
+            successCount: result.success ? 1 : 0,
+            failureCount: result.success || skipped ? 0 : 1,
+            skippedCount: skipped ? 1 : 0
+        });
+        return { runId: run.id, status, category, ...result };
+    }));
 }
 
 /**
- * Run profile visits for all URLs
+ * Visit every enabled profile of the account, or the enabled ones among profileIds,
+ * recording each visit on the given run. A resumed run visits the enabled profiles
+ * among resumeUrls instead. Stops before the next profile once the signal is aborted.
  */
-async function runProfileVisits() {
-    console.log("🎯 Starting profile visits...");
+async function visitAllProfiles(run, account, { profileIds, resumeUrls = null, signal, onProgress, continueOnError }) {
+    logger.info("🎯 Starting profile visits...");
     
-    console.log("🧪 Testing Slack notification...");
-    await sendSlackNotification("🧪 Test message from LinkedIn Profile Visitor");
+    const rulesError = pageStateRulesError();
+    if (rulesError) {
+        logger.error(`❌ ${rulesError}`);
+        await notifyAccount(account, {
+            severity: 'failure',
+            title: 'Invalid page state rules',
+            message: rulesError,
+            runId: run.id
+        });
+        return { success: false, message: rulesError };
+    }
     
-    await sendSlackNotification("🎯 LinkedIn Profile Visitor: Starting profile visits...");
+    const enabledProfiles = await profiles.listProfiles({ enabled: true, accountId: account.id });
+    const selectedProfiles = resumeUrls
+        ? resumeUrls.map(url => enabledProfiles.find(profile => profile.url === url)).filter(Boolean)
+        : enabledProfiles.filter(profile => !profileIds || profileIds.includes(profile.id));
+    const profileUrls = selectedProfiles.map(profile => profile.url);
+    const profileIdByUrl = new Map(selectedProfiles.map(profile => [profile.url, profile.id]));
+    if (resumeUrls && profileUrls.length === 0) {
+        // Every profile left was visited, or has been disabled or removed since
+        logger.info("⏭️ No profiles left to visit in the resumed run");
+        return {
+            success: run.failureCount === 0,
+            completed: true,
+            totalUrls: run.totalUrls,
+            processedUrls: run.totalUrls,
+            successCount: 0,
+            failureCount: 0,
+            skippedCount: 0,
+            results: [],
+            message: run.failureCount === 0 ? undefined : `Completed with ${run.failureCount} failed profiles`
+        };
+    }
+    if (profileUrls.length === 0) {
+        logger.error("❌ No enabled profiles found. Exiting...");
+        await notifyAccount(account, {
+            severity: 'failure',
+            title: 'No profiles to visit',
+            message: 'No enabled profiles found in the profile registry.',
+            runId: run.id
+        });
+        return { success: false, message: "No enabled profiles found" };
+    }
+    
+    if (!resumeUrls) {
+        await runs.updateRun(run.id, { totalUrls: profileUrls.length });
+    }
+    await runs.setCheckpoint(run.id, profileUrls);
+    onProgress({ totalUrls: profileUrls.length });
     
-    const profileUrls = loadProfileUrls();
-    if (!profileUrls) {
-        const errorMsg = "❌ No valid profile URLs found. Exiting...";
-        console.log(errorMsg);
-        await sendSlackNotification(`❌ LinkedIn Profile Visitor: ${errorMsg}`);
-        return { success: false, message: "No valid profile URLs found" };
+    // Profiles flagged as unavailable by an earlier visit are skipped until the flag is cleared
+    const skippedResults = [];
+    const flaggedProfiles = selectedProfiles.filter(profile => profile.unavailable);
+    for (const profile of flaggedProfiles) {
+        skippedResults.push(await recordSkippedVisit(run, profile.url, `Flagged as unavailable since ${profile.unavailable.flaggedAt}`));
+    }
+    
+    // Apply the visit quotas before launching the browser
+    const availableUrls = selectedProfiles.filter(profile => !profile.unavailable).map(profile => profile.url);
+    const plan = await quota.planVisits(availableUrls, { accountId: account.id, env: accounts.accountEnv(account) });
+    for (const { url, reason } of plan.skipped) {
+        skippedResults.push(await recordSkippedVisit(run, url, reason));
+    }
+    const skipCauses = flaggedProfiles.length > 0 ? 'by the visit quota or as unavailable' : 'by the visit quota';
+    
+    if (plan.allowed.length === 0) {
+        logger.info(`⏭️ All ${profileUrls.length} profiles skipped ${skipCauses}`);
+        await notifyAccount(account, {
+            severity: 'info',
+            title: 'No profiles visited',
+            message: `All ${profileUrls.length} profiles were skipped ${skipCauses}.`,
+            results: skippedResults,
+            runId: run.id
+        });
+        return {
+            success: true,
+            completed: true,
+            totalUrls: profileUrls.length,
+            processedUrls: profileUrls.length,
+            successCount: 0,
+            failureCount: 0,
+            skippedCount: skippedResults.length,
+            results: skippedResults
+        };
+    }
+    
+    await notifyAccount(account, {
+        severity: 'info',
+        title: resumeUrls ? 'Resuming interrupted profile visits' : 'Starting profile visits',
+        message: `Visiting ${plan.allowed.length} ${resumeUrls ? 'remaining ' : ''}profiles (trigger: ${run.trigger})${skippedResults.length > 0 ? `, ${skippedResults.length} skipped ${skipCauses}` : ''}.`,
+        runId: run.id
+    });
+    
+    logger.info(`📅 Current time: ${new Date().toLocaleString()}`);
+    logger.info(`🔗 Visiting ${plan.allowed.length} profiles...`);
+    
+    let session;
+    try {
+        session = await openBrowserSession(account);
+        emitRunEvent(run.id, 'authenticated');
+    } catch (error) {
+        logger.error(`❌ Failed to start browser session: ${error.message}`);
+        await notifyAccount(account, {
+            severity: classifyError(error.message) === 'auth' ? 'urgent' : 'failure',
+            title: 'Failed to start browser session',
+            message: error.message,
+            runId: run.id
+        });
+        return {
+            success: false,
+            totalUrls: profileUrls.length,
+            processedUrls: skippedResults.length,
+            successCount: 0,
+            failureCount: 0,
+            skippedCount: skippedResults.length,
+            results: skippedResults,
+            message: `Failed to start browser session: ${error.message}`
+        };
     }
     
-    console.log(`📅 Current time: ${new Date().toLocaleString()}`);
-    console.log(`🔗 Visiting ${profileUrls.length} profiles...`);
+    try {
+        return await visitProfilesInSession(run, session, plan.allowed, {
+            signal,
+            onProgress,
+            continueOnError,
+            skippedResults,
+            profileIdByUrl
+        });
+    } finally {
+        await closeBrowser(session.browser);
+    }
+}
+
+/**
+ * Record a profile that was skipped, by the visit quota or as unavailable
+ */
+async function recordSkippedVisit(run, url, reason) {
+    logger.info(`⏭️ Skipping ${url}: ${reason}`, { url });
+    emitRunEvent(run.id, 'skipped', { url, reason });
+    const now = new Date().toISOString();
+    await runs.recordVisit(run.id, {
+        url,
+        success: false,
+        skipped: true,
+        skipReason: reason,
+        startedAt: now,
+        finishedAt: now,
+        durationMs: 0
+    });
+    metrics.recordVisit({ skipped: true });
+    return { url, success: false, skipped: true, reason };
+}
+
+/**
+ * Visit a profile, retrying transient failures with exponential backoff.
+ * Reopens the browser session first if the browser crashed or the page was closed.
+ * A transient failure during a shutdown, such as the browser being closed under
+ * the visit, is not retried and comes back marked as interrupted.
+ */
+async function visitProfileWithRetry(session, url, { signal }) {
+    const policy = retryPolicy();
+    let attempts = 0;
     
-    const results = [];
+    while (true) {
+        attempts++;
+        
+        if (!session.browser.isConnected() || session.page.isClosed()) {
+            logger.info("♻️ Browser session lost, starting a new one...");
+            await closeBrowser(session.browser);
+            Object.assign(session, await openBrowserSession(session.account));
+        }
+        
+        session.recorder.reset();
+        const result = await visitProfile(url, { page: session.page });
+        if (result.success) {
+            return { ...result, attempts };
+        }
+        
+        const category = classifyError(result.error);
+        if (category === 'transient' && shutdown.isShuttingDown()) {
+            return { ...result, category, attempts, interrupted: true };
+        }
+        if (category !== 'transient' || attempts > policy.retries || signal?.aborted) {
+            return { ...result, category, attempts };
+        }
+        
+        const delay = backoffDelay(attempts, policy);
+        logger.info(`🔁 Transient failure on ${url}, retry ${attempts}/${policy.retries} in ${delay / 1000} seconds...`);
+        await sleep(delay, signal);
+        if (shutdown.isShuttingDown()) {
+            return { ...result, category, attempts, interrupted: true };
+        }
+    }
+}
+
+// Failure categories that abort a run, since every following visit would fail the same way
+const FATAL_FAILURES = {
+    auth: { reason: 'Authentication error', severity: 'urgent', title: 'LinkedIn login error, run aborted' },
+    challenge: { reason: 'Security challenge', severity: 'urgent', title: 'LinkedIn security challenge, account paused' },
+    limit: { reason: 'Usage limit reached', severity: 'failure', title: 'LinkedIn usage limit reached, run aborted' }
+};
+
+/**
+ * What a person has to do to let an account paused by a challenge run again
+ */
+function resumeInstructions(account) {
+    return `Resolve the challenge in a browser logged in as the account, then resume it with POST /accounts/${account.id}/resume `
+        + `or 'linkedin-visitor accounts resume ${account.id}'.`;
+}
+
+/**
+ * Record a profile found removed, private or missing as skipped, and flag it in
+ * the registry so later runs skip it without visiting
+ */
+async function skipUnavailableProfile(run, url, result, profileId) {
+    const skipped = await recordSkippedVisit(run, url, result.error);
+    if (profileId) {
+        try {
+            await profiles.flagUnavailable(profileId, { state: result.pageState, reason: result.error, runId: run.id });
+            logger.warn(`🚩 Flagged ${url} as unavailable, runs skip it until the flag is cleared`, { url });
+        } catch (error) {
+            // The profile was deleted during the run, there is nothing left to flag
+            if (error.status !== 404) {
+                throw error;
+            }
+            logger.info(`⏭️ Not flagging ${url}, the profile was deleted during the run`, { url });
+        }
+    }
+    return skipped;
+}
+
+/**
+ * Wait a random 5 to 15 seconds before the next profile, like a person would.
+ * Drivers without real pages skip the wait.
+ */
+async function waitBeforeNextProfile(signal) {
+    if (!drivers.getDriver().pacing) {
+        return;
+    }
+    const delay = Math.round((Math.random() * (15 - 5) + 5) * 10) / 10;
+    logger.info(`⏸️  Waiting ${delay} seconds before next profile...`);
+    await sleep(delay * 1000, signal);
+}
+
+/**
+ * Visit the given profiles one after another in an authenticated browser session.
+ * Login errors, challenges and usage limits abort the run, a challenge also pauses
+ * the account. Unavailable profiles are skipped and flagged. Other failures abort
+ * the run too unless continueOnError is set, in which case they are collected and
+ * reported in the final summary.
+ */
+async function visitProfilesInSession(run, session, profileUrls, {
+    signal,
+    onProgress,
+    continueOnError,
+    skippedResults = [],
+    profileIdByUrl = new Map()
+}) {
+    const results = [...skippedResults];
+    const totalUrls = profileUrls.length + skippedResults.length;
     let successCount = 0;
     let failureCount = 0;
+    let skippedCount = skippedResults.length;
+    onProgress({ processedCount: results.length, skippedCount });
+    
+    // Stop before the profile at index. A shutdown interrupts the run so it can be
+    // resumed from that profile, anything else cancels it.
+    const stopBefore = async index => {
+        const interrupted = shutdown.isShuttingDown();
+        logger.warn(`🛑 Run ${interrupted ? 'interrupted by shutdown' : 'cancelled'} before profile ${index + 1}/${profileUrls.length}`);
+        await notifyAccount(session.account, {
+            severity: 'info',
+            title: interrupted ? 'Run interrupted by shutdown' : 'Run cancelled',
+            message: `Run ${interrupted ? 'interrupted' : 'cancelled'} after ${index} of ${profileUrls.length} profiles.`,
+            stats: { Successful: successCount, Failed: failureCount, Skipped: skippedCount, Total: totalUrls },
+            results,
+            runId: run.id
+        });
+        return {
+            success: false,
+            cancelled: !interrupted,
+            interrupted,
+            totalUrls,
+            processedUrls: skippedResults.length + index,
+            successCount,
+            failureCount,
+            skippedCount,
+            results,
+            message: `${interrupted ? 'Interrupted by shutdown' : 'Cancelled'} after ${index} profiles`
+        };
+    };
     
     for (let index = 0; index < profileUrls.length; index++) {
         const url = profileUrls[index];
-        console.log(`⏰ Processing URL ${index + 1}: ${url}`);
         
-        const result = await visitProfile(url);
+        if (signal?.aborted) {
+            return stopBefore(index);
+        }
+        
+        const quotaConfig = quota.quotaConfig(accounts.accountEnv(session.account));
+        if (quota.isQuietTime(quotaConfig)) {
+            results.push(await recordSkippedVisit(run, url, `Quiet hours (${quotaConfig.quietHours.label} ${quotaConfig.timezone})`));
+            skippedCount++;
+            onProgress({ processedCount: results.length, skippedCount });
+            continue;
+        }
+        
+        logger.info(`⏰ Processing URL ${index + 1}: ${url}`, { url });
+        onProgress({ currentIndex: index, currentUrl: url });
+        emitRunEvent(run.id, 'visiting', { url, index, total: profileUrls.length });
+        
+        const startedAt = new Date();
+        let result;
+        try {
+            result = await visitProfileWithRetry(session, url, { signal });
+        } catch (error) {
+            // Reopening a crashed browser session failed
+            result = { success: false, error: error.message, category: classifyError(error.message), attempts: 1 };
+        }
+        const finishedAt = new Date();
+        if (result.interrupted) {
+            // The visit was cut short by a shutdown, a resumed run visits the profile again
+            return stopBefore(index);
+        }
+        
+        if (result.policy === 'skip_profile') {
+            results.push(await skipUnavailableProfile(run, url, result, profileIdByUrl.get(url)));
+            skippedCount++;
+            onProgress({ processedCount: results.length, skippedCount });
+            if (index < profileUrls.length - 1) {
+                await waitBeforeNextProfile(signal);
+            }
+            continue;
+        }
+        
+        if (!result.success && artifacts.artifactsEnabled()) {
+            try {
+                result.artifact = await artifacts.captureFailureArtifacts(session.page, {
+                    runId: run.id,
+                    index,
+                    url,
+                    error: result.error,
+                    redirectChain: result.redirectChain,
+                    recorder: session.recorder
+                });
+            } catch (error) {
+                logger.warn(`⚠️ Failed to capture failure artifacts: ${error.message}`, { url });
+            }
+        }
+        
+        await runs.recordVisit(run.id, {
+            url,
+            success: result.success,
+            error: result.success ? null : result.error,
+            category: result.success ? null : result.category,
+            artifact: result.artifact || null,
+            attempts: result.attempts,
+            startedAt: startedAt.toISOString(),
+            finishedAt: finishedAt.toISOString(),
+            durationMs: finishedAt - startedAt
+        });
+        metrics.recordVisit(result);
         
         if (result.success) {
-            results.push({ url, success: true });
+            const changes = result.snapshot && profileIdByUrl.has(url)
+                ? await snapshots.recordSnapshot(profileIdByUrl.get(url), { url, runId: run.id, data: result.snapshot })
+                : [];
+            if (changes.length > 0) {
+                logger.info(`🔄 Profile changed: ${changes.map(change => change.field).join(', ')}`, { url });
+            }
+            results.push({ url, success: true, attempts: result.attempts, changes });
+            emitRunEvent(run.id, 'visited', { url, index, attempts: result.attempts, durationMs: finishedAt - startedAt, changes });
             successCount++;
+            if (successCount === 1) {
+                await sessionState.confirmValid(session.account.id);
+            }
+            onProgress({ processedCount: results.length, successCount });
             
         } else {
             failureCount++;
-            results.push({ url, success: false, error: result.error });
-            
-            console.error(`❌ Failed to visit ${url}: ${result.error}`);
-            console.error(`🛑 STOPPING PROFILE VISITS - Error detected`);
+            results.push({
+                url,
+                success: false,
+                error: result.error,
+                category: result.category,
+                attempts: result.attempts,
+                artifact: result.artifact
+            });
+            onProgress({ processedCount: results.length, failureCount });
+            emitRunEvent(run.id, 'failed', {
+                url,
+                index,
+                error: result.error,
+                category: result.category,
+                attempts: result.attempts,
+                artifact: result.artifact || null
+            });
             
-            const failureMsg = `❌ LinkedIn Profile Visitor: FAILED on profile ${index + 1}/${profileUrls.length} - URL: ${url} - Error: ${result.error} - Stats: ${successCount} successful, ${failureCount} failed`;
-            await sendSlackNotification(failureMsg);
+            logger.error(`❌ Failed to visit ${url} (${result.category}): ${result.error}`, { url });
             
-            // Just return instead of exiting the process
-            if (result.error && result.error.includes('LOGIN_ERROR')) {
-                console.error(`🚨 LOGIN ERROR - STOPPING VISITS BUT KEEPING APP RUNNING`);
+            const fatal = FATAL_FAILURES[result.category];
+            if (fatal || !continueOnError) {
+                logger.error(`🛑 STOPPING PROFILE VISITS - ${fatal ? fatal.reason : 'Error detected'}`);
+                
+                if (result.policy === 'pause_account') {
+                    await accounts.pauseAccount(session.account.id, result.error);
+                    logger.warn(`⏸️ Account '${session.account.id}' paused until the challenge is resolved`);
+                }
+                
+                await notifyAccount(session.account, {
+                    severity: fatal ? fatal.severity : 'failure',
+                    title: fatal ? fatal.title : 'Run stopped on failed profile',
+                    message: `Failed on profile ${index + 1}/${profileUrls.length} - ${url} - ${result.error}`
+                        + (result.policy === 'pause_account' ? `\n${resumeInstructions(session.account)}` : '')
+                        + (result.artifact ? `\nFailure artifacts: ${artifacts.artifactsLink(run.id)}` : ''),
+                    stats: { Successful: successCount, Failed: failureCount, Skipped: skippedCount, Total: totalUrls },
+                    results,
+                    runId: run.id
+                });
+                
+                return {
+                    success: false,
+                    totalUrls,
+                    processedUrls: skippedResults.length + index + 1,
+                    successCount,
+                    failureCount,
+                    skippedCount,
+                    results,
+                    message: `Failed on profile ${index + 1}: ${result.error}`
+                };
             }
             
-            return {
-                success: false,
-                totalUrls: profileUrls.length,
-                processedUrls: index + 1,
-                successCount,
-                failureCount,
-                results,
-                message: `Failed on profile ${index + 1}: ${result.error}`
-            };
+            logger.info(`⏭️ Continuing with the next profile`);
         }
         
         if (index < profileUrls.length - 1) {
-            const delay = Math.round((Math.random() * (15 - 5) + 5) * 10) / 10;
-            console.log(`⏸️  Waiting ${delay} seconds before next profile...`);
-            await sleep(delay * 1000);
+            await waitBeforeNextProfile(signal);
         }
     }
     
-    console.log(`\n📊 ALL PROFILES COMPLETED SUCCESSFULLY!`);
-    console.log(`✅ Successful visits: ${successCount}`);
-    console.log(`❌ Failed visits: ${failureCount}`);
-    console.log(`📅 Completed at: ${new Date().toLocaleString()}`);
+    const failures = results.filter(result => !result.success && !result.skipped);
+    
+    logger.info(`📊 ALL PROFILES PROCESSED${failures.length === 0 ? ' SUCCESSFULLY' : ''}!`);
+    logger.info(`✅ Successful visits: ${successCount}`);
+    logger.info(`❌ Failed visits: ${failureCount}`);
+    logger.info(`⏭️ Skipped profiles: ${skippedCount}`);
+    logger.info(`📅 Completed at: ${new Date().toLocaleString()}`);
     
-    const summaryMsg = `✅ LinkedIn Profile Visitor: ALL COMPLETED SUCCESSFULLY! 📊 ${successCount} successful, ${failureCount} failed out of ${profileUrls.length} total profiles`;
-    await sendSlackNotification(summaryMsg);
+    const changeLines = results
+        .filter(result => result.changes && result.changes.length > 0)
+        .flatMap(result => result.changes.map(change => `• ${result.url}: ${change.field} changed from "${change.from}" to "${change.to}"`));
+    
+    await notifyAccount(session.account, {
+        severity: failures.length === 0 ? 'success' : 'failure',
+        title: failures.length === 0 ? 'All profile visits completed' : 'Profile visits completed with failures',
+        message: `${successCount} successful, ${failureCount} failed, ${skippedCount} skipped out of ${totalUrls} total profiles.`
+            + (changeLines.length > 0 ? `\n\nProfile changes:\n${changeLines.join('\n')}` : '')
+            + (failures.some(failure => failure.artifact) ? `\n\nFailure artifacts: ${artifacts.artifactsLink(run.id)}` : ''),
+        stats: { Successful: successCount, Failed: failureCount, Skipped: skippedCount, Total: totalUrls },
+        results,
+        runId: run.id
+    });
     
     return {
-        success: true,
-        totalUrls: profileUrls.length,
-        processedUrls: profileUrls.length,
+        success: failures.length === 0,
+        completed: true,
+        totalUrls,
+        processedUrls: totalUrls,
         successCount,
         failureCount,
-        results
+        skippedCount,
+        results,
+        message: failures.length === 0 ? undefined : `Completed with ${failures.length} failed profiles`
     };
 }
 
 /**
- * Setup Express API server with Swagger documentation
+ * Refuse to run an account paused by a challenge, with a 409 error
+ */
+function requireUnpaused(account) {
+    if (account.pausedAt) {
+        throw httpError(409, `Account '${account.id}' is paused since ${account.pausedAt}: ${account.pauseReason}`);
+    }
+}
+
+/**
+ * Start a background run job for an account, holding the account's run lock
+ * until it finishes. Runs of different accounts may overlap.
+ */
+async function startRunJob(trigger, { accountId = accounts.DEFAULT_ACCOUNT_ID, ...options } = {}) {
+    if (shutdown.isShuttingDown()) {
+        throw httpError(503, 'Shutting down, no new runs are started');
+    }
+    const account = await accounts.requireAccount(accountId);
+    if (!account.enabled) {
+        throw httpError(409, `Account '${accountId}' is disabled`);
+    }
+    requireUnpaused(account);
+    return jobs.startJob({ trigger, accountId }, ({ signal, onProgress }) => runProfileVisits({
+        ...options,
+        accountId,
+        trigger,
+        signal,
+        onProgress
+    }));
+}
+
+/**
+ * Wait for the runs in progress to stop before their next profile. Runs that take
+ * longer than SHUTDOWN_TIMEOUT_MS have their browsers closed under them, and runs
+ * that still do not settle are recorded as interrupted, to be resumed.
+ */
+async function stopActiveRuns() {
+    if (activeRuns.size === 0) {
+        return;
+    }
+    logger.info(`⏳ Waiting for ${activeRuns.size} run(s) to stop...`);
+    const settled = Promise.allSettled([...activeRuns.values()]).then(() => true);
+    const timeoutMs = shutdown.shutdownTimeoutMs();
+    if (await Promise.race([settled, sleep(timeoutMs).then(() => false)])) {
+        return;
+    }
+    
+    logger.warn(`⚠️ Runs did not stop within ${timeoutMs / 1000} seconds, closing their browsers`);
+    await Promise.all([...openBrowsers].map(closeBrowser));
+    if (await Promise.race([settled, sleep(5000).then(() => false)])) {
+        return;
+    }
+    for (const runId of activeRuns.keys()) {
+        await runs.finishRun(runId, { status: 'interrupted', error: 'Interrupted by shutdown' });
+        logger.warn(`⚠️ Run ${runId} did not stop, recorded as interrupted`);
+    }
+}
+
+shutdown.onShutdown('runs', stopActiveRuns);
+// A session probe in progress is let finish, so its alerts reach the webhooks below
+shutdown.onShutdown('session monitor', sessionMonitor.stopSessionMonitor);
+
+// Run events are sent to the event webhooks; deliveries in progress are waited
+// for once the runs have stopped, and retries left pending resume on the next start
+subscribeAllRunEvents(webhooks.publishRunEvent);
+shutdown.onShutdown('webhooks', webhooks.stopDeliveries);
+
+/**
+ * Take up the runs a previous process left behind, interrupted by a shutdown or
+ * still running when it crashed, optionally only those of one account. With
+ * INTERRUPTED_RUNS=resume (the default) each is resumed in a background job from
+ * its next unvisited profile, otherwise, or when it cannot be resumed, it is
+ * marked as aborted. Returns the jobs started.
+ */
+async function recoverInterruptedRuns({ accountId } = {}) {
+    const resume = (process.env.INTERRUPTED_RUNS || 'resume') === 'resume';
+    const started = [];
+    for (const run of await runs.listInterruptedRuns()) {
+        if (accountId && run.accountId !== accountId) {
+            continue;
+        }
+        const cause = run.status === 'interrupted' ? 'interrupted by a shutdown' : 'still running when the process stopped';
+        let reason = !resume ? 'INTERRUPTED_RUNS is abort'
+            : !run.checkpoint ? 'it has no checkpoint'
+            : null;
+        if (!reason) {
+            try {
+                started.push(await startRunJob('resume', { accountId: run.accountId, resumeRun: run }));
+                logger.info(`⏯️ Resuming run ${run.id} of account '${run.accountId}', ${cause}`);
+                continue;
+            } catch (error) {
+                reason = error.message;
+            }
+        }
+        await runs.finishRun(run.id, { status: 'aborted', error: `Run was ${cause} and not resumed: ${reason}` });
+        logger.warn(`⚠️ Marked run ${run.id} of account '${run.accountId}' as aborted, it was ${cause}: ${reason}`);
+    }
+    return started;
+}
+
+/**
+ * Setup Express API server with Swagger documentation, returning the HTTP server
  */
 function setupAPI() {
     const app = express();
@@ -434,21 +1171,37 @@ function setupAPI() {
             info: {
                 title: 'LinkedIn Profile Visitor API',
                 version: '1.0.0',
-                description: 'API for managing LinkedIn profile visits with automated scheduling',
+                description: 'API for managing LinkedIn profile visits with automated scheduling.\n\n'
+                    + 'Every endpoint except `/health` needs an API key, sent as a bearer token or in the `X-API-Key` header. '
+                    + 'Keys with the `viewer` role can read, `operator` keys can also start runs and change configuration, '
+                    + 'and `admin` keys can also manage API keys. Missing or invalid keys get a 401, keys without the required role a 403.\n\n'
+                    + 'The dashboard at `/dashboard/` is a public static page holding no data: it calls these endpoints with the key it is signed in with.',
                 contact: {
                     name: 'LinkedIn Profile Visitor',
                 },
             },
             servers: [
+                ...(process.env.PUBLIC_BASE_URL ? [{ url: process.env.PUBLIC_BASE_URL, description: 'This server' }] : []),
                 {
                     url: `http://localhost:${port}`,
                     description: 'Development server',
                 },
-                {
-                    url: 'https://linkedin-profile-visitor-pup-script.nhs9sl.easypanel.host',
-                    description: 'Production server',
-                },
             ],
+            components: {
+                securitySchemes: {
+                    BearerAuth: {
+                        type: 'http',
+                        scheme: 'bearer',
+                        description: 'API key sent as a bearer token',
+                    },
+                    ApiKeyAuth: {
+                        type: 'apiKey',
+                        in: 'header',
+                        name: 'X-API-Key',
+                    },
+                },
+            },
+            security: [{ BearerAuth: [] }, { ApiKeyAuth: [] }],
             tags: [
                 {
                     name: 'System',
@@ -458,9 +1211,41 @@ function setupAPI() {
                     name: 'Profile Visits',
                     description: 'LinkedIn profile visiting operations',
                 },
+                {
+                    name: 'Jobs',
+                    description: 'Progress and cancellation of background runs',
+                },
+                {
+                    name: 'Schedules',
+                    description: 'Cron schedules that start runs',
+                },
+                {
+                    name: 'Session',
+                    description: 'LinkedIn session cookies and login probes',
+                },
+                {
+                    name: 'Profiles',
+                    description: 'Registry of LinkedIn profiles to visit',
+                },
+                {
+                    name: 'Runs',
+                    description: 'History of past profile visit runs',
+                },
+                {
+                    name: 'API Keys',
+                    description: 'API keys and their roles, admin only',
+                },
+                {
+                    name: 'Accounts',
+                    description: 'LinkedIn accounts, each with its own session, profiles, schedules, quotas and notifications',
+                },
+                {
+                    name: 'Webhooks',
+                    description: 'Signed event webhooks for integrations, admin only',
+                },
             ],
         },
-        apis: ['./index.js'], // Path to the API docs
+        apis: ['./index.js', './lib/routes/*.js'], // Path to the API docs
     };
     
     const specs = swaggerJsdoc(swaggerOptions);
@@ -469,6 +1254,12 @@ function setupAPI() {
         customSiteTitle: 'LinkedIn Profile Visitor API'
     }));
     
+    app.use(auth.authenticate);
+    
+    // Static dashboard shell, public through PUBLIC_PATHS in lib/auth.js. It holds no data and
+    // calls the API below with the key it is signed in with.
+    app.use('/dashboard', express.static(DASHBOARD_DIR));
+    
     /**
      * @swagger
      * components:
@@ -478,7 +1269,55 @@ function setupAPI() {
      *       properties:
      *         status:
      *           type: string
+     *           enum: [ok, degraded]
      *           example: ok
+     *         reasons:
+     *           type: array
+     *           description: Why the service is degraded
+     *           items:
+     *             type: string
+     *         lastRun:
+     *           type: object
+     *           nullable: true
+     *           properties:
+     *             id:
+     *               type: string
+     *             status:
+     *               type: string
+     *             finishedAt:
+     *               type: string
+     *               format: date-time
+     *             error:
+     *               type: string
+     *               nullable: true
+     *         lastSuccessfulRunAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *         sessionLastValidAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *           description: When the default account's session was last confirmed valid
+     *         accounts:
+     *           type: array
+     *           description: Health of each enabled account
+     *           items:
+     *             type: object
+     *             properties:
+     *               id:
+     *                 type: string
+     *                 example: default
+     *               status:
+     *                 type: string
+     *                 enum: [ok, degraded]
+     *               lastRun:
+     *                 type: object
+     *                 nullable: true
+     *               sessionLastValidAt:
+     *                 type: string
+     *                 format: date-time
+     *                 nullable: true
      *         timestamp:
      *           type: string
      *           format: date-time
@@ -492,12 +1331,92 @@ function setupAPI() {
      *           example: running
      *         nextRun:
      *           type: string
-     *           example: 9:00 AM daily
+     *           format: date-time
+     *           nullable: true
+     *           description: Earliest next fire time across all active schedules
+     *           example: 2024-01-02T03:30:00.000Z
+     *         runInProgress:
+     *           type: boolean
+     *           example: false
+     *         activeJobId:
+     *           type: string
+     *           nullable: true
+     *         schedules:
+     *           type: array
+     *           items:
+     *             type: object
+     *             properties:
+     *               id:
+     *                 type: string
+     *               accountId:
+     *                 type: string
+     *                 example: default
+     *               name:
+     *                 type: string
+     *                 example: default
+     *               cron:
+     *                 type: string
+     *                 example: 0 9 * * *
+     *               timezone:
+     *                 type: string
+     *                 example: Asia/Kolkata
+     *               paused:
+     *                 type: boolean
+     *               nextRun:
+     *                 type: string
+     *                 format: date-time
+     *                 nullable: true
+     *         accountId:
+     *           type: string
+     *           description: The account whose quota and session are reported
+     *           example: default
+     *         quota:
+     *           $ref: '#/components/schemas/QuotaStatus'
+     *         session:
+     *           $ref: '#/components/schemas/SessionHealth'
      *         timestamp:
      *           type: string
      *           format: date-time
      *           example: 2024-01-01T12:00:00.000Z
      *     
+     *     QuotaUsage:
+     *       type: object
+     *       properties:
+     *         limit:
+     *           type: integer
+     *           nullable: true
+     *           description: Null when no cap is configured
+     *           example: 40
+     *         used:
+     *           type: integer
+     *           example: 12
+     *         remaining:
+     *           type: integer
+     *           nullable: true
+     *           example: 28
+     *     
+     *     QuotaStatus:
+     *       type: object
+     *       properties:
+     *         daily:
+     *           $ref: '#/components/schemas/QuotaUsage'
+     *         weekly:
+     *           $ref: '#/components/schemas/QuotaUsage'
+     *         revisitHours:
+     *           type: integer
+     *           nullable: true
+     *           example: 72
+     *         quietHours:
+     *           type: string
+     *           nullable: true
+     *           example: 22:00-07:00
+     *         timezone:
+     *           type: string
+     *           example: Asia/Kolkata
+     *         inQuietHours:
+     *           type: boolean
+     *           example: false
+     *     
      *     ProfileResult:
      *       type: object
      *       properties:
@@ -510,25 +1429,88 @@ function setupAPI() {
      *         error:
      *           type: string
      *           example: Error message if failed
+     *         category:
+     *           type: string
+     *           enum: [auth, challenge, limit, transient, profile]
+     *           description: Failure category, only set for failed visits
+     *         attempts:
+     *           type: integer
+     *           example: 1
+     *         changes:
+     *           type: array
+     *           description: Profile fields that changed since the previous snapshot
+     *           items:
+     *             type: object
+     *         skipped:
+     *           type: boolean
+     *           description: The profile was not visited because of the visit quota
+     *         reason:
+     *           type: string
+     *           description: Why the profile was skipped
+     *           example: Daily cap of 40 visits reached
      *     
-     *     RunResponse:
+     *     RunResult:
      *       type: object
      *       properties:
+     *         runId:
+     *           type: string
+     *           example: 3f1c2b9e-6a0d-4e0b-9f4a-2f1e7c3d5a10
      *         success:
      *           type: boolean
      *           example: true
+     *         completed:
+     *           type: boolean
+     *           description: Every profile was processed, even if some failed
+     *           example: true
+     *         cancelled:
+     *           type: boolean
+     *           example: false
      *         message:
      *           type: string
-     *           example: Profile visits completed
-     *         timestamp:
-     *           type: string
-     *           format: date-time
-     *           example: 2024-01-01T12:00:00.000Z
+     *           example: Failed on profile 3 - LOGIN_ERROR - Not logged in
+     *         totalUrls:
+     *           type: integer
+     *           example: 12
+     *         processedUrls:
+     *           type: integer
+     *           example: 12
+     *         successCount:
+     *           type: integer
+     *           example: 12
+     *         failureCount:
+     *           type: integer
+     *           example: 0
+     *         skippedCount:
+     *           type: integer
+     *           example: 0
      *         results:
      *           type: array
      *           items:
      *             $ref: '#/components/schemas/ProfileResult'
      *     
+     *     RunAcceptedResponse:
+     *       type: object
+     *       properties:
+     *         success:
+     *           type: boolean
+     *           example: true
+     *         message:
+     *           type: string
+     *           example: Profile visits started
+     *         jobId:
+     *           type: string
+     *           example: 9b2f6c1d-3e4a-4f5b-8c7d-1a2b3c4d5e6f
+     *         accountId:
+     *           type: string
+     *           example: default
+     *         statusUrl:
+     *           type: string
+     *           example: /jobs/9b2f6c1d-3e4a-4f5b-8c7d-1a2b3c4d5e6f
+     *         timestamp:
+     *           type: string
+     *           format: date-time
+     *           example: 2024-01-01T12:00:00.000Z
+     *     
      *     ErrorResponse:
      *       type: object
      *       properties:
@@ -541,6 +1523,9 @@ function setupAPI() {
      *         error:
      *           type: string
      *           example: Detailed error message
+     *         jobId:
+     *           type: string
+     *           description: Id of the job already holding the run lock, on 409
      *         timestamp:
      *           type: string
      *           format: date-time
@@ -552,8 +1537,9 @@ function setupAPI() {
      * /health:
      *   get:
      *     summary: Health check endpoint
-     *     description: Returns the current health status of the application
+     *     description: Returns the health of the application, degraded when the last run of an enabled account failed with a login error or a session probe found it logged out, or an enabled account is paused. Without a valid API key only the status is returned, with one the reasons and the health of each account too.
      *     tags: [System]
+     *     security: [{}, { BearerAuth: [] }, { ApiKeyAuth: [] }]
      *     responses:
      *       200:
      *         description: Application is healthy
@@ -561,9 +1547,47 @@ function setupAPI() {
      *           application/json:
      *             schema:
      *               $ref: '#/components/schemas/HealthResponse'
+     *       503:
+     *         description: Application is degraded and needs attention, such as new session cookies
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/HealthResponse'
+     */
+    app.get('/health', async (req, res) => {
+        try {
+            const health = await getHealth();
+            // Account ids, run errors and pause reasons are only for callers with a key
+            const body = await auth.hasValidKey(req) ? health : { status: health.status };
+            res.status(health.status === 'ok' ? 200 : 503).json(body);
+        } catch (error) {
+            sendError(res, error, 'Failed to check health');
+        }
+    });
+    
+    /**
+     * @swagger
+     * /metrics:
+     *   get:
+     *     summary: Prometheus metrics
+     *     description: Run, visit and browser metrics in the Prometheus exposition format
+     *     tags: [System]
+     *     responses:
+     *       200:
+     *         description: Metrics
+     *         content:
+     *           text/plain:
+     *             schema:
+     *               type: string
      */
-    app.get('/health', (req, res) => {
-        res.json({ status: 'ok', timestamp: new Date().toISOString() });
+    app.get('/metrics', async (req, res) => {
+        try {
+            const body = await metrics.registry.metrics();
+            res.set('Content-Type', metrics.registry.contentType);
+            res.send(body);
+        } catch (error) {
+            sendError(res, error, 'Failed to collect metrics');
+        }
     });
     
     /**
@@ -571,8 +1595,14 @@ function setupAPI() {
      * /status:
      *   get:
      *     summary: Get application status
-     *     description: Returns the current application status and scheduling information
+     *     description: Returns the current application status and scheduling information, for every account or only the given one
      *     tags: [System]
+     *     parameters:
+     *       - in: query
+     *         name: accountId
+     *         description: Only report this account's schedules and run, and its quota instead of the default account's
+     *         schema:
+     *           type: string
      *     responses:
      *       200:
      *         description: Application status information
@@ -580,13 +1610,39 @@ function setupAPI() {
      *           application/json:
      *             schema:
      *               $ref: '#/components/schemas/StatusResponse'
+     *       404:
+     *         description: Account not found
      */
-    app.get('/status', (req, res) => {
-        res.json({
-            status: 'running',
-            nextRun: '9:00 AM daily',
-            timestamp: new Date().toISOString()
-        });
+    app.get('/status', async (req, res) => {
+        const { accountId } = req.query;
+        try {
+            const account = await accounts.requireAccount(accountId || accounts.DEFAULT_ACCOUNT_ID);
+            const schedules = (await scheduler.listSchedules({ accountId })).map(schedule => ({
+                id: schedule.id,
+                accountId: schedule.accountId,
+                name: schedule.name,
+                cron: schedule.cron,
+                timezone: schedule.timezone,
+                paused: schedule.paused,
+                nextRun: schedule.nextRuns[0] || null
+            }));
+            const nextRuns = schedules.map(schedule => schedule.nextRun).filter(Boolean).sort();
+            const activeJob = accountId ? jobs.getActiveJob(accountId) : jobs.listActiveJobs()[0];
+            
+            res.json({
+                status: 'running',
+                nextRun: nextRuns[0] || null,
+                runInProgress: Boolean(activeJob),
+                activeJobId: activeJob ? activeJob.id : null,
+                schedules,
+                accountId: account.id,
+                quota: await quota.getQuotaStatus({ accountId: account.id, env: accounts.accountEnv(account) }),
+                session: await sessionMonitor.getSessionStatus(account.id),
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            sendError(res, error, 'Failed to load status');
+        }
     });
     
     /**
@@ -594,43 +1650,96 @@ function setupAPI() {
      * /run:
      *   post:
      *     summary: Manually trigger profile visits
-     *     description: Immediately starts visiting all configured LinkedIn profiles
+     *     description: Starts visiting all enabled LinkedIn profiles of an account in the background. Poll the returned job for progress. Runs of different accounts can overlap.
      *     tags: [Profile Visits]
+     *     requestBody:
+     *       required: false
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               accountId:
+     *                 type: string
+     *                 description: The account to run, the default account if omitted
+     *                 example: default
+     *               continueOnError:
+     *                 type: boolean
+     *                 description: Visit every remaining profile after a non-fatal failure. Defaults to CONTINUE_ON_ERROR.
      *     responses:
-     *       200:
-     *         description: Profile visits completed successfully
+     *       202:
+     *         description: Profile visits started
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/RunAcceptedResponse'
+     *       400:
+     *         description: Invalid request body
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     *       404:
+     *         description: Account not found
      *         content:
      *           application/json:
      *             schema:
-     *               $ref: '#/components/schemas/RunResponse'
-     *       500:
-     *         description: Profile visits failed
+     *               $ref: '#/components/schemas/ErrorResponse'
+     *       409:
+     *         description: A run of the account is already in progress, or the account is disabled or paused
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     *       503:
+     *         description: The service is shutting down and starts no new runs
      *         content:
      *           application/json:
      *             schema:
      *               $ref: '#/components/schemas/ErrorResponse'
      */
     app.post('/run', async (req, res) => {
-        console.log("🚀 Manual run triggered via API");
+        logger.info("🚀 Manual run triggered via API");
         try {
-            const result = await runProfileVisits();
-            res.json({
+            const { accountId = accounts.DEFAULT_ACCOUNT_ID, continueOnError } = req.body || {};
+            if (typeof accountId !== 'string') {
+                throw httpError(400, 'accountId must be a string');
+            }
+            if (continueOnError !== undefined && typeof continueOnError !== 'boolean') {
+                throw httpError(400, 'continueOnError must be a boolean');
+            }
+            const job = await startRunJob('api', { accountId, ...(continueOnError === undefined ? {} : { continueOnError }) });
+            res.status(202).json({
                 success: true,
-                message: "Profile visits completed",
-                timestamp: new Date().toISOString(),
-                ...result
+                message: "Profile visits started",
+                jobId: job.id,
+                accountId,
+                statusUrl: `/jobs/${job.id}`,
+                timestamp: new Date().toISOString()
             });
         } catch (error) {
-            console.error("❌ API run failed:", error);
-            res.status(500).json({
+            if (!error.status) {
+                logger.error("❌ API run failed", { error });
+            }
+            res.status(error.status || 500).json({
                 success: false,
-                message: "Profile visits failed",
+                message: "Profile visits not started",
                 error: error.message,
+                jobId: error.jobId,
                 timestamp: new Date().toISOString()
             });
         }
     });
     
+    registerJobRoutes(app);
+    registerSessionRoutes(app, { probeSession });
+    registerScheduleRoutes(app);
+    registerProfileRoutes(app);
+    registerRunRoutes(app);
+    registerApiKeyRoutes(app);
+    registerAccountRoutes(app);
+    registerWebhookRoutes(app);
+    
     // Welcome page with API documentation links
     app.get('/', (req, res) => {
         res.json({
@@ -638,60 +1747,131 @@ function setupAPI() {
             version: '1.0.0',
             description: 'API for managing LinkedIn profile visits with automated scheduling',
             documentation: `/api-docs`,
+            dashboard: '/dashboard/',
             endpoints: {
                 health: '/health',
+                metrics: '/metrics',
                 status: '/status',
                 run: '/run (POST)',
+                jobs: '/jobs/:id',
+                schedules: '/schedules',
+                session: '/session',
+                profiles: '/profiles',
+                runs: '/runs',
+                runEvents: '/runs/:id/events',
+                apiKeys: '/api-keys',
+                accounts: '/accounts',
+                webhooks: '/webhooks',
                 docs: '/api-docs'
             }
         });
     });
     
-    app.listen(port, () => {
-        console.log(`🌐 API server running on port ${port}`);
-        console.log(`📋 Endpoints:`);
-        console.log(`   GET  /         - API info`);
-        console.log(`   GET  /health   - Health check`);
-        console.log(`   POST /run      - Manual trigger`);
-        console.log(`   GET  /status   - Status info`);
-        console.log(`   GET  /api-docs - Swagger documentation`);
-        console.log(`\n🔗 Swagger UI available at: http://localhost:${port}/api-docs`);
+    return app.listen(port, () => {
+        logger.info(`🌐 API server running on port ${port}`);
+        logger.info(`📋 Endpoints:`);
+        logger.info(`   GET  /         - API info`);
+        logger.info(`   GET  /health   - Health check`);
+        logger.info(`   GET  /metrics  - Prometheus metrics`);
+        logger.info(`   POST /run      - Manual trigger`);
+        logger.info(`   GET  /status   - Status info`);
+        logger.info(`   GET  /jobs/:id - Run job progress`);
+        logger.info(`   GET  /schedules - Schedules`);
+        logger.info(`   GET  /session  - Session status`);
+        logger.info(`   GET  /profiles - Profile registry`);
+        logger.info(`   GET  /runs     - Run history`);
+        logger.info(`   GET  /accounts - LinkedIn accounts`);
+        logger.info(`   GET  /webhooks - Event webhooks`);
+        logger.info(`   GET  /api-docs - Swagger documentation`);
+        logger.info(`   GET  /dashboard - Web dashboard`);
+        logger.info(`\n🔗 Swagger UI available at: http://localhost:${port}/api-docs`);
+        logger.info(`🖥️ Dashboard available at: http://localhost:${port}/dashboard/`);
     });
 }
 
 async function main() {
-    console.log("🎯 Starting LinkedIn Profile Visitor...");
+    logger.info("🎯 Starting LinkedIn Profile Visitor...");
     
-    // Setup API server
-    setupAPI();
+    // Refuse to start on invalid settings rather than failing later in a run
+    const { errors, warnings } = loadConfig();
+    warnings.forEach(warning => logger.warn(`⚠️ ${warning}`));
+    if (errors.length > 0) {
+        errors.forEach(error => logger.error(`❌ ${error}`));
+        throw new Error("Invalid configuration, run 'npm run check-config' for details");
+    }
     
-    // Setup cron job for 9 AM daily
-    console.log("⏰ Setting up cron job for 9:00 AM daily...");
-    cron.schedule(`${process.env.CRON_EXPRESSION}`, async () => {
-        console.log("🕘 Cron job triggered at 9:00 AM");
-        try {
-            await runProfileVisits();
-        } catch (error) {
-            console.error("❌ Cron job failed:", error);
+    // Import URLS into the profile registry on first start
+    const seeded = await profiles.seedProfiles(loadProfileUrls);
+    if (seeded > 0) {
+        logger.info(`🌱 Seeded profile registry with ${seeded} URLs from URLS`);
+    }
+    
+    // Start the persisted cron schedules, failing fast on an invalid CRON_EXPRESSION
+    await scheduler.startScheduler({
+        onFire: async schedule => {
+            try {
+                const job = await startRunJob('cron', {
+                    accountId: schedule.accountId,
+                    scheduleId: schedule.id,
+                    profileIds: schedule.profileIds
+                });
+                await job.promise;
+            } catch (error) {
+                if (error.status === 409 || error.status === 503) {
+                    logger.info(`⏭️ Skipping run for schedule '${schedule.name}': ${error.message}`);
+                } else {
+                    throw error;
+                }
+            }
         }
-    }, {
-        timezone: "IST" // Change this to your timezone if needed
     });
     
-    console.log("✅ Application started successfully!");
-    console.log("📅 Profile visits will run daily at 9:00 AM");
-    console.log("🌐 Use POST /run endpoint to trigger manually");
+    // Setup API server
+    await auth.checkAuthSetup();
+    const server = setupAPI();
+    
+    // On SIGTERM or SIGINT, refuse new runs, let the runs in progress stop and
+    // close the browsers, then stop the schedules and the API server
+    shutdown.onShutdown('scheduler', () => scheduler.stopScheduler());
+    shutdown.onShutdown('api', () => {
+        server.close();
+        server.closeAllConnections();
+    });
+    shutdown.installSignalHandlers();
+    
+    // Resume or abort the runs a previous process left behind, and retry the
+    // webhook deliveries it left pending
+    await recoverInterruptedRuns();
+    await webhooks.resumeDeliveries();
+    
+    // Probe the sessions between runs and warn before their cookies expire
+    sessionMonitor.startSessionMonitor({ probeSession, onAlert: notifyAccount });
+    
+    logger.info("✅ Application started successfully!");
+    logger.info("📅 Manage schedules with the /schedules endpoints");
+    logger.info("🌐 Use POST /run endpoint to trigger manually");
 }
 
 // Run the main function if this file is executed directly
 if (require.main === module) {
-    main().catch(console.error);
+    main().catch(error => {
+        logger.error(`❌ Failed to start: ${error.message}`);
+        process.exit(1);
+    });
 }
 
 module.exports = {
     setupDriver,
+    checkLoginStatus,
     addCookie,
+    openBrowserSession,
+    closeBrowser,
+    probeSession,
     visitProfile,
+    runSingleVisit,
+    runProfileVisits,
+    recoverInterruptedRuns,
     loadProfileUrls,
+    setupAPI,
     main
 };
\ No newline at end of file
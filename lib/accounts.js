@@ -0,0 +1,252 @@
+const { createStore } = require('./store');
+const { httpError } = require('./errors');
+
+const DEFAULT_ACCOUNT_ID = 'default';
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const EDITABLE_FIELDS = ['name', 'enabled', 'settings'];
+
+// Settings an account can override, named after the environment variables they replace
+const COOKIE_SETTINGS = ['COOKIE_SOURCES', 'COOKIES_PATH', 'COOKIES', 'COOKIES_URL', 'COOKIES_TOKEN'];
+const QUOTA_SETTINGS = ['QUOTA_DAILY_LIMIT', 'QUOTA_WEEKLY_LIMIT', 'QUOTA_REVISIT_HOURS', 'QUOTA_QUIET_HOURS', 'QUOTA_TIMEZONE'];
+const CHANNEL_SETTINGS = ['SLACK_WEBHOOK_URL', 'DISCORD_WEBHOOK_URL', 'NOTIFY_WEBHOOK_URL', 'NOTIFY_WEBHOOK_TOKEN', 'EMAIL_TO'];
+const SEVERITY_SETTINGS = ['SLACK_MIN_SEVERITY', 'DISCORD_MIN_SEVERITY', 'NOTIFY_WEBHOOK_MIN_SEVERITY', 'EMAIL_MIN_SEVERITY'];
+const ACCOUNT_SETTINGS = [...COOKIE_SETTINGS, ...QUOTA_SETTINGS, ...CHANNEL_SETTINGS, ...SEVERITY_SETTINGS];
+// Settings naming a file the server reads, a URL or address it sends data to, or the
+// credential it sends along, which only admins may change
+const SERVER_ACCESS_SETTINGS = [
+    'COOKIES_PATH', 'COOKIES_URL', 'SLACK_WEBHOOK_URL', 'DISCORD_WEBHOOK_URL', 'NOTIFY_WEBHOOK_URL', 'NOTIFY_WEBHOOK_TOKEN', 'EMAIL_TO'
+];
+
+const store = createStore('accounts.json', { accounts: [] }, {
+    upgrade(data) {
+        data.accounts.forEach(account => {
+            account.pausedAt = account.pausedAt ?? null;
+            account.pauseReason = account.pauseReason ?? null;
+        });
+    }
+});
+
+/**
+ * The account a profile, schedule or run belongs to. Records written before
+ * accounts existed belong to the default account.
+ */
+function accountIdOf(record) {
+    return record.accountId || DEFAULT_ACCOUNT_ID;
+}
+
+/**
+ * The default account as it is before it has been edited, configured by the environment alone
+ */
+function builtInDefaultAccount() {
+    return {
+        id: DEFAULT_ACCOUNT_ID,
+        name: 'Default',
+        enabled: true,
+        settings: {},
+        pausedAt: null,
+        pauseReason: null,
+        createdAt: null,
+        updatedAt: null
+    };
+}
+
+/**
+ * Validate account fields, throwing a 400 error on the first problem.
+ * Setting values are turned into the strings the environment would hold.
+ */
+function validateFields(fields, { partial }) {
+    const unknown = Object.keys(fields).filter(key => !EDITABLE_FIELDS.includes(key) && (partial || key !== 'id'));
+    if (unknown.length > 0) {
+        throw httpError(400, `Unknown account fields: ${unknown.join(', ')}`);
+    }
+    if (!partial && (typeof fields.id !== 'string' || !ID_PATTERN.test(fields.id))) {
+        throw httpError(400, 'Account id must be 1-40 lowercase letters, digits, dashes or underscores');
+    }
+    if ((!partial || fields.name !== undefined) && (typeof fields.name !== 'string' || fields.name.trim() === '')) {
+        throw httpError(400, 'Account name is required');
+    }
+    if (fields.enabled !== undefined && typeof fields.enabled !== 'boolean') {
+        throw httpError(400, 'Account enabled must be a boolean');
+    }
+    if (fields.settings === undefined) {
+        return;
+    }
+    if (!fields.settings || typeof fields.settings !== 'object' || Array.isArray(fields.settings)) {
+        throw httpError(400, 'Account settings must be an object');
+    }
+    const unknownSettings = Object.keys(fields.settings).filter(name => !ACCOUNT_SETTINGS.includes(name));
+    if (unknownSettings.length > 0) {
+        throw httpError(400, `Settings that cannot be set per account: ${unknownSettings.join(', ')}`);
+    }
+    for (const [name, value] of Object.entries(fields.settings)) {
+        if (value !== null && !['string', 'number'].includes(typeof value)) {
+            throw httpError(400, `Account setting ${name} must be a string, a number or null`);
+        }
+        if (typeof value === 'number') {
+            fields.settings[name] = String(value);
+        }
+    }
+}
+
+/**
+ * Apply setting changes, a null value removing the override
+ */
+function mergeSettings(settings, changes = {}) {
+    const merged = { ...settings, ...changes };
+    return Object.fromEntries(Object.entries(merged).filter(([, value]) => value !== null && value !== ''));
+}
+
+/**
+ * List accounts, the default account first
+ */
+async function listAccounts({ enabled } = {}) {
+    const data = await store.read();
+    const stored = data.accounts.find(account => account.id === DEFAULT_ACCOUNT_ID);
+    const list = [stored || builtInDefaultAccount(), ...data.accounts.filter(account => account.id !== DEFAULT_ACCOUNT_ID)];
+    return list.filter(account => enabled === undefined || account.enabled === enabled);
+}
+
+/**
+ * Get an account by id
+ */
+async function getAccount(id) {
+    return (await listAccounts()).find(account => account.id === id) || null;
+}
+
+/**
+ * Get an account by id, throwing a 404 error when it does not exist
+ */
+async function requireAccount(id) {
+    const account = await getAccount(id);
+    if (!account) {
+        throw httpError(404, `Account not found: ${id}`);
+    }
+    return account;
+}
+
+/**
+ * Add an account
+ */
+async function createAccount(fields) {
+    validateFields(fields, { partial: false });
+
+    return store.update(data => {
+        if (fields.id === DEFAULT_ACCOUNT_ID || data.accounts.some(account => account.id === fields.id)) {
+            throw httpError(409, `Account already exists: ${fields.id}`);
+        }
+        const now = new Date().toISOString();
+        const account = {
+            id: fields.id,
+            name: fields.name.trim(),
+            enabled: fields.enabled ?? true,
+            settings: mergeSettings({}, fields.settings),
+            pausedAt: null,
+            pauseReason: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        data.accounts.push(account);
+        return account;
+    });
+}
+
+/**
+ * Apply changes to a stored account, storing the default account the first time it is changed
+ */
+async function changeAccount(id, change) {
+    return store.update(data => {
+        let account = data.accounts.find(a => a.id === id);
+        if (!account && id === DEFAULT_ACCOUNT_ID) {
+            // The default account is only stored once it is edited
+            account = { ...builtInDefaultAccount(), createdAt: new Date().toISOString() };
+            data.accounts.unshift(account);
+        }
+        if (!account) {
+            throw httpError(404, `Account not found: ${id}`);
+        }
+        Object.assign(account, change(account), { updatedAt: new Date().toISOString() });
+        return account;
+    });
+}
+
+/**
+ * Update the name, enabled flag or settings of an account. Settings are merged
+ * into the existing ones.
+ */
+async function updateAccount(id, fields) {
+    validateFields(fields, { partial: true });
+
+    return changeAccount(id, account => ({
+        name: fields.name !== undefined ? fields.name.trim() : account.name,
+        enabled: fields.enabled ?? account.enabled,
+        settings: mergeSettings(account.settings, fields.settings)
+    }));
+}
+
+/**
+ * Pause an account until a person has resolved what stopped it, such as a
+ * security checkpoint. Paused accounts are not run. Pausing a paused account
+ * keeps the original time and reason.
+ */
+async function pauseAccount(id, reason) {
+    return changeAccount(id, account => (account.pausedAt ? {} : {
+        pausedAt: new Date().toISOString(),
+        pauseReason: reason || 'Paused by hand'
+    }));
+}
+
+/**
+ * Let a paused account run again
+ */
+async function resumeAccount(id) {
+    return changeAccount(id, () => ({ pausedAt: null, pauseReason: null }));
+}
+
+/**
+ * Remove an account. The default account cannot be removed.
+ */
+async function deleteAccount(id) {
+    if (id === DEFAULT_ACCOUNT_ID) {
+        throw httpError(400, 'The default account cannot be deleted');
+    }
+    return store.update(data => {
+        const index = data.accounts.findIndex(account => account.id === id);
+        if (index === -1) {
+            throw httpError(404, `Account not found: ${id}`);
+        }
+        return data.accounts.splice(index, 1)[0];
+    });
+}
+
+/**
+ * The settings seen by everything done for an account: the environment with the
+ * account's overrides on top. Other accounts never inherit the environment's
+ * cookie settings, so they cannot pick up the default account's session, and an
+ * account with a notification channel of its own is only notified there.
+ */
+function accountEnv(account) {
+    const env = { ...process.env };
+    if (account.id !== DEFAULT_ACCOUNT_ID) {
+        [...COOKIE_SETTINGS, 'GIST_URL'].forEach(name => delete env[name]);
+    }
+    if (CHANNEL_SETTINGS.some(name => account.settings[name])) {
+        CHANNEL_SETTINGS.forEach(name => delete env[name]);
+    }
+    return { ...env, ...account.settings };
+}
+
+module.exports = {
+    DEFAULT_ACCOUNT_ID,
+    ACCOUNT_SETTINGS,
+    SERVER_ACCESS_SETTINGS,
+    accountIdOf,
+    listAccounts,
+    getAccount,
+    requireAccount,
+    createAccount,
+    updateAccount,
+    pauseAccount,
+    resumeAccount,
+    deleteAccount,
+    accountEnv
+};
@@ -0,0 +1,233 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { dataPath } = require('./store');
+const logger = require('./logger');
+
+const ARTIFACT_FILES = ['screenshot.png', 'page.html', 'details.json'];
+const MAX_RECORDED_EVENTS = 100;
+
+/**
+ * Whether failed visits capture artifacts, from CAPTURE_FAILURE_ARTIFACTS
+ */
+function artifactsEnabled() {
+    return process.env.CAPTURE_FAILURE_ARTIFACTS !== 'false';
+}
+
+/**
+ * Number of runs whose artifacts are kept, oldest are deleted first
+ */
+function retentionLimit() {
+    const limit = parseInt(process.env.ARTIFACT_RETENTION_RUNS, 10);
+    return Number.isFinite(limit) && limit > 0 ? limit : 20;
+}
+
+/**
+ * Directory holding the artifacts of a run
+ */
+function runArtifactDir(runId) {
+    if (!/^[\w-]+$/.test(runId)) {
+        throw new Error(`Invalid run id: ${runId}`);
+    }
+    return dataPath('artifacts', runId);
+}
+
+/**
+ * Record browser console errors and failed network requests on a page, so they
+ * can be saved if the current visit fails
+ */
+function createPageRecorder(page) {
+    let consoleErrors = [];
+    let networkErrors = [];
+
+    const push = (list, entry) => {
+        if (list.length < MAX_RECORDED_EVENTS) {
+            list.push({ at: new Date().toISOString(), ...entry });
+        }
+    };
+
+    page.on('console', message => {
+        if (['error', 'warn', 'warning'].includes(message.type())) {
+            push(consoleErrors, { type: message.type(), text: message.text() });
+        }
+    });
+    page.on('pageerror', error => {
+        push(consoleErrors, { type: 'pageerror', text: error.message });
+    });
+    page.on('requestfailed', request => {
+        push(networkErrors, {
+            url: request.url(),
+            method: request.method(),
+            error: request.failure() ? request.failure().errorText : 'unknown'
+        });
+    });
+    page.on('response', response => {
+        if (response.status() >= 400) {
+            push(networkErrors, { url: response.url(), status: response.status() });
+        }
+    });
+
+    return {
+        reset() {
+            consoleErrors = [];
+            networkErrors = [];
+        },
+        collect() {
+            return { consoleErrors, networkErrors };
+        }
+    };
+}
+
+/**
+ * Slug for an artifact directory name, from a profile URL
+ */
+function artifactName(index, url) {
+    let slug;
+    try {
+        slug = new URL(url).pathname.split('/').filter(Boolean).pop() || 'page';
+    } catch {
+        slug = 'page';
+    }
+    return `${String(index + 1).padStart(3, '0')}-${slug.replace(/[^\w-]/g, '_').slice(0, 60)}`;
+}
+
+/**
+ * Save a screenshot, the page HTML and the navigation and error details of a
+ * failed visit. Each part is captured independently so one failing step does
+ * not lose the others. Returns the artifact name.
+ */
+async function captureFailureArtifacts(page, { runId, index, url, error, redirectChain = [], recorder }) {
+    const name = artifactName(index, url);
+    const dir = path.join(runArtifactDir(runId), name);
+    await fs.mkdir(dir, { recursive: true });
+
+    const problems = [];
+    let finalUrl = null;
+    let title = null;
+
+    try {
+        finalUrl = page.url();
+        title = await page.title();
+    } catch (captureError) {
+        problems.push(`url: ${captureError.message}`);
+    }
+    try {
+        await page.screenshot({ path: path.join(dir, 'screenshot.png'), fullPage: true });
+    } catch (captureError) {
+        problems.push(`screenshot: ${captureError.message}`);
+    }
+    try {
+        await fs.writeFile(path.join(dir, 'page.html'), await page.content());
+    } catch (captureError) {
+        problems.push(`html: ${captureError.message}`);
+    }
+
+    const details = {
+        url,
+        finalUrl,
+        title,
+        redirectChain,
+        error,
+        capturedAt: new Date().toISOString(),
+        ...(recorder ? recorder.collect() : { consoleErrors: [], networkErrors: [] }),
+        captureProblems: problems
+    };
+    await fs.writeFile(path.join(dir, 'details.json'), JSON.stringify(details, null, 2));
+
+    logger.info(`🧾 Saved failure artifacts to ${dir}${problems.length > 0 ? ` (partial: ${problems.join('; ')})` : ''}`);
+    return name;
+}
+
+/**
+ * Delete artifacts of the oldest runs beyond the retention limit
+ */
+async function pruneArtifacts() {
+    const root = dataPath('artifacts');
+    let entries;
+    try {
+        entries = await fs.readdir(root, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return;
+        }
+        throw error;
+    }
+
+    const runDirs = await Promise.all(entries
+        .filter(entry => entry.isDirectory())
+        .map(async entry => ({
+            dir: path.join(root, entry.name),
+            mtime: (await fs.stat(path.join(root, entry.name))).mtimeMs
+        })));
+    runDirs.sort((a, b) => b.mtime - a.mtime);
+
+    for (const { dir } of runDirs.slice(retentionLimit())) {
+        await fs.rm(dir, { recursive: true, force: true });
+        logger.info(`🧹 Deleted old failure artifacts: ${dir}`);
+    }
+}
+
+/**
+ * List the artifacts captured for a run with their details
+ */
+async function listArtifacts(runId) {
+    const dir = runArtifactDir(runId);
+    let names;
+    try {
+        names = (await fs.readdir(dir, { withFileTypes: true })).filter(e => e.isDirectory()).map(e => e.name).sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    return Promise.all(names.map(async name => {
+        const files = (await fs.readdir(path.join(dir, name))).filter(file => ARTIFACT_FILES.includes(file));
+        let details = null;
+        try {
+            details = JSON.parse(await fs.readFile(path.join(dir, name, 'details.json'), 'utf8'));
+        } catch {
+            // Details are optional for listing
+        }
+        return {
+            name,
+            details,
+            files: files.map(file => ({ name: file, url: `/runs/${runId}/artifacts/${name}/${file}` }))
+        };
+    }));
+}
+
+/**
+ * Absolute path of a single artifact file, or null if it does not exist
+ */
+async function resolveArtifactFile(runId, name, file) {
+    if (!ARTIFACT_FILES.includes(file) || !/^[\w-]+$/.test(name)) {
+        return null;
+    }
+    // DATA_DIR may be relative, and res.sendFile() only takes absolute paths
+    const filePath = path.resolve(runArtifactDir(runId), name, file);
+    try {
+        await fs.access(filePath);
+        return filePath;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Link to a run's artifacts for notifications, absolute when PUBLIC_BASE_URL is set
+ */
+function artifactsLink(runId) {
+    const base = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+    return `${base}/runs/${runId}/artifacts`;
+}
+
+module.exports = {
+    artifactsEnabled,
+    createPageRecorder,
+    captureFailureArtifacts,
+    pruneArtifacts,
+    listArtifacts,
+    resolveArtifactFile,
+    artifactsLink
+};
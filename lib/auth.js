@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const { httpError, sendError } = require('./errors');
+const logger = require('./logger');
+
+const store = createStore('api-keys.json', { keys: [] });
+
+// Each role can do everything the roles before it can
+const ROLES = ['viewer', 'operator', 'admin'];
+const KEY_PREFIX = 'lpv_';
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Reachable without a key: health checks, the API info page, the Swagger UI and the
+// dashboard's static files, which load everything else from the API with a key
+const PUBLIC_PATHS = [/^\/$/, /^\/health$/, /^\/api-docs(\/|$)/, /^\/dashboard(\/|$)/];
+
+/**
+ * Whether authentication is switched off with API_AUTH_DISABLED, for local development
+ */
+function authDisabled() {
+    return process.env.API_AUTH_DISABLED === 'true';
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Key metadata that is safe to return, without the hash
+ */
+function describeKey({ hash, ...key }) {
+    return key;
+}
+
+/**
+ * Role every request needs: viewer to read, operator to change anything. Routes
+ * that need more, such as key management, require it with requireRole().
+ */
+function requiredRole(req) {
+    return ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'viewer' : 'operator';
+}
+
+/**
+ * Whether an authenticated request's key has at least the given role
+ */
+function hasRole(req, role) {
+    return authDisabled() || Boolean(req.apiKey && ROLES.indexOf(req.apiKey.role) >= ROLES.indexOf(role));
+}
+
+/**
+ * Express middleware rejecting requests whose key has a lower role than the
+ * given one. Mounted with the routes it protects, so it matches their paths
+ * exactly as Express does, whatever their case.
+ */
+function requireRole(role) {
+    return (req, res, next) => {
+        if (hasRole(req, role)) {
+            return next();
+        }
+        sendError(res, httpError(403, `This request requires the ${role} role`), 'Failed to authenticate request');
+    };
+}
+
+/**
+ * Key sent with the request, as a bearer token or in the X-API-Key header
+ */
+function keyFromRequest(req) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : req.get('X-API-Key') || null;
+}
+
+/**
+ * Create a key and return it. The plain key is only returned here, only its hash is stored.
+ */
+async function createApiKey({ name, role }) {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw httpError(400, 'API key name is required');
+    }
+    if (!ROLES.includes(role)) {
+        throw httpError(400, `API key role must be one of ${ROLES.join(', ')}`);
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const record = {
+        id: crypto.randomUUID(),
+        name: name.trim(),
+        role,
+        prefix: key.slice(0, KEY_PREFIX.length + 6),
+        hash: hashKey(key),
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null
+    };
+    await store.update(data => {
+        data.keys.push(record);
+    });
+    return { ...describeKey(record), key };
+}
+
+/**
+ * List keys without their hashes
+ */
+async function listApiKeys() {
+    const data = await store.read();
+    return data.keys.map(describeKey);
+}
+
+/**
+ * Revoke a key, throwing a 404 error if it does not exist
+ */
+async function revokeApiKey(id) {
+    return store.update(data => {
+        const index = data.keys.findIndex(key => key.id === id);
+        if (index === -1) {
+            throw httpError(404, 'API key not found');
+        }
+        const [removed] = data.keys.splice(index, 1);
+        return describeKey(removed);
+    });
+}
+
+/**
+ * Find the stored key matching a plain key, or null
+ */
+async function verifyApiKey(key) {
+    const hash = Buffer.from(hashKey(key), 'hex');
+    // Keys created or revoked with the api-keys command apply right away, the store reads the file again once it changes
+    const data = await store.read();
+    const record = data.keys.find(candidate => crypto.timingSafeEqual(Buffer.from(candidate.hash, 'hex'), hash));
+    if (!record) {
+        return null;
+    }
+
+    // Only persist the last use once in a while so reads do not write on every request
+    if (!record.lastUsedAt || Date.now() - new Date(record.lastUsedAt).getTime() > LAST_USED_RESOLUTION_MS) {
+        await store.update(current => {
+            const stored = current.keys.find(candidate => candidate.id === record.id);
+            if (stored) {
+                stored.lastUsedAt = new Date().toISOString();
+            }
+        });
+    }
+    return describeKey(record);
+}
+
+/**
+ * Whether a request carries a valid key of any role, or authentication is
+ * disabled, for public paths that only show details to callers with a key
+ */
+async function hasValidKey(req) {
+    if (authDisabled()) {
+        return true;
+    }
+    const key = keyFromRequest(req);
+    return Boolean(key && await verifyApiKey(key));
+}
+
+/**
+ * Express middleware rejecting requests without a key of the required role
+ */
+async function authenticate(req, res, next) {
+    if (authDisabled() || PUBLIC_PATHS.some(pattern => pattern.test(req.path))) {
+        return next();
+    }
+
+    try {
+        const key = keyFromRequest(req);
+        if (!key) {
+            throw httpError(401, 'API key required');
+        }
+        const apiKey = await verifyApiKey(key);
+        if (!apiKey) {
+            throw httpError(401, 'Invalid API key');
+        }
+        const role = requiredRole(req);
+        if (ROLES.indexOf(apiKey.role) < ROLES.indexOf(role)) {
+            throw httpError(403, `This request requires the ${role} role`);
+        }
+        req.apiKey = apiKey;
+        next();
+    } catch (error) {
+        if (error.status === 401) {
+            res.set('WWW-Authenticate', 'Bearer');
+        }
+        sendError(res, error, 'Failed to authenticate request');
+    }
+}
+
+/**
+ * Warn at startup when nothing can reach the protected endpoints
+ */
+async function checkAuthSetup() {
+    if (authDisabled()) {
+        logger.warn('⚠️ API authentication is disabled by API_AUTH_DISABLED, every endpoint is public');
+        return;
+    }
+    if ((await listApiKeys()).length === 0) {
+        logger.warn("⚠️ No API keys exist yet. Create one with 'npm run api-keys -- create <name> admin'");
+    }
+}
+
+module.exports = {
+    ROLES,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    verifyApiKey,
+    authenticate,
+    hasValidKey,
+    hasRole,
+    requireRole,
+    checkAuthSetup
+};
@@ -0,0 +1,322 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const { isValidTimezone } = require('./scheduler');
+const { parseQuietHours } = require('./quota');
+const { SEVERITIES } = require('./notifiers');
+const { DRIVER_NAMES } = require('./drivers');
+const { readRules, rulesPath } = require('./pageStates');
+const { normalizeProfileList } = require('./profileUrls');
+const { DEFAULT_DATA_DIR } = require('./store');
+
+const BOOLEAN = ['true', 'false'];
+const COOKIE_SOURCES = ['uploaded', 'http', 'env', 'file'];
+
+/**
+ * Every setting the application reads. Values always come in as strings,
+ * from the environment or the optional config file, and are checked with `validate`,
+ * which returns an error message or nothing.
+ */
+const SCHEMA = [
+    { name: 'PORT', group: 'Server', default: '3000', validate: integer(1, 65535) },
+    { name: 'PUBLIC_BASE_URL', group: 'Server', validate: httpUrl },
+    { name: 'API_AUTH_DISABLED', group: 'Server', default: 'false', validate: oneOf(BOOLEAN) },
+    { name: 'DATA_DIR', group: 'Server', default: DEFAULT_DATA_DIR },
+    { name: 'LOG_LEVEL', group: 'Server', default: 'info', validate: oneOf(['debug', 'info', 'warn', 'error']) },
+    { name: 'LOG_FORMAT', group: 'Server', default: 'text', validate: oneOf(['text', 'json']) },
+
+    { name: 'BROWSER_DRIVER', group: 'Browser', default: 'chrome', validate: oneOf(DRIVER_NAMES) },
+    { name: 'CHROME_PATH', group: 'Browser' },
+    { name: 'LINKEDIN_BASE_URL', group: 'Browser', validate: httpUrl },
+    { name: 'PAGE_STATE_RULES_PATH', group: 'Browser', validate: pageStateRules },
+
+    { name: 'URLS', group: 'Profiles', validate: validateUrls },
+    { name: 'CAPTURE_SNAPSHOTS', group: 'Profiles', default: 'false', validate: oneOf(BOOLEAN) },
+    { name: 'SNAPSHOT_HISTORY_LIMIT', group: 'Profiles', default: '50', validate: integer(1) },
+
+    { name: 'COOKIE_SOURCES', group: 'Cookies', default: COOKIE_SOURCES.join(','), validate: listOf(COOKIE_SOURCES) },
+    { name: 'COOKIES_PATH', group: 'Cookies', default: 'cookies.json' },
+    { name: 'COOKIES', group: 'Cookies', secret: true },
+    { name: 'COOKIES_URL', group: 'Cookies', secret: true, validate: httpUrl },
+    { name: 'GIST_URL', group: 'Cookies', secret: true, validate: httpUrl, deprecated: 'Use COOKIES_URL instead' },
+    { name: 'COOKIES_TOKEN', group: 'Cookies', secret: true },
+    { name: 'SESSION_PROBE_INTERVAL_HOURS', group: 'Cookies', default: '6', validate: integer(0) },
+    { name: 'SESSION_EXPIRY_WARNING_DAYS', group: 'Cookies', default: '7', validate: integer(0) },
+
+    { name: 'CRON_EXPRESSION', group: 'Scheduling', validate: value => (cron.validate(value) ? null : 'is not a valid cron expression') },
+    { name: 'CRON_TIMEZONE', group: 'Scheduling', default: 'Asia/Kolkata', validate: timezone },
+
+    { name: 'QUOTA_DAILY_LIMIT', group: 'Quotas', validate: integer(0) },
+    { name: 'QUOTA_WEEKLY_LIMIT', group: 'Quotas', validate: integer(0) },
+    { name: 'QUOTA_REVISIT_HOURS', group: 'Quotas', validate: integer(0) },
+    { name: 'QUOTA_QUIET_HOURS', group: 'Quotas', validate: quietHours },
+    { name: 'QUOTA_TIMEZONE', group: 'Quotas', validate: timezone },
+
+    { name: 'CONTINUE_ON_ERROR', group: 'Runs', default: 'true', validate: oneOf(BOOLEAN) },
+    { name: 'VISIT_RETRIES', group: 'Runs', default: '2', validate: integer(0) },
+    { name: 'VISIT_RETRY_BASE_DELAY_MS', group: 'Runs', default: '5000', validate: integer(0) },
+    { name: 'VISIT_RETRY_MAX_DELAY_MS', group: 'Runs', default: '60000', validate: integer(0) },
+    { name: 'RUN_HISTORY_LIMIT', group: 'Runs', default: '500', validate: integer(1) },
+    { name: 'CAPTURE_FAILURE_ARTIFACTS', group: 'Runs', default: 'true', validate: oneOf(BOOLEAN) },
+    { name: 'ARTIFACT_RETENTION_RUNS', group: 'Runs', default: '20', validate: integer(1) },
+    { name: 'INTERRUPTED_RUNS', group: 'Runs', default: 'resume', validate: oneOf(['resume', 'abort']) },
+    { name: 'SHUTDOWN_TIMEOUT_MS', group: 'Runs', default: '30000', validate: integer(1000) },
+
+    { name: 'SLACK_WEBHOOK_URL', group: 'Notifications', secret: true, validate: httpUrl },
+    { name: 'SLACK_MIN_SEVERITY', group: 'Notifications', default: 'info', validate: oneOf(SEVERITIES) },
+    { name: 'DISCORD_WEBHOOK_URL', group: 'Notifications', secret: true, validate: httpUrl },
+    { name: 'DISCORD_MIN_SEVERITY', group: 'Notifications', default: 'info', validate: oneOf(SEVERITIES) },
+    { name: 'NOTIFY_WEBHOOK_URL', group: 'Notifications', secret: true, validate: httpUrl },
+    { name: 'NOTIFY_WEBHOOK_TOKEN', group: 'Notifications', secret: true },
+    { name: 'NOTIFY_WEBHOOK_MIN_SEVERITY', group: 'Notifications', default: 'info', validate: oneOf(SEVERITIES) },
+    { name: 'SMTP_HOST', group: 'Notifications' },
+    { name: 'SMTP_PORT', group: 'Notifications', default: '587', validate: integer(1, 65535) },
+    { name: 'SMTP_SECURE', group: 'Notifications', validate: oneOf(BOOLEAN) },
+    { name: 'SMTP_USER', group: 'Notifications' },
+    { name: 'SMTP_PASS', group: 'Notifications', secret: true },
+    { name: 'EMAIL_FROM', group: 'Notifications' },
+    { name: 'EMAIL_TO', group: 'Notifications' },
+    { name: 'EMAIL_MIN_SEVERITY', group: 'Notifications', default: 'info', validate: oneOf(SEVERITIES) },
+
+    { name: 'WEBHOOK_MAX_ATTEMPTS', group: 'Webhooks', default: '5', validate: integer(1) },
+    { name: 'WEBHOOK_RETRY_BASE_DELAY_MS', group: 'Webhooks', default: '30000', validate: integer(0) },
+    { name: 'WEBHOOK_RETRY_MAX_DELAY_MS', group: 'Webhooks', default: '3600000', validate: integer(0) },
+    { name: 'WEBHOOK_TIMEOUT_MS', group: 'Webhooks', default: '10000', validate: integer(1000) },
+    { name: 'WEBHOOK_DELIVERY_LOG_LIMIT', group: 'Webhooks', default: '500', validate: integer(1) }
+];
+
+function integer(min, max = Infinity) {
+    return value => {
+        const number = Number(value);
+        if (!/^-?\d+$/.test(value) || number < min || number > max) {
+            return max === Infinity ? `must be an integer of at least ${min}` : `must be an integer from ${min} to ${max}`;
+        }
+        return null;
+    };
+}
+
+function oneOf(values) {
+    return value => (values.includes(value) ? null : `must be one of ${values.join(', ')}`);
+}
+
+function listOf(values) {
+    return value => {
+        const unknown = value.split(',').map(item => item.trim()).filter(item => item && !values.includes(item));
+        return unknown.length > 0 ? `has unknown entries ${unknown.join(', ')}, expected ${values.join(', ')}` : null;
+    };
+}
+
+function httpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol) ? null : 'must be an http or https URL';
+    } catch {
+        return 'must be an http or https URL';
+    }
+}
+
+function timezone(value) {
+    return isValidTimezone(value) ? null : 'must be an IANA timezone such as Asia/Kolkata';
+}
+
+function quietHours(value) {
+    try {
+        parseQuietHours(value);
+        return null;
+    } catch (error) {
+        return error.message.replace(/^QUOTA_QUIET_HOURS /, '');
+    }
+}
+
+function pageStateRules(value) {
+    try {
+        readRules(path.resolve(value));
+        return null;
+    } catch (error) {
+        return `must name a valid rules file: ${error.message}`;
+    }
+}
+
+function validateUrls(value) {
+    let parsed;
+    try {
+        parsed = JSON.parse(value);
+    } catch (error) {
+        return `must be JSON like {"urls": ["https://www.linkedin.com/in/..."]} (${error.message})`;
+    }
+    if (!parsed || !Array.isArray(parsed.urls)) {
+        return 'must be JSON with a "urls" array';
+    }
+    const invalid = parsed.urls.filter(url => typeof url !== 'string');
+    if (invalid.length > 0) {
+        return `has invalid profile URLs: ${invalid.map(url => JSON.stringify(url)).join(', ')}`;
+    }
+    const { rejected } = normalizeProfileList(parsed.urls.map(input => ({ input })));
+    if (rejected.length > 0) {
+        return `has URLs that are not LinkedIn profiles: ${rejected.map(entry => entry.reason).join('; ')}`;
+    }
+    if (parsed.urls.length === 0) {
+        return 'must contain at least one URL';
+    }
+    return null;
+}
+
+/**
+ * Read the optional JSON config file named by CONFIG_FILE. Objects and numbers are
+ * accepted for convenience and turned into the strings the environment would hold.
+ */
+function readConfigFile(filePath) {
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read config file ${filePath}: ${error.message}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error(`Config file ${filePath} must contain a JSON object of settings`);
+    }
+    return Object.fromEntries(Object.entries(parsed).map(([name, value]) => [
+        name,
+        typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value)
+    ]));
+}
+
+/**
+ * Mask a secret value for display
+ */
+function mask(value) {
+    try {
+        const url = new URL(value);
+        if (['http:', 'https:'].includes(url.protocol)) {
+            return `${url.origin}/****`;
+        }
+    } catch {
+        // Not a URL
+    }
+    return value.length > 8 ? `${value.slice(0, 2)}****${value.slice(-2)}` : '****';
+}
+
+/**
+ * Load and validate the configuration from the environment and CONFIG_FILE,
+ * the environment taking precedence. Settings only found in the config file
+ * are copied into process.env, so the rest of the application sees one source.
+ * Returns every setting with its effective value and source, and the fatal
+ * errors and warnings found.
+ */
+function loadConfig({ apply = true } = {}) {
+    const errors = [];
+    const warnings = [];
+
+    let fileValues = {};
+    const configFile = process.env.CONFIG_FILE;
+    if (configFile) {
+        try {
+            fileValues = readConfigFile(path.resolve(configFile));
+        } catch (error) {
+            errors.push(error.message);
+        }
+        const unknown = Object.keys(fileValues).filter(name => !SCHEMA.some(setting => setting.name === name));
+        if (unknown.length > 0) {
+            warnings.push(`Unknown settings in ${configFile} are ignored: ${unknown.join(', ')}`);
+        }
+    }
+
+    const settings = SCHEMA.map(setting => {
+        const envValue = process.env[setting.name];
+        const source = envValue !== undefined && envValue !== '' ? 'env'
+            : fileValues[setting.name] !== undefined ? 'file'
+            : setting.default !== undefined ? 'default'
+            : null;
+        const value = source === 'env' ? envValue
+            : source === 'file' ? fileValues[setting.name]
+            : source === 'default' ? setting.default
+            : null;
+
+        if (source === 'env' || source === 'file') {
+            const problem = setting.validate ? setting.validate(value) : null;
+            if (problem) {
+                errors.push(`${setting.name} ${problem}`);
+            }
+            if (setting.deprecated) {
+                warnings.push(`${setting.name} is deprecated. ${setting.deprecated}`);
+            }
+        }
+        if (apply && source === 'file') {
+            process.env[setting.name] = value;
+        }
+        return { name: setting.name, group: setting.group, value, source, secret: Boolean(setting.secret) };
+    });
+
+    const isSet = name => settings.some(setting => setting.name === name && (setting.source === 'env' || setting.source === 'file'));
+    const emailSettings = ['SMTP_HOST', 'EMAIL_FROM', 'EMAIL_TO'];
+    if (emailSettings.some(isSet) && !emailSettings.every(isSet)) {
+        warnings.push(`Email notifications need all of ${emailSettings.join(', ')}, missing ${emailSettings.filter(name => !isSet(name)).join(', ')}`);
+    }
+    if (isSet('NOTIFY_WEBHOOK_TOKEN') && !isSet('NOTIFY_WEBHOOK_URL')) {
+        warnings.push('NOTIFY_WEBHOOK_TOKEN is set without NOTIFY_WEBHOOK_URL');
+    }
+    // PAGE_STATE_RULES_PATH is checked above when set, the bundled rules file otherwise
+    if (!isSet('PAGE_STATE_RULES_PATH')) {
+        try {
+            readRules(rulesPath());
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+    if (isSet('COOKIES_TOKEN') && !isSet('COOKIES_URL') && !isSet('GIST_URL')) {
+        warnings.push('COOKIES_TOKEN is set without COOKIES_URL');
+    }
+    if (!['SLACK_WEBHOOK_URL', 'DISCORD_WEBHOOK_URL', 'NOTIFY_WEBHOOK_URL', 'SMTP_HOST'].some(isSet)) {
+        warnings.push('No notification channel is configured, run results are only logged');
+    }
+
+    return { settings, errors, warnings };
+}
+
+/**
+ * Read a non-negative integer from the environment, or fallback when it is unset or invalid
+ */
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Settings with secrets masked, for display
+ */
+function describeConfig(settings) {
+    return settings.map(setting => ({
+        ...setting,
+        value: setting.secret && setting.value !== null ? mask(setting.value) : setting.value
+    }));
+}
+
+/**
+ * Validate setting overrides, such as an account's, like the environment
+ * variables they replace. Returns the errors found.
+ */
+function validateSettings(values) {
+    return Object.entries(values).flatMap(([name, value]) => {
+        const setting = SCHEMA.find(candidate => candidate.name === name);
+        const problem = setting && setting.validate && value !== null ? setting.validate(value) : null;
+        return problem ? [`${name} ${problem}`] : [];
+    });
+}
+
+/**
+ * Setting overrides with secrets masked, for display
+ */
+function maskSettings(values) {
+    return Object.fromEntries(Object.entries(values).map(([name, value]) => {
+        const setting = SCHEMA.find(candidate => candidate.name === name);
+        return [name, setting && setting.secret ? mask(value) : value];
+    }));
+}
+
+module.exports = {
+    SCHEMA,
+    loadConfig,
+    describeConfig,
+    validateSettings,
+    maskSettings,
+    envInt
+};
@@ -0,0 +1,258 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { dataPath } = require('./store');
+const { DEFAULT_ACCOUNT_ID, accountEnv } = require('./accounts');
+const logger = require('./logger');
+
+const DEFAULT_SOURCES = ['uploaded', 'http', 'env', 'file'];
+const UPLOADED_COOKIES_FILE = 'session-cookies.json';
+const DEFAULT_DOMAIN = '.linkedin.com';
+const HTTP_TIMEOUT_MS = 10000;
+
+const SAME_SITE_VALUES = {
+    no_restriction: 'None',
+    none: 'None',
+    lax: 'Lax',
+    strict: 'Strict'
+};
+
+/**
+ * Convert a cookie from a browser-extension JSON export into Puppeteer's cookie
+ * format. Errors name the entry by its position, never its value, which may be a
+ * session token.
+ */
+function fromExtensionCookie(cookie, index) {
+    if (!cookie || typeof cookie.name !== 'string' || cookie.value === undefined) {
+        throw new Error(`Invalid cookie entry ${index + 1}: expected a name and a value`);
+    }
+
+    let domain = cookie.domain || DEFAULT_DOMAIN;
+    if (cookie.hostOnly && domain.startsWith('.')) {
+        domain = domain.slice(1);
+    }
+
+    const normalized = {
+        name: cookie.name,
+        value: String(cookie.value),
+        domain,
+        path: cookie.path || '/',
+        httpOnly: Boolean(cookie.httpOnly),
+        secure: Boolean(cookie.secure)
+    };
+
+    const expires = cookie.expirationDate ?? cookie.expires;
+    if (!cookie.session && typeof expires === 'number' && expires > 0) {
+        normalized.expires = expires;
+    }
+
+    const sameSite = SAME_SITE_VALUES[String(cookie.sameSite || '').toLowerCase()];
+    if (sameSite) {
+        normalized.sameSite = sameSite;
+    }
+
+    return normalized;
+}
+
+/**
+ * Parse a Netscape cookies.txt file into Puppeteer's cookie format. Errors give
+ * the line number, never the line itself.
+ */
+function parseNetscapeCookies(text) {
+    const cookies = [];
+
+    for (const [index, rawLine] of text.split(/\r?\n/).entries()) {
+        let line = rawLine.trim();
+        let httpOnly = false;
+
+        if (line.startsWith('#HttpOnly_')) {
+            httpOnly = true;
+            line = line.slice('#HttpOnly_'.length);
+        } else if (line === '' || line.startsWith('#')) {
+            continue;
+        }
+
+        const fields = line.split('\t');
+        if (fields.length < 7) {
+            throw new Error(`Invalid cookies.txt line ${index + 1}: expected 7 tab-separated fields`);
+        }
+
+        const [domain, includeSubdomains, cookiePath, secure, expires, name, ...valueParts] = fields;
+        const cookie = {
+            name,
+            value: valueParts.join('\t'),
+            domain: includeSubdomains === 'TRUE' && !domain.startsWith('.') ? `.${domain}` : domain,
+            path: cookiePath || '/',
+            httpOnly,
+            secure: secure === 'TRUE'
+        };
+
+        const expiresAt = Number(expires);
+        if (expiresAt > 0) {
+            cookie.expires = expiresAt;
+        }
+
+        cookies.push(cookie);
+    }
+
+    return cookies;
+}
+
+/**
+ * Parse cookie text in either browser-extension JSON or Netscape cookies.txt format
+ */
+function parseCookies(text) {
+    const trimmed = text.trim();
+
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        let parsed;
+        try {
+            parsed = JSON.parse(trimmed);
+        } catch (error) {
+            // JSON.parse quotes part of the text in its message, keep only the position
+            const position = error.message.match(/at position (\d+)/);
+            throw new Error(`Invalid cookie JSON${position ? ` at position ${position[1]}` : ''}`);
+        }
+        const entries = Array.isArray(parsed) ? parsed : parsed.cookies;
+        if (!Array.isArray(entries)) {
+            throw new Error("Cookie JSON must be an array or an object with a 'cookies' array");
+        }
+        return entries.map(fromExtensionCookie);
+    }
+
+    return parseNetscapeCookies(trimmed);
+}
+
+/**
+ * File the 'uploaded' source keeps an account's cookie set in
+ */
+function uploadedCookiesPath(accountId) {
+    return dataPath(accountId === DEFAULT_ACCOUNT_ID ? UPLOADED_COOKIES_FILE : `session-cookies.${accountId}.json`);
+}
+
+/**
+ * Cookie sources, each reading an account's settings and returning the raw
+ * cookie text or null when not configured
+ */
+const sources = {
+    async uploaded(env, accountId) {
+        const filePath = uploadedCookiesPath(accountId);
+        try {
+            return { text: await fs.readFile(filePath, 'utf8'), location: filePath };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    },
+
+    async file(env, accountId) {
+        // Only the default account falls back to ./cookies.json
+        if (!env.COOKIES_PATH && accountId !== DEFAULT_ACCOUNT_ID) {
+            return null;
+        }
+        const filePath = path.resolve(env.COOKIES_PATH || 'cookies.json');
+        try {
+            return { text: await fs.readFile(filePath, 'utf8'), location: filePath };
+        } catch (error) {
+            if (error.code === 'ENOENT' && !env.COOKIES_PATH) {
+                return null;
+            }
+            throw error;
+        }
+    },
+
+    async env(env) {
+        const text = env.COOKIES;
+        return text ? { text, location: 'COOKIES' } : null;
+    },
+
+    async http(env) {
+        const url = env.COOKIES_URL || env.GIST_URL;
+        if (!url) {
+            return null;
+        }
+
+        const headers = {};
+        if (env.COOKIES_TOKEN) {
+            headers.Authorization = `Bearer ${env.COOKIES_TOKEN}`;
+        }
+
+        const response = await fetch(url, { headers, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} ${response.statusText}`);
+        }
+        return { text: await response.text(), location: new URL(url).host };
+    }
+};
+
+/**
+ * The configured source order, from COOKIE_SOURCES (comma separated)
+ */
+function sourceOrder(env) {
+    if (!env.COOKIE_SOURCES) {
+        return DEFAULT_SOURCES;
+    }
+    const order = env.COOKIE_SOURCES.split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = order.filter(name => !sources[name]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown cookie sources in COOKIE_SOURCES: ${unknown.join(', ')}`);
+    }
+    return order;
+}
+
+/**
+ * Load an account's cookies from the first of its sources that yields a usable
+ * cookie set, falling back to the next source when one fails
+ */
+async function loadCookies(account) {
+    const env = accountEnv(account);
+    const failures = [];
+
+    for (const name of sourceOrder(env)) {
+        try {
+            const raw = await sources[name](env, account.id);
+            if (!raw) {
+                continue;
+            }
+            const cookies = parseCookies(raw.text);
+            if (cookies.length === 0) {
+                throw new Error('No cookies found');
+            }
+            logger.info(`🍪 Loaded ${cookies.length} cookies from ${name} source (${raw.location})`);
+            return { source: name, cookies };
+        } catch (error) {
+            logger.warn(`⚠️ Cookie source '${name}' failed: ${error.message}`);
+            failures.push(`${name}: ${error.message}`);
+        }
+    }
+
+    if (failures.length === 0) {
+        throw new Error(`No cookie source configured for account '${account.id}' (tried ${sourceOrder(env).join(', ')})`);
+    }
+    throw new Error(`All cookie sources failed - ${failures.join('; ')}`);
+}
+
+/**
+ * Store an account's cookie set for the 'uploaded' source
+ */
+async function saveUploadedCookies(accountId, cookies) {
+    const filePath = uploadedCookiesPath(accountId);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(`${filePath}.tmp`, JSON.stringify(cookies, null, 2));
+    await fs.rename(`${filePath}.tmp`, filePath);
+}
+
+/**
+ * Remove an account's uploaded cookie set, if any
+ */
+async function deleteUploadedCookies(accountId) {
+    await fs.rm(uploadedCookiesPath(accountId), { force: true });
+}
+
+module.exports = {
+    parseCookies,
+    loadCookies,
+    saveUploadedCookies,
+    deleteUploadedCookies
+};
@@ -0,0 +1,78 @@
+const puppeteer = require('puppeteer-core');
+const fs = require('fs').promises;
+const logger = require('../logger');
+
+const LINKEDIN_URL = 'https://www.linkedin.com';
+
+const CHROME_PATHS = [
+    '/usr/bin/chromium',
+    '/usr/bin/chromium-browser',
+    '/usr/bin/google-chrome',
+    '/usr/bin/google-chrome-stable',
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+    'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+    'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe'
+];
+
+/**
+ * Path of the Chrome executable, from CHROME_PATH or the first common install
+ * location found. Null falls back to Puppeteer's installed Chrome channel.
+ */
+async function findChrome() {
+    if (process.env.CHROME_PATH) {
+        return process.env.CHROME_PATH;
+    }
+    for (const chromePath of CHROME_PATHS) {
+        const exists = await fs.access(chromePath).then(() => true).catch(() => false);
+        if (exists) {
+            logger.debug(`Found Chrome at: ${chromePath}`);
+            return chromePath;
+        }
+    }
+    return null;
+}
+
+/**
+ * Launch a headless Chrome with Puppeteer
+ */
+async function launch() {
+    logger.info("💻 Using local Chrome setup...");
+
+    const launchOptions = {
+        headless: true,
+        args: [
+            '--no-sandbox',
+        ]
+    };
+
+    const executablePath = await findChrome();
+    if (executablePath) {
+        launchOptions.executablePath = executablePath;
+    } else {
+        logger.warn("⚠️ Chrome not found in common locations. Trying with chrome channel...");
+        launchOptions.channel = 'chrome';
+    }
+
+    logger.info(`🚀 Launching browser with executablePath: ${launchOptions.executablePath || 'using channel'}`);
+    try {
+        return await puppeteer.launch(launchOptions);
+    } catch (error) {
+        logger.info("💡 Make sure Chrome/Chromium is installed and accessible, or set CHROME_PATH");
+        throw error;
+    }
+}
+
+/**
+ * Origin LinkedIn pages are loaded from, LinkedIn itself unless LINKEDIN_BASE_URL
+ * points at a fixture server
+ */
+async function baseUrl() {
+    return process.env.LINKEDIN_BASE_URL || LINKEDIN_URL;
+}
+
+module.exports = {
+    name: 'chrome',
+    pacing: true,
+    launch,
+    baseUrl
+};
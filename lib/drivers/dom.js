@@ -0,0 +1,259 @@
+/**
+ * A minimal HTML document model for the simulation driver: enough parsing and
+ * CSS selector matching for the checks and extractions run against LinkedIn pages,
+ * not a general-purpose DOM.
+ */
+
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'title', 'textarea'];
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+    return attributes;
+}
+
+function createElement(tagName, attributes, parent, baseUrl) {
+    const element = {
+        nodeType: 1,
+        tagName: tagName.toUpperCase(),
+        attributes,
+        childNodes: [],
+        parentNode: parent,
+        get children() {
+            return this.childNodes.filter(node => node.nodeType === 1);
+        },
+        get textContent() {
+            return this.childNodes.map(node => node.textContent).join('');
+        },
+        get id() {
+            return attributes.id || '';
+        },
+        get className() {
+            return attributes.class || '';
+        },
+        get href() {
+            if (attributes.href === undefined) {
+                return '';
+            }
+            try {
+                return new URL(attributes.href, baseUrl).href;
+            } catch {
+                return attributes.href;
+            }
+        },
+        getAttribute(name) {
+            return attributes[name.toLowerCase()] ?? null;
+        },
+        hasAttribute(name) {
+            return attributes[name.toLowerCase()] !== undefined;
+        },
+        querySelector(selector) {
+            return querySelectorAll(this, selector)[0] || null;
+        },
+        querySelectorAll(selector) {
+            return querySelectorAll(this, selector);
+        }
+    };
+    return element;
+}
+
+/**
+ * Parse an HTML page into a document with querySelector, querySelectorAll and title.
+ * Relative links resolve against the page URL.
+ */
+function parseHtml(html, url) {
+    const root = createElement('#document', {}, null, url);
+    let current = root;
+    const pattern = /<!--[\s\S]*?-->|<!doctype[^>]*>|<\/([a-z][\w-]*)\s*>|<([a-z][\w-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|[^<]+|</gi;
+    let match;
+
+    while ((match = pattern.exec(html)) !== null) {
+        const [token, closingTag, openingTag, attributeSource] = match;
+        if (token.startsWith('<!')) {
+            continue;
+        }
+        if (closingTag) {
+            const name = closingTag.toUpperCase();
+            let element = current;
+            while (element !== root && element.tagName !== name) {
+                element = element.parentNode;
+            }
+            if (element !== root) {
+                current = element.parentNode;
+            }
+            continue;
+        }
+        if (openingTag) {
+            const name = openingTag.toLowerCase();
+            const element = createElement(name, parseAttributes(attributeSource.replace(/\/$/, '')), current, url);
+            current.childNodes.push(element);
+            if (RAW_TEXT_ELEMENTS.includes(name)) {
+                const end = html.toLowerCase().indexOf(`</${name}`, pattern.lastIndex);
+                const text = html.slice(pattern.lastIndex, end === -1 ? html.length : end);
+                element.childNodes.push({ nodeType: 3, textContent: name === 'script' || name === 'style' ? text : decodeEntities(text) });
+                pattern.lastIndex = end === -1 ? html.length : html.indexOf('>', end) + 1;
+            } else if (!VOID_ELEMENTS.includes(name) && !attributeSource.trim().endsWith('/')) {
+                current = element;
+            }
+            continue;
+        }
+        current.childNodes.push({ nodeType: 3, textContent: decodeEntities(token) });
+    }
+
+    return {
+        nodeType: 9,
+        get documentElement() {
+            return root.children[0] || null;
+        },
+        get title() {
+            const title = root.querySelector('title');
+            return title ? title.textContent.trim() : '';
+        },
+        get body() {
+            return root.querySelector('body');
+        },
+        querySelector: selector => root.querySelector(selector),
+        querySelectorAll: selector => root.querySelectorAll(selector)
+    };
+}
+
+/**
+ * Split a selector into compound selectors and the combinators between them
+ */
+function parseSelector(selector) {
+    const parts = [];
+    const pattern = /\s*([>~+])\s*|\s+|((?:[\w-]+|\*)?(?:#[\w-]+|\.[\w-]+|\[[^\]]+\])*)/g;
+    let combinator = null;
+    let match;
+
+    while (pattern.lastIndex < selector.length && (match = pattern.exec(selector)) !== null) {
+        if (match[0] === '') {
+            throw new Error(`Unsupported selector: ${selector}`);
+        }
+        if (match[2]) {
+            parts.push({ combinator, compound: parseCompound(match[2], selector) });
+            combinator = null;
+        } else if (parts.length > 0) {
+            combinator = match[1] || combinator || ' ';
+        }
+    }
+    if (parts.length === 0 || combinator) {
+        throw new Error(`Unsupported selector: ${selector}`);
+    }
+    return parts;
+}
+
+function parseCompound(source, selector) {
+    const compound = { tag: null, ids: [], classes: [], attributes: [] };
+    const pattern = /^([\w-]+|\*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w-]+)\s*(?:([~^$*|]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+)))?\s*\]/g;
+    let consumed = 0;
+    let match;
+
+    while ((match = pattern.exec(source)) !== null && match.index === consumed) {
+        consumed = pattern.lastIndex;
+        if (match[1]) {
+            compound.tag = match[1] === '*' ? null : match[1].toUpperCase();
+        } else if (match[2]) {
+            compound.ids.push(match[2]);
+        } else if (match[3]) {
+            compound.classes.push(match[3]);
+        } else {
+            compound.attributes.push({ name: match[4].toLowerCase(), operator: match[5], value: match[6] ?? match[7] ?? match[8] });
+        }
+    }
+    if (consumed !== source.length) {
+        throw new Error(`Unsupported selector: ${selector}`);
+    }
+    return compound;
+}
+
+function matchesAttribute(actual, { operator, value }) {
+    if (actual === null) {
+        return false;
+    }
+    switch (operator) {
+        case undefined: return true;
+        case '=': return actual === value;
+        case '~=': return actual.split(/\s+/).includes(value);
+        case '^=': return value !== '' && actual.startsWith(value);
+        case '$=': return value !== '' && actual.endsWith(value);
+        case '*=': return value !== '' && actual.includes(value);
+        case '|=': return actual === value || actual.startsWith(`${value}-`);
+        default: return false;
+    }
+}
+
+function matchesCompound(element, compound) {
+    const classes = element.className.split(/\s+/);
+    return (!compound.tag || element.tagName === compound.tag)
+        && compound.ids.every(id => element.id === id)
+        && compound.classes.every(name => classes.includes(name))
+        && compound.attributes.every(attribute => matchesAttribute(element.getAttribute(attribute.name), attribute));
+}
+
+function previousSiblings(element) {
+    const siblings = element.parentNode ? element.parentNode.children : [];
+    return siblings.slice(0, siblings.indexOf(element)).reverse();
+}
+
+/**
+ * Whether an element matches the parts of a selector up to the given index,
+ * working from right to left
+ */
+function matchesParts(element, parts, index) {
+    const { compound, combinator } = parts[index];
+    if (!matchesCompound(element, compound)) {
+        return false;
+    }
+    if (index === 0) {
+        return true;
+    }
+    const isElement = node => node && node.nodeType === 1 && node.tagName !== '#DOCUMENT';
+    switch (combinator) {
+        case '>':
+            return isElement(element.parentNode) && matchesParts(element.parentNode, parts, index - 1);
+        case '+':
+            return previousSiblings(element).slice(0, 1).some(sibling => matchesParts(sibling, parts, index - 1));
+        case '~':
+            return previousSiblings(element).some(sibling => matchesParts(sibling, parts, index - 1));
+        default:
+            for (let ancestor = element.parentNode; isElement(ancestor); ancestor = ancestor.parentNode) {
+                if (matchesParts(ancestor, parts, index - 1)) {
+                    return true;
+                }
+            }
+            return false;
+    }
+}
+
+function descendants(node, list = []) {
+    for (const child of node.children) {
+        list.push(child);
+        descendants(child, list);
+    }
+    return list;
+}
+
+function querySelectorAll(scope, selector) {
+    const selectors = selector.split(',').map(part => parseSelector(part.trim()));
+    return descendants(scope).filter(element => selectors.some(parts => matchesParts(element, parts, parts.length - 1)));
+}
+
+module.exports = {
+    parseHtml
+};
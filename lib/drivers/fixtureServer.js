@@ -0,0 +1,152 @@
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../logger');
+
+const FIXTURE_DIR = path.join(__dirname, '..', '..', 'fixtures', 'linkedin');
+
+/**
+ * Profile slugs that serve a special fixture instead of a logged-in profile
+ */
+const FIXTURE_PROFILES = {
+    authwall: 'Redirects to the authwall, like a profile visited without a valid session',
+    'too-many-redirects': "Chrome's ERR_TOO_MANY_REDIRECTS error page",
+    'not-found': 'A 404 page for a profile that does not exist',
+    unavailable: 'A profile that was removed or made private',
+    checkpoint: 'Redirects to a security checkpoint asking for an email PIN',
+    captcha: 'Redirects to a CAPTCHA challenge',
+    'usage-limit': "A 429 with LinkedIn's commercial use limit page",
+    slow: 'A logged-in profile served after a delay',
+    flaky: 'Drops the connection on the first request for the slug (flaky or flaky-*), then serves a logged-in profile'
+};
+
+/**
+ * Whether the request carries a LinkedIn session cookie
+ */
+function isLoggedIn(req) {
+    return /(?:^|;\s*)li_at=[^;]+/.test(req.headers.cookie || '');
+}
+
+/**
+ * Turn a profile slug such as jane-doe into a display name such as Jane Doe
+ */
+function nameFromSlug(slug) {
+    return slug.split(/[-_]+/).filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join(' ') || 'Simulated Profile';
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+async function renderFixture(name, values = {}) {
+    const html = await fs.readFile(path.join(FIXTURE_DIR, `${name}.html`), 'utf8');
+    return html.replace(/\{\{(\w+)\}\}/g, (match, key) => escapeHtml(String(values[key] ?? '')));
+}
+
+/**
+ * Serve the fixture pages standing in for LinkedIn:
+ * - / redirects to /feed/, the feed needs a session cookie
+ * - /in/<slug>/ is a logged-in profile, or one of FIXTURE_PROFILES
+ * - /checkpoint/challenge/ is a verification PIN form, or a CAPTCHA with ?type=captcha
+ * - profiles and the feed redirect to /authwall without an li_at cookie
+ * - /404 and unknown paths are the not-found page
+ */
+function createFixtureHandler({ slowMs }) {
+    // Flaky slugs (flaky, flaky-*) whose first request was already dropped
+    const flakySeen = new Set();
+
+    return async (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        const baseUrl = url.origin;
+        const send = async (status, fixture, values) => {
+            res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(await renderFixture(fixture, values));
+        };
+        const redirect = location => {
+            res.writeHead(302, { Location: location });
+            res.end();
+        };
+
+        if (url.pathname === '/') {
+            return redirect('/feed/');
+        }
+        if (url.pathname === '/authwall') {
+            return send(200, 'authwall');
+        }
+        if (/^\/feed\/?$/.test(url.pathname)) {
+            return isLoggedIn(req) ? send(200, 'feed') : redirect('/authwall?trk=feed');
+        }
+        if (/^\/checkpoint\/challenge\/?$/.test(url.pathname)) {
+            return send(200, url.searchParams.get('type') === 'captcha' ? 'captcha' : 'checkpoint');
+        }
+
+        const profile = url.pathname.match(/^\/in\/([^/]+)\/?$/);
+        if (!profile) {
+            return send(404, 'not-found');
+        }
+        const slug = decodeURIComponent(profile[1]);
+        if (slug === 'authwall' || !isLoggedIn(req)) {
+            return redirect(`/authwall?trk=profile&sessionRedirect=${encodeURIComponent(url.href)}`);
+        }
+        if (slug === 'too-many-redirects') {
+            return send(200, 'too-many-redirects');
+        }
+        if (slug === 'not-found') {
+            return send(404, 'not-found');
+        }
+        if (slug === 'unavailable') {
+            return send(200, 'unavailable');
+        }
+        if (slug === 'checkpoint' || slug === 'captcha') {
+            return redirect(`/checkpoint/challenge/${slug === 'captcha' ? '?type=captcha' : ''}`);
+        }
+        if (slug === 'usage-limit') {
+            return send(429, 'usage-limit');
+        }
+        if (/^flaky(-|$)/.test(slug) && !flakySeen.has(slug)) {
+            flakySeen.add(slug);
+            return req.socket.destroy();
+        }
+        if (slug === 'slow') {
+            await new Promise(resolve => setTimeout(resolve, slowMs));
+        }
+        return send(200, 'profile', { baseUrl, slug, name: nameFromSlug(slug) });
+    };
+}
+
+/**
+ * Start an HTTP server with the LinkedIn fixture pages, resolving once it
+ * listens. Port 0 picks a free port. The slow profile is delayed by slowMs.
+ */
+function startFixtureServer({ port = 0, host = '127.0.0.1', slowMs = 5000 } = {}) {
+    const handler = createFixtureHandler({ slowMs });
+    const server = http.createServer((req, res) => {
+        handler(req, res).catch(error => {
+            logger.error(`❌ Fixture server failed on ${req.url}: ${error.message}`);
+            if (!res.headersSent) {
+                res.writeHead(500);
+            }
+            res.end();
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            const address = server.address();
+            resolve({
+                server,
+                url: `http://${host}:${address.port}`,
+                close: () => new Promise(done => {
+                    server.close(done);
+                    server.closeAllConnections();
+                })
+            });
+        });
+    });
+}
+
+module.exports = {
+    FIXTURE_PROFILES,
+    startFixtureServer
+};
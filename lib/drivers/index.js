@@ -0,0 +1,77 @@
+const chrome = require('./chrome');
+const simulation = require('./simulation');
+
+/**
+ * Browser drivers, chosen with BROWSER_DRIVER. The run pipeline only relies on
+ * what every driver provides:
+ * - launch(): a browser with createBrowserContext(), isConnected(), close() and
+ *   process(), whose pages support the Puppeteer calls the pipeline makes
+ *   (goto, reload, url, $, evaluate, setCookie, title, content, screenshot, on)
+ * - baseUrl(): the origin LinkedIn pages are loaded from
+ * - pacing: whether the pipeline waits for pages to settle and between visits
+ */
+const DRIVERS = { chrome, simulation };
+const DRIVER_NAMES = Object.keys(DRIVERS);
+
+/**
+ * The driver selected by BROWSER_DRIVER, Chrome by default
+ */
+function getDriver() {
+    const name = process.env.BROWSER_DRIVER || 'chrome';
+    if (!Object.hasOwn(DRIVERS, name)) {
+        throw new Error(`Unknown BROWSER_DRIVER '${name}', expected one of ${DRIVER_NAMES.join(', ')}`);
+    }
+    return DRIVERS[name];
+}
+
+/**
+ * Origin LinkedIn pages are loaded from with the selected driver, without a trailing slash
+ */
+async function linkedinBaseUrl() {
+    return (await getDriver().baseUrl()).replace(/\/+$/, '');
+}
+
+/**
+ * Whether the base URL is LinkedIn itself rather than a fixture server
+ */
+function isLinkedIn(baseUrl) {
+    return /(^|\.)linkedin\.com$/.test(new URL(baseUrl).hostname);
+}
+
+/**
+ * Point a LinkedIn URL at the base URL, keeping its path and query. URLs are
+ * unchanged when the base URL is LinkedIn itself.
+ */
+function rebaseUrl(url, baseUrl) {
+    const parsed = new URL(url);
+    if (isLinkedIn(baseUrl) || !isLinkedIn(parsed.origin)) {
+        return url;
+    }
+    return `${baseUrl}${parsed.pathname}${parsed.search}${parsed.hash}`;
+}
+
+/**
+ * Whether a page URL is on the site of the base URL, any subdomain of LinkedIn
+ * counting as LinkedIn
+ */
+function isOnSite(url, baseUrl) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return false;
+    }
+    if (isLinkedIn(baseUrl)) {
+        return isLinkedIn(parsed.origin);
+    }
+    return parsed.origin === new URL(baseUrl).origin;
+}
+
+module.exports = {
+    DRIVER_NAMES,
+    getDriver,
+    linkedinBaseUrl,
+    isLinkedIn,
+    rebaseUrl,
+    isOnSite
+};
@@ -0,0 +1,234 @@
+/**
+ * Simulation driver: a browser stand-in that loads pages over plain HTTP and
+ * answers selectors and evaluated functions against a minimal DOM, so runs work
+ * without Chrome or network access. Unless LINKEDIN_BASE_URL says otherwise,
+ * pages come from the bundled fixture server.
+ */
+const EventEmitter = require('events');
+const vm = require('vm');
+const { parseHtml } = require('./dom');
+const { startFixtureServer } = require('./fixtureServer');
+const logger = require('../logger');
+
+const MAX_REDIRECTS = 20;
+const NAVIGATION_TIMEOUT_MS = 30000;
+const NETWORK_ERRORS = {
+    ECONNREFUSED: 'net::ERR_CONNECTION_REFUSED',
+    ECONNRESET: 'net::ERR_CONNECTION_RESET',
+    ENOTFOUND: 'net::ERR_NAME_NOT_RESOLVED'
+};
+
+let fixtureServer = null;
+
+/**
+ * Whether a cookie is sent to a URL
+ */
+function cookieApplies(cookie, url) {
+    const domain = cookie.domain.replace(/^\./, '');
+    const hostMatches = url.hostname === domain || url.hostname.endsWith(`.${domain}`);
+    const notExpired = !cookie.expires || cookie.expires < 0 || cookie.expires > Date.now() / 1000;
+    return hostMatches && url.pathname.startsWith(cookie.path || '/') && notExpired;
+}
+
+/**
+ * Run a function passed to evaluate() the way a browser would: from its source,
+ * with the page's document and no access to Node
+ */
+function runInPage(document, fn, args) {
+    if (typeof fn !== 'function') {
+        throw new Error('The simulation driver only evaluates functions');
+    }
+    const sandbox = { document, window: {}, navigator: {}, args };
+    sandbox.window.document = document;
+    return vm.runInNewContext(`(${fn.toString()})(...args)`, sandbox, { timeout: 1000 });
+}
+
+function elementHandle(document, element) {
+    return {
+        async evaluate(fn, ...args) {
+            return runInPage(document, fn, [element, ...args]);
+        }
+    };
+}
+
+/**
+ * Open a page in a context, sharing the context's cookie jar
+ */
+function createPage(jar, isConnected) {
+    const events = new EventEmitter();
+    let currentUrl = 'about:blank';
+    let html = '';
+    let document = parseHtml(html, currentUrl);
+    let closed = false;
+
+    const requestOf = (url, redirectChain = []) => ({
+        url: () => url,
+        method: () => 'GET',
+        redirectChain: () => redirectChain.map(chainedUrl => ({ url: () => chainedUrl }))
+    });
+
+    const cookieHeader = url => jar.filter(cookie => cookieApplies(cookie, url))
+        .map(cookie => `${cookie.name}=${cookie.value}`)
+        .join('; ');
+
+    async function navigate(url, { timeout = NAVIGATION_TIMEOUT_MS } = {}) {
+        if (closed || !isConnected()) {
+            throw new Error('Protocol error: Target closed');
+        }
+        const signal = timeout > 0 ? AbortSignal.timeout(timeout) : undefined;
+        const redirectChain = [];
+        let target = new URL(url, currentUrl === 'about:blank' ? undefined : currentUrl).href;
+
+        try {
+            for (;;) {
+                let response;
+                try {
+                    response = await fetch(target, {
+                        redirect: 'manual',
+                        headers: { Cookie: cookieHeader(new URL(target)) },
+                        signal
+                    });
+                } catch (error) {
+                    if (signal && signal.aborted) {
+                        throw error;
+                    }
+                    const errorText = NETWORK_ERRORS[error.cause && error.cause.code] || 'net::ERR_FAILED';
+                    events.emit('requestfailed', { ...requestOf(target), failure: () => ({ errorText }) });
+                    throw new Error(`${errorText} at ${target}`);
+                }
+
+                const status = response.status;
+                const responseUrl = target;
+                const chainSoFar = [...redirectChain];
+                const pageResponse = {
+                    status: () => status,
+                    ok: () => status >= 200 && status < 300,
+                    url: () => responseUrl,
+                    headers: () => Object.fromEntries(response.headers.entries()),
+                    request: () => requestOf(responseUrl, chainSoFar)
+                };
+                events.emit('response', pageResponse);
+
+                const location = response.headers.get('location');
+                if (status >= 300 && status < 400 && location) {
+                    redirectChain.push(target);
+                    if (redirectChain.length > MAX_REDIRECTS) {
+                        throw new Error(`net::ERR_TOO_MANY_REDIRECTS at ${url}`);
+                    }
+                    target = new URL(location, target).href;
+                    continue;
+                }
+
+                html = await response.text();
+                currentUrl = target;
+                document = parseHtml(html, currentUrl);
+                return pageResponse;
+            }
+        } catch (error) {
+            if (signal && signal.aborted) {
+                throw new Error(`Navigation timeout of ${timeout} ms exceeded`);
+            }
+            throw error;
+        }
+    }
+
+    const page = {
+        on(event, handler) {
+            events.on(event, handler);
+            return page;
+        },
+        async evaluateOnNewDocument() {
+            // Pages run no scripts, so there is nothing to prepare
+        },
+        async setCookie(...cookies) {
+            for (const cookie of cookies) {
+                const domain = cookie.domain || new URL(cookie.url || currentUrl).hostname;
+                const index = jar.findIndex(existing => existing.name === cookie.name && existing.domain === domain && existing.path === (cookie.path || '/'));
+                jar.splice(index === -1 ? jar.length : index, index === -1 ? 0 : 1, { ...cookie, domain, path: cookie.path || '/' });
+            }
+        },
+        async cookies() {
+            return jar.filter(cookie => cookieApplies(cookie, new URL(currentUrl)));
+        },
+        goto: navigate,
+        reload: options => navigate(currentUrl, options),
+        url: () => currentUrl,
+        async title() {
+            return document.title;
+        },
+        async content() {
+            return html;
+        },
+        async $(selector) {
+            const element = document.querySelector(selector);
+            return element ? elementHandle(document, element) : null;
+        },
+        async $$(selector) {
+            return document.querySelectorAll(selector).map(element => elementHandle(document, element));
+        },
+        async evaluate(fn, ...args) {
+            return runInPage(document, fn, args);
+        },
+        async screenshot() {
+            throw new Error('Screenshots are not available with the simulation driver');
+        },
+        isClosed: () => closed || !isConnected(),
+        async close() {
+            closed = true;
+        }
+    };
+    return page;
+}
+
+/**
+ * Launch a simulated browser. Each browser context has its own cookie jar.
+ */
+async function launch() {
+    logger.info("🧪 Using the simulation driver, no real browser is started");
+    let connected = true;
+    const isConnected = () => connected;
+    const createContext = () => {
+        const jar = [];
+        return {
+            newPage: async () => createPage(jar, isConnected),
+            close: async () => {}
+        };
+    };
+    const defaultContext = createContext();
+
+    return {
+        createBrowserContext: async () => createContext(),
+        newPage: () => defaultContext.newPage(),
+        isConnected,
+        async close() {
+            connected = false;
+        },
+        process: () => null
+    };
+}
+
+/**
+ * Origin pages are loaded from: LINKEDIN_BASE_URL, or the bundled fixture
+ * server, started on a free port the first time it is needed
+ */
+async function baseUrl() {
+    if (process.env.LINKEDIN_BASE_URL) {
+        return process.env.LINKEDIN_BASE_URL;
+    }
+    if (!fixtureServer) {
+        fixtureServer = startFixtureServer().then(started => {
+            // The fixture server should not keep a finished command alive
+            started.server.unref();
+            logger.info(`🧪 Serving LinkedIn fixture pages at ${started.url}`);
+            return started;
+        });
+    }
+    return (await fixtureServer).url;
+}
+
+module.exports = {
+    name: 'simulation',
+    pacing: false,
+    launch,
+    baseUrl
+};
@@ -0,0 +1,25 @@
+const logger = require('./logger');
+
+/**
+ * Create an error carrying the HTTP status it should be reported with
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Send an error as a JSON response, logging anything unexpected
+ */
+function sendError(res, error, context) {
+    if (!error.status || error.status >= 500) {
+        logger.error(`❌ ${context}`, { error });
+    }
+    res.status(error.status || 500).json({ error: error.message });
+}
+
+module.exports = {
+    httpError,
+    sendError
+};
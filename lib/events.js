@@ -0,0 +1,64 @@
+const { EventEmitter } = require('events');
+
+const RUN_EVENT_TYPES = ['started', 'authenticated', 'visiting', 'visited', 'skipped', 'failed', 'finished'];
+const MAX_BUFFERED_RUNS = 20;
+// Channel every run's events are also published on
+const ALL_RUNS = Symbol('all runs');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Events of recent runs, so a client connecting mid-run can catch up
+const buffers = new Map();
+
+/**
+ * Publish a progress event for a run
+ */
+function emitRunEvent(runId, type, data = {}) {
+    if (!RUN_EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown run event type: ${type}`);
+    }
+    if (!buffers.has(runId)) {
+        buffers.set(runId, []);
+        for (const oldRunId of [...buffers.keys()].slice(0, Math.max(0, buffers.size - MAX_BUFFERED_RUNS))) {
+            buffers.delete(oldRunId);
+        }
+    }
+    const buffer = buffers.get(runId);
+    const event = { id: buffer.length + 1, type, runId, at: new Date().toISOString(), ...data };
+    buffer.push(event);
+    emitter.emit(runId, event);
+    emitter.emit(ALL_RUNS, event);
+    return event;
+}
+
+/**
+ * Events already published for a run, empty once the run is no longer buffered
+ */
+function getRunEvents(runId) {
+    return [...(buffers.get(runId) || [])];
+}
+
+/**
+ * Call listener for every new event of a run. Returns an unsubscribe function.
+ */
+function subscribeRunEvents(runId, listener) {
+    emitter.on(runId, listener);
+    return () => emitter.off(runId, listener);
+}
+
+/**
+ * Call listener for every new event of any run. Returns an unsubscribe function.
+ */
+function subscribeAllRunEvents(listener) {
+    emitter.on(ALL_RUNS, listener);
+    return () => emitter.off(ALL_RUNS, listener);
+}
+
+module.exports = {
+    RUN_EVENT_TYPES,
+    emitRunEvent,
+    getRunEvents,
+    subscribeRunEvents,
+    subscribeAllRunEvents
+};
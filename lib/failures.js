@@ -0,0 +1,90 @@
+const { envInt } = require('./config');
+
+/**
+ * Failure categories and the policy applied to each:
+ * - auth: the session is unusable, the run is aborted
+ * - challenge: a security checkpoint or CAPTCHA, the run is aborted and the account paused
+ * - limit: LinkedIn's usage limit was reached, the run is aborted
+ * - transient: timeouts, network errors and browser crashes, retried with backoff
+ * - profile: the profile itself cannot be visited, recorded and skipped
+ */
+const FAILURE_CATEGORIES = ['auth', 'challenge', 'limit', 'transient', 'profile'];
+
+const AUTH_PATTERNS = [
+    /^LOGIN_ERROR:/,
+    /ERR_TOO_MANY_REDIRECTS/,
+    /Failed to load cookies/
+];
+
+const CHALLENGE_PATTERNS = [
+    /^CHALLENGE_ERROR:/
+];
+
+const LIMIT_PATTERNS = [
+    /^LIMIT_ERROR:/
+];
+
+const TRANSIENT_PATTERNS = [
+    /timeout/i,
+    /net::ERR_/,
+    /Target closed/i,
+    /Session closed/i,
+    /Protocol error/i,
+    /browser has disconnected/i,
+    /Connection closed/i,
+    /detached Frame/i,
+    /ECONNRESET|ECONNREFUSED|EPIPE/
+];
+
+/**
+ * Sort an error message into one of the failure categories
+ */
+function classifyError(message) {
+    const text = String(message || '');
+    if (AUTH_PATTERNS.some(pattern => pattern.test(text))) {
+        return 'auth';
+    }
+    if (CHALLENGE_PATTERNS.some(pattern => pattern.test(text))) {
+        return 'challenge';
+    }
+    if (LIMIT_PATTERNS.some(pattern => pattern.test(text))) {
+        return 'limit';
+    }
+    if (TRANSIENT_PATTERNS.some(pattern => pattern.test(text))) {
+        return 'transient';
+    }
+    return 'profile';
+}
+
+/**
+ * Retry settings for transient failures
+ */
+function retryPolicy() {
+    return {
+        retries: envInt('VISIT_RETRIES', 2),
+        baseDelayMs: envInt('VISIT_RETRY_BASE_DELAY_MS', 5000),
+        maxDelayMs: envInt('VISIT_RETRY_MAX_DELAY_MS', 60000)
+    };
+}
+
+/**
+ * Exponential backoff delay before the given retry (1-based)
+ */
+function backoffDelay(retry, { baseDelayMs, maxDelayMs }) {
+    return Math.min(baseDelayMs * 2 ** (retry - 1), maxDelayMs);
+}
+
+/**
+ * Whether runs keep going after non-fatal failures, from CONTINUE_ON_ERROR
+ */
+function continueOnErrorDefault() {
+    return process.env.CONTINUE_ON_ERROR !== 'false';
+}
+
+module.exports = {
+    FAILURE_CATEGORIES,
+    classifyError,
+    retryPolicy,
+    backoffDelay,
+    continueOnErrorDefault
+};
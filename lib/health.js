@@ -0,0 +1,73 @@
+const runs = require('./runs');
+const sessionState = require('./session');
+const accounts = require('./accounts');
+const { classifyError } = require('./failures');
+
+/**
+ * Whether a run was stopped by an unusable LinkedIn session
+ */
+function failedOnLogin(run) {
+    return run.status === 'failed' && (
+        run.visits.some(visit => visit.category === 'auth')
+        || /LOGIN_ERROR:/.test(run.error || '')
+        || classifyError(run.error) === 'auth'
+    );
+}
+
+/**
+ * The fields of a run reported in the health check
+ */
+function describeRun(run) {
+    return run ? { id: run.id, status: run.status, finishedAt: run.finishedAt, error: run.error } : null;
+}
+
+/**
+ * Service health: degraded when the last run of an enabled account failed with
+ * a login error or a session probe found it logged out, since every following
+ * run of that account will fail the same way until its cookies are replaced, or
+ * when an enabled account is paused
+ */
+async function getHealth() {
+    const lastRun = await runs.getLastFinishedRun();
+    const lastSuccessfulRun = await runs.getLastFinishedRun({ status: 'success' });
+
+    const reasons = [];
+    const accountHealth = [];
+    for (const account of await accounts.listAccounts({ enabled: true })) {
+        const accountLastRun = await runs.getLastFinishedRun({ accountId: account.id });
+        const state = await sessionState.getSessionState(account.id);
+        const loginFailed = Boolean(accountLastRun && failedOnLogin(accountLastRun));
+        const loggedOut = sessionState.isLoggedOut(state);
+        if (loginFailed) {
+            reasons.push(`Last run of account '${account.id}' failed with a login error: ${accountLastRun.error}`);
+        } else if (loggedOut) {
+            reasons.push(`Session probe of account '${account.id}' found it logged out at ${state.lastProbe.at}: ${state.lastProbe.error}`);
+        }
+        if (account.pausedAt) {
+            reasons.push(`Account '${account.id}' is paused since ${account.pausedAt}: ${account.pauseReason}`);
+        }
+        accountHealth.push({
+            id: account.id,
+            status: loginFailed || loggedOut || account.pausedAt ? 'degraded' : 'ok',
+            pausedAt: account.pausedAt,
+            lastRun: describeRun(accountLastRun),
+            sessionLastValidAt: state.lastConfirmedValidAt
+        });
+    }
+    const { lastConfirmedValidAt } = await sessionState.getSessionState(accounts.DEFAULT_ACCOUNT_ID);
+
+    return {
+        status: reasons.length > 0 ? 'degraded' : 'ok',
+        reasons,
+        lastRun: describeRun(lastRun),
+        lastSuccessfulRunAt: lastSuccessfulRun ? lastSuccessfulRun.finishedAt : null,
+        sessionLastValidAt: lastConfirmedValidAt,
+        accounts: accountHealth,
+        timestamp: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    failedOnLogin,
+    getHealth
+};
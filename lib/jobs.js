@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+const logger = require('./logger');
+
+const MAX_FINISHED_JOBS = 50;
+
+const jobs = new Map();
+// Account id -> the job holding that account's run lock
+const activeJobs = new Map();
+
+/**
+ * Public view of a job, without its internal controller and promise
+ */
+function describeJob(job) {
+    const { controller, promise, ...view } = job;
+    return view;
+}
+
+/**
+ * Drop the oldest finished jobs so the map does not grow forever
+ */
+function pruneJobs() {
+    const finished = [...jobs.values()].filter(job => job.finishedAt);
+    for (const job of finished.slice(0, Math.max(finished.length - MAX_FINISHED_JOBS, 0))) {
+        jobs.delete(job.id);
+    }
+}
+
+/**
+ * Start a job in the background. Only one job may run at a time per account;
+ * a second start for an account while one is active fails with a 409 error.
+ *
+ * The runner receives the job's abort signal and a progress callback and
+ * should resolve with the run result.
+ */
+function startJob({ trigger, accountId }, runner) {
+    const activeJob = activeJobs.get(accountId);
+    if (activeJob) {
+        const error = httpError(409, `A run is already in progress for account '${accountId}' (job ${activeJob.id})`);
+        error.jobId = activeJob.id;
+        throw error;
+    }
+
+    const controller = new AbortController();
+    const job = {
+        id: crypto.randomUUID(),
+        accountId,
+        trigger,
+        status: 'running',
+        runId: null,
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        totalUrls: null,
+        currentIndex: null,
+        currentUrl: null,
+        processedCount: 0,
+        successCount: 0,
+        failureCount: 0,
+        skippedCount: 0,
+        cancelRequested: false,
+        result: null,
+        error: null,
+        controller
+    };
+    jobs.set(job.id, job);
+    activeJobs.set(accountId, job);
+
+    const onProgress = update => Object.assign(job, update);
+
+    job.promise = Promise.resolve()
+        .then(() => runner({ signal: controller.signal, onProgress }))
+        .then(result => {
+            job.result = result;
+            if (result.cancelled || result.interrupted) {
+                job.status = result.cancelled ? 'cancelled' : 'interrupted';
+            } else {
+                job.status = result.success ? 'completed' : (result.completed ? 'partial' : 'failed');
+                job.error = result.success ? null : result.message;
+            }
+        })
+        .catch(error => {
+            logger.error(`❌ Job ${job.id} failed`, { error });
+            job.status = 'failed';
+            job.error = error.message;
+        })
+        .finally(() => {
+            job.finishedAt = new Date().toISOString();
+            activeJobs.delete(accountId);
+            pruneJobs();
+        });
+
+    return job;
+}
+
+/**
+ * Get a job by id
+ */
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+/**
+ * The job currently holding an account's run lock, if any
+ */
+function getActiveJob(accountId) {
+    return activeJobs.get(accountId) || null;
+}
+
+/**
+ * Every job currently running, across accounts
+ */
+function listActiveJobs() {
+    return [...activeJobs.values()];
+}
+
+/**
+ * Request cancellation of a running job. The run stops before the next
+ * profile; a visit already in progress is allowed to finish.
+ */
+function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) {
+        throw httpError(404, 'Job not found');
+    }
+    if (job.finishedAt) {
+        throw httpError(409, `Job already ${job.status}`);
+    }
+    job.cancelRequested = true;
+    job.controller.abort();
+    return job;
+}
+
+module.exports = {
+    describeJob,
+    startJob,
+    getJob,
+    getActiveJob,
+    listActiveJobs,
+    cancelJob
+};
@@ -0,0 +1,80 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const context = new AsyncLocalStorage();
+
+/**
+ * Minimum level written, from LOG_LEVEL
+ */
+function minLevel() {
+    const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+    return LEVELS.includes(level) ? level : 'info';
+}
+
+/**
+ * Turn errors into plain objects so they survive JSON output
+ */
+function serializeFields(fields) {
+    const result = {};
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) {
+            continue;
+        }
+        result[key] = value instanceof Error ? { message: value.message, stack: value.stack } : value;
+    }
+    return result;
+}
+
+/**
+ * Human readable line, with the correlation fields appended as key=value pairs
+ */
+function formatPretty(entry) {
+    const { time, level, msg, ...fields } = entry;
+    const extras = Object.entries(fields).map(([key, value]) => {
+        if (value && typeof value === 'object') {
+            return value.stack ? `\n${value.stack}` : `${key}=${JSON.stringify(value)}`;
+        }
+        return `${key}=${value}`;
+    });
+    return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extras.length > 0 ? ` ${extras.join(' ')}` : ''}`;
+}
+
+function write(level, msg, fields = {}) {
+    if (LEVELS.indexOf(level) < LEVELS.indexOf(minLevel())) {
+        return;
+    }
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg,
+        ...context.getStore(),
+        ...serializeFields(fields)
+    };
+    const line = process.env.LOG_FORMAT === 'json' ? JSON.stringify(entry) : formatPretty(entry);
+    (level === 'warn' || level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * Run fn with extra fields, such as runId or url, added to every line it logs.
+ * Nested calls add to the fields of the enclosing context.
+ */
+function withContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Fields of the current logging context
+ */
+function currentContext() {
+    return context.getStore() || {};
+}
+
+module.exports = {
+    LEVELS,
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    withContext,
+    currentContext
+};
@@ -0,0 +1,136 @@
+const client = require('prom-client');
+const runs = require('./runs');
+const jobs = require('./jobs');
+const sessionState = require('./session');
+const accounts = require('./accounts');
+
+const PREFIX = 'linkedin_visitor_';
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+const runsTotal = new client.Counter({
+    name: `${PREFIX}runs_total`,
+    help: 'Finished runs by account, trigger and final status',
+    labelNames: ['account', 'trigger', 'status'],
+    registers: [registry]
+});
+
+const visitsSucceeded = new client.Counter({
+    name: `${PREFIX}visits_succeeded_total`,
+    help: 'Profile visits that succeeded',
+    registers: [registry]
+});
+
+const visitsFailed = new client.Counter({
+    name: `${PREFIX}visits_failed_total`,
+    help: 'Profile visits that failed, by failure category',
+    labelNames: ['category'],
+    registers: [registry]
+});
+
+const visitsSkipped = new client.Counter({
+    name: `${PREFIX}visits_skipped_total`,
+    help: 'Profiles skipped by the visit quota or quiet hours, or flagged as unavailable',
+    registers: [registry]
+});
+
+const browserLaunchSeconds = new client.Histogram({
+    name: `${PREFIX}browser_launch_seconds`,
+    help: 'Time taken to launch the browser',
+    buckets: [0.5, 1, 2, 5, 10, 20, 30, 60],
+    registers: [registry]
+});
+
+const navigationSeconds = new client.Histogram({
+    name: `${PREFIX}page_navigation_seconds`,
+    help: 'Time taken to navigate to a profile page',
+    buckets: [0.5, 1, 2, 5, 10, 20, 30, 60],
+    registers: [registry]
+});
+
+const runDurationSeconds = new client.Histogram({
+    name: `${PREFIX}run_duration_seconds`,
+    help: 'Total duration of a run',
+    buckets: [30, 60, 120, 300, 600, 1200, 1800, 3600, 7200],
+    registers: [registry]
+});
+
+new client.Gauge({
+    name: `${PREFIX}run_in_progress`,
+    help: 'Number of runs in progress, at most one per account',
+    registers: [registry],
+    collect() {
+        this.set(jobs.listActiveJobs().length);
+    }
+});
+
+// Timestamps are read from the persisted state so they survive restarts
+new client.Gauge({
+    name: `${PREFIX}last_successful_run_timestamp_seconds`,
+    help: 'Unix time the last successful run finished, 0 if none',
+    registers: [registry],
+    async collect() {
+        const run = await runs.getLastFinishedRun({ status: 'success' });
+        this.set(run ? new Date(run.finishedAt).getTime() / 1000 : 0);
+    }
+});
+
+new client.Gauge({
+    name: `${PREFIX}session_last_valid_timestamp_seconds`,
+    help: 'Unix time each account\'s LinkedIn session was last confirmed valid, 0 if never',
+    labelNames: ['account'],
+    registers: [registry],
+    async collect() {
+        // Reset so deleted accounts drop out
+        this.reset();
+        for (const account of await accounts.listAccounts()) {
+            const { lastConfirmedValidAt } = await sessionState.getSessionState(account.id);
+            this.set({ account: account.id }, lastConfirmedValidAt ? new Date(lastConfirmedValidAt).getTime() / 1000 : 0);
+        }
+    }
+});
+
+new client.Gauge({
+    name: `${PREFIX}session_expiry_timestamp_seconds`,
+    help: 'Unix time the first required cookie of each account\'s LinkedIn session expires, 0 if unknown',
+    labelNames: ['account'],
+    registers: [registry],
+    async collect() {
+        this.reset();
+        for (const account of await accounts.listAccounts()) {
+            const { cookieExpiry } = await sessionState.getSessionState(account.id);
+            const expiresAt = cookieExpiry && cookieExpiry.expiresAt;
+            this.set({ account: account.id }, expiresAt ? new Date(expiresAt).getTime() / 1000 : 0);
+        }
+    }
+});
+
+/**
+ * Count a finished run and record its duration
+ */
+function recordRun({ accountId, trigger, status, durationMs }) {
+    runsTotal.inc({ account: accountId, trigger, status });
+    runDurationSeconds.observe(durationMs / 1000);
+}
+
+/**
+ * Count a visit outcome
+ */
+function recordVisit({ success, skipped, category }) {
+    if (skipped) {
+        visitsSkipped.inc();
+    } else if (success) {
+        visitsSucceeded.inc();
+    } else {
+        visitsFailed.inc({ category: category || 'profile' });
+    }
+}
+
+module.exports = {
+    registry,
+    browserLaunchSeconds,
+    navigationSeconds,
+    recordRun,
+    recordVisit
+};
@@ -0,0 +1,47 @@
+const { postJson, truncate, formatResultLines } = require('./http');
+
+const SEVERITY_COLORS = {
+    info: 0x3498db,
+    success: 0x2ecc71,
+    failure: 0xe74c3c,
+    urgent: 0x992d22
+};
+
+/**
+ * Discord webhook using an embed, configured with DISCORD_WEBHOOK_URL
+ */
+module.exports = {
+    name: 'discord',
+    minSeverityEnv: 'DISCORD_MIN_SEVERITY',
+
+    isConfigured(env) {
+        return Boolean(env.DISCORD_WEBHOOK_URL);
+    },
+
+    async send(event, env) {
+        let description = event.message;
+        if (event.results && event.results.length > 0) {
+            description += '\n```\n' + formatResultLines(event.results).join('\n') + '\n```';
+        }
+
+        const embed = {
+            title: truncate(event.title, 256),
+            description: truncate(description, 4096),
+            color: SEVERITY_COLORS[event.severity],
+            timestamp: event.timestamp,
+            fields: Object.entries(event.stats || {}).map(([name, value]) => ({
+                name,
+                value: String(value),
+                inline: true
+            }))
+        };
+        if (event.runId) {
+            embed.footer = { text: `Run ${event.runId}` };
+        }
+
+        await postJson(env.DISCORD_WEBHOOK_URL, {
+            content: event.severity === 'urgent' ? '@here' : undefined,
+            embeds: [embed]
+        });
+    }
+};
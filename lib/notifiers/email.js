@@ -0,0 +1,55 @@
+const nodemailer = require('nodemailer');
+const { formatResultLines } = require('./http');
+
+// SMTP transports by the settings they were built from
+const transporters = new Map();
+
+/**
+ * Get the SMTP transport for the SMTP_* settings of env, building it on first use
+ */
+function getTransporter(env) {
+    const port = parseInt(env.SMTP_PORT, 10) || 587;
+    const options = {
+        host: env.SMTP_HOST,
+        port,
+        secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+    };
+    const key = JSON.stringify(options);
+    if (!transporters.has(key)) {
+        transporters.set(key, nodemailer.createTransport(options));
+    }
+    return transporters.get(key);
+}
+
+/**
+ * SMTP email, configured with SMTP_HOST, EMAIL_FROM and EMAIL_TO
+ */
+module.exports = {
+    name: 'email',
+    minSeverityEnv: 'EMAIL_MIN_SEVERITY',
+
+    isConfigured(env) {
+        return Boolean(env.SMTP_HOST && env.EMAIL_FROM && env.EMAIL_TO);
+    },
+
+    async send(event, env) {
+        const lines = [event.message];
+        if (event.stats) {
+            lines.push('', ...Object.entries(event.stats).map(([key, value]) => `${key}: ${value}`));
+        }
+        if (event.results && event.results.length > 0) {
+            lines.push('', ...formatResultLines(event.results));
+        }
+        if (event.runId) {
+            lines.push('', `Run ${event.runId}`);
+        }
+
+        await getTransporter(env).sendMail({
+            from: env.EMAIL_FROM,
+            to: env.EMAIL_TO,
+            subject: `[LinkedIn Profile Visitor] ${event.severity === 'urgent' ? 'URGENT: ' : ''}${event.title}`,
+            text: lines.join('\n')
+        });
+    }
+};
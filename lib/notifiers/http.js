@@ -0,0 +1,45 @@
+/**
+ * POST a JSON payload, throwing on non-2xx responses with the status on the error
+ */
+async function postJson(url, payload, { headers = {}, timeoutMs = 10000 } = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: typeof payload === 'string' ? payload : JSON.stringify(payload),
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        const error = new Error(`HTTP ${response.status} ${response.statusText}${body ? ` - ${body.slice(0, 200)}` : ''}`);
+        error.status = response.status;
+        throw error;
+    }
+    return response;
+}
+
+/**
+ * Shorten text to a maximum length, marking the cut
+ */
+function truncate(text, maxLength) {
+    return text.length <= maxLength ? text : `${text.slice(0, maxLength - 1)}…`;
+}
+
+/**
+ * One line per profile result, as used by the plain-text channels
+ */
+function formatResultLines(results) {
+    return results.map(result => {
+        if (result.skipped) {
+            return `⏭️ ${result.url} (skipped): ${result.reason}`;
+        }
+        return result.success
+            ? `✅ ${result.url}`
+            : `❌ ${result.url} (${result.category || 'error'}): ${result.error}`;
+    });
+}
+
+module.exports = {
+    postJson,
+    truncate,
+    formatResultLines
+};
@@ -0,0 +1,59 @@
+const slack = require('./slack');
+const discord = require('./discord');
+const webhook = require('./webhook');
+const email = require('./email');
+const logger = require('../logger');
+
+const SEVERITIES = ['info', 'success', 'failure', 'urgent'];
+
+const channels = [slack, discord, webhook, email];
+
+/**
+ * Minimum severity a channel is sent, from its *_MIN_SEVERITY setting
+ */
+function minSeverity(channel, env) {
+    const configured = env[channel.minSeverityEnv];
+    if (configured && !SEVERITIES.includes(configured)) {
+        logger.warn(`⚠️ Ignoring invalid ${channel.minSeverityEnv}=${configured}, expected one of ${SEVERITIES.join(', ')}`);
+        return 'info';
+    }
+    return configured || 'info';
+}
+
+/**
+ * Send an event to every configured channel whose minimum severity it meets.
+ * Channel failures are logged and never thrown.
+ *
+ * An event has a severity (info, success, failure, urgent), a title and a
+ * message, and optionally a runId, accountId, stats (label -> value) and
+ * per-profile results. Channels are configured by env, which is an account's
+ * settings for events about that account.
+ */
+async function notify(event, env = process.env) {
+    if (!SEVERITIES.includes(event.severity)) {
+        throw new Error(`Unknown notification severity: ${event.severity}`);
+    }
+    const fullEvent = { timestamp: new Date().toISOString(), ...event };
+
+    const eligible = channels.filter(channel => channel.isConfigured(env)
+        && SEVERITIES.indexOf(event.severity) >= SEVERITIES.indexOf(minSeverity(channel, env)));
+
+    if (eligible.length === 0) {
+        logger.info(`🔕 No notification channel for ${event.severity}: ${event.title}`);
+        return;
+    }
+
+    logger.info(`🔔 Sending ${event.severity} notification to ${eligible.map(c => c.name).join(', ')}: ${event.title}`);
+    await Promise.all(eligible.map(async channel => {
+        try {
+            await channel.send(fullEvent, env);
+        } catch (error) {
+            logger.warn(`⚠️ Failed to send ${channel.name} notification: ${error.message}`);
+        }
+    }));
+}
+
+module.exports = {
+    SEVERITIES,
+    notify
+};
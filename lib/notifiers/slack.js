@@ -0,0 +1,73 @@
+const { postJson, truncate } = require('./http');
+
+const SEVERITY_EMOJI = {
+    info: 'ℹ️',
+    success: '✅',
+    failure: '❌',
+    urgent: '🚨'
+};
+
+/**
+ * Fixed-width table of per-profile results for a Slack code block
+ */
+function formatResultTable(results) {
+    const rows = results.map(result => [
+        result.skipped ? 'SKIP' : (result.success ? 'OK' : 'FAIL'),
+        result.url.replace(/^https?:\/\/(www\.)?/, ''),
+        result.skipped ? result.reason : (result.success ? '' : `${result.category || 'error'}: ${result.error}`)
+    ]);
+    const header = ['Status', 'Profile', 'Detail'];
+    const widths = [0, 1].map(column => Math.max(header[column].length, ...rows.map(row => row[column].length)));
+    const format = row => `${row[0].padEnd(widths[0])}  ${row[1].padEnd(widths[1])}  ${row[2]}`.trimEnd();
+    return [format(header), ...rows.map(format)].join('\n');
+}
+
+/**
+ * Slack incoming webhook using Block Kit, configured with SLACK_WEBHOOK_URL
+ */
+module.exports = {
+    name: 'slack',
+    minSeverityEnv: 'SLACK_MIN_SEVERITY',
+
+    isConfigured(env) {
+        return Boolean(env.SLACK_WEBHOOK_URL);
+    },
+
+    async send(event, env) {
+        const title = `${SEVERITY_EMOJI[event.severity]} ${event.title}`;
+        const blocks = [
+            { type: 'header', text: { type: 'plain_text', text: truncate(title, 150), emoji: true } },
+            { type: 'section', text: { type: 'mrkdwn', text: truncate(event.message, 3000) } }
+        ];
+
+        if (event.stats) {
+            blocks.push({
+                type: 'section',
+                fields: Object.entries(event.stats).map(([key, value]) => ({
+                    type: 'mrkdwn',
+                    text: `*${key}*\n${value}`
+                }))
+            });
+        }
+
+        if (event.results && event.results.length > 0) {
+            blocks.push({ type: 'divider' });
+            blocks.push({
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: truncate('```' + formatResultTable(event.results), 2997) + '```'
+                }
+            });
+        }
+
+        if (event.runId) {
+            blocks.push({
+                type: 'context',
+                elements: [{ type: 'mrkdwn', text: `Run \`${event.runId}\`` }]
+            });
+        }
+
+        await postJson(env.SLACK_WEBHOOK_URL, { text: `${title}: ${event.message}`, blocks });
+    }
+};
@@ -0,0 +1,24 @@
+const { postJson } = require('./http');
+
+/**
+ * Generic JSON webhook, configured with NOTIFY_WEBHOOK_URL
+ */
+module.exports = {
+    name: 'webhook',
+    minSeverityEnv: 'NOTIFY_WEBHOOK_MIN_SEVERITY',
+
+    isConfigured(env) {
+        return Boolean(env.NOTIFY_WEBHOOK_URL);
+    },
+
+    async send(event, env) {
+        const headers = {};
+        if (env.NOTIFY_WEBHOOK_TOKEN) {
+            headers.Authorization = `Bearer ${env.NOTIFY_WEBHOOK_TOKEN}`;
+        }
+        await postJson(env.NOTIFY_WEBHOOK_URL, {
+            source: 'linkedin-profile-visitor',
+            ...event
+        }, { headers });
+    }
+};
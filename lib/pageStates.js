@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const { isOnSite } = require('./drivers');
+const logger = require('./logger');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'rules', 'page-states.json');
+
+/**
+ * States a loaded page can be in, each with the policy a run applies:
+ * - continue: the profile was visited
+ * - skip_profile: the profile is gone, it is skipped and flagged in the registry
+ * - pause_account: a human has to resolve a challenge, the run is aborted and the account paused
+ * - abort_run: the session is unusable or rate limited, the run is aborted
+ * The message is the visit error, its prefix gives the failure category.
+ */
+const PAGE_STATES = {
+    logged_in: { policy: 'continue', message: null },
+    not_found: { policy: 'skip_profile', message: 'PROFILE_ERROR: Profile not found' },
+    profile_unavailable: { policy: 'skip_profile', message: 'PROFILE_ERROR: Profile unavailable' },
+    checkpoint: { policy: 'pause_account', message: 'CHALLENGE_ERROR: Security checkpoint, the account must be verified' },
+    captcha: { policy: 'pause_account', message: 'CHALLENGE_ERROR: CAPTCHA challenge' },
+    usage_limit: { policy: 'abort_run', message: 'LIMIT_ERROR: LinkedIn usage limit reached' },
+    login_required: { policy: 'abort_run', message: 'LOGIN_ERROR: Not logged in - authentication required' },
+    redirect_loop: { policy: 'abort_run', message: 'LOGIN_ERROR: Too many redirects - cookies may be invalid' },
+    off_site: { policy: 'abort_run', message: 'LOGIN_ERROR: Not on LinkedIn domain' }
+};
+
+// States that only the classifier itself decides, never a rule
+const FALLBACK_STATES = ['logged_in', 'off_site'];
+
+let cached = null;
+
+/**
+ * Path of the rules file, from PAGE_STATE_RULES_PATH or the bundled rules
+ */
+function rulesPath() {
+    return process.env.PAGE_STATE_RULES_PATH || DEFAULT_RULES_PATH;
+}
+
+/**
+ * Check a parsed rules file, throwing an error naming the first problem
+ */
+function validateRules(parsed, filePath) {
+    const fail = message => {
+        throw new Error(`Invalid page state rules in ${filePath}: ${message}`);
+    };
+    if (!parsed || !Array.isArray(parsed.rules)) {
+        fail('expected an object with a "rules" array');
+    }
+    const isStringList = value => value === undefined || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+
+    parsed.rules.forEach((rule, index) => {
+        const where = `rule ${index + 1}`;
+        if (!rule || !Object.hasOwn(PAGE_STATES, rule.state) || FALLBACK_STATES.includes(rule.state)) {
+            const states = Object.keys(PAGE_STATES).filter(state => !FALLBACK_STATES.includes(state));
+            fail(`${where} has state ${JSON.stringify(rule && rule.state)}, expected one of ${states.join(', ')}`);
+        }
+        if (!isStringList(rule.urls) || !isStringList(rule.selectors)) {
+            fail(`${where} urls and selectors must be lists of strings`);
+        }
+        if (rule.status !== undefined && !(Array.isArray(rule.status) && rule.status.every(Number.isInteger))) {
+            fail(`${where} status must be a list of HTTP status codes`);
+        }
+        for (const condition of rule.text || []) {
+            if (!condition || typeof condition.selector !== 'string' || typeof condition.pattern !== 'string') {
+                fail(`${where} text conditions need a selector and a pattern`);
+            }
+            try {
+                new RegExp(condition.pattern, 'i');
+            } catch (error) {
+                fail(`${where} has an invalid pattern: ${error.message}`);
+            }
+        }
+        if (!rule.urls && !rule.selectors && !rule.status && !rule.text) {
+            fail(`${where} has no conditions`);
+        }
+    });
+    return parsed.rules;
+}
+
+/**
+ * Read and check a rules file, throwing an error naming the first problem
+ */
+function readRules(filePath) {
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read page state rules ${filePath}: ${error.message}`);
+    }
+    return validateRules(parsed, filePath);
+}
+
+/**
+ * Load the page state rules, reading the file again whenever it changes so
+ * rules can be updated without a restart
+ */
+function loadRules() {
+    const filePath = rulesPath();
+    let modifiedAt;
+    try {
+        modifiedAt = fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+        throw new Error(`Failed to read page state rules ${filePath}: ${error.message}`);
+    }
+    if (cached && cached.filePath === filePath && cached.modifiedAt === modifiedAt) {
+        return cached.rules;
+    }
+
+    const rules = readRules(filePath);
+    if (cached) {
+        logger.info(`📐 Reloaded ${rules.length} page state rules from ${filePath}`);
+    }
+    cached = { filePath, modifiedAt, rules };
+    return rules;
+}
+
+/**
+ * Whether a URL path starts with a prefix of whole path segments, so /login
+ * matches /login and /login/ but not /login-help
+ */
+function pathStartsWith(pathname, prefix) {
+    const base = prefix.replace(/\/+$/, '');
+    return pathname === base || pathname.startsWith(`${base}/`);
+}
+
+/**
+ * The first condition of a rule the page meets, described for the logs, or null
+ */
+async function matchRule(rule, { page, pathname, status }) {
+    if (status !== null && (rule.status || []).includes(status)) {
+        return `HTTP ${status}`;
+    }
+    const url = (rule.urls || []).find(prefix => pathStartsWith(pathname, prefix));
+    if (url) {
+        return `URL path starts with ${url}`;
+    }
+    for (const selector of rule.selectors || []) {
+        if (await page.$(selector)) {
+            return `found ${selector}`;
+        }
+    }
+    for (const { selector, pattern } of rule.text || []) {
+        const expression = new RegExp(pattern, 'i');
+        for (const element of await page.$$(selector)) {
+            const text = (await element.evaluate(el => el.textContent) || '').replace(/\s+/g, ' ').trim();
+            if (expression.test(text)) {
+                return `${selector} says "${text.slice(0, 100)}"`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Classify a loaded page with the rules, the first matching rule deciding.
+ * A page no rule matches is logged in when it is on LinkedIn (or the base URL),
+ * and off_site otherwise. Returns the state with its policy, error message and
+ * the evidence that decided it.
+ */
+async function detectPageState(page, { response = null, baseUrl }) {
+    const currentUrl = page.url();
+    let pathname = '';
+    try {
+        pathname = new URL(currentUrl).pathname;
+    } catch {
+        // about:blank and error pages have no usable path
+    }
+    const status = response ? response.status() : null;
+
+    for (const rule of loadRules()) {
+        const evidence = await matchRule(rule, { page, pathname, status });
+        if (evidence) {
+            return describeState(rule.state, evidence);
+        }
+    }
+    if (!isOnSite(currentUrl, baseUrl)) {
+        return describeState('off_site', `page is at ${currentUrl}`);
+    }
+    return describeState('logged_in', null);
+}
+
+function describeState(state, evidence) {
+    const { policy, message } = PAGE_STATES[state];
+    return { state, policy, evidence, message: message && evidence ? `${message} (${evidence})` : message };
+}
+
+module.exports = {
+    PAGE_STATES,
+    rulesPath,
+    readRules,
+    loadRules,
+    detectPageState
+};
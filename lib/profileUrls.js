@@ -0,0 +1,192 @@
+const CANONICAL_ORIGIN = 'https://www.linkedin.com';
+
+// Paths that are LinkedIn pages but not member profiles, with the reason given
+const NOT_PROFILE_PATHS = [
+    { prefix: '/company/', reason: 'is a company page, not a profile' },
+    { prefix: '/school/', reason: 'is a school page, not a profile' },
+    { prefix: '/showcase/', reason: 'is a showcase page, not a profile' },
+    { prefix: '/groups/', reason: 'is a group, not a profile' },
+    { prefix: '/jobs/', reason: 'is a job listing, not a profile' },
+    { prefix: '/posts/', reason: 'is a post, not a profile' },
+    { prefix: '/feed/', reason: 'is a feed page, not a profile' },
+    { prefix: '/sales/', reason: 'is a Sales Navigator page, open the profile on LinkedIn and copy its /in/ URL' },
+    { prefix: '/talent/', reason: 'is a LinkedIn Recruiter page, open the profile on LinkedIn and copy its /in/ URL' },
+    { prefix: '/pub/', reason: 'is an old /pub/ profile URL, open the profile and copy its /in/ URL' }
+];
+
+// Column headers that hold profile URLs in CSV files, such as LinkedIn's connections export
+const URL_HEADERS = /^(profile[ _-]?)?url$|^linkedin([ _-]?(url|profile|profile url))?$|^profile$/i;
+
+/**
+ * Turn a LinkedIn profile URL into its canonical form, https://www.linkedin.com/in/<slug>.
+ * The scheme may be left out, any linkedin.com host is accepted (mobile and country
+ * ones too), query strings, fragments and subpages such as /details/experience/ are
+ * dropped and the slug is lowercased.
+ *
+ * Returns { url, normalized } where normalized tells whether the input changed,
+ * or { error } with the reason the input is not a profile URL.
+ */
+function normalizeProfileUrl(input) {
+    if (typeof input !== 'string' || input.trim() === '') {
+        return { error: 'is empty' };
+    }
+    const trimmed = input.trim();
+    const withScheme = /^[a-z][a-z0-9+.-]*:/i.test(trimmed) ? trimmed : `https://${trimmed}`;
+
+    let parsed;
+    try {
+        parsed = new URL(withScheme);
+    } catch {
+        return { error: 'is not a valid URL' };
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return { error: 'must use http or https' };
+    }
+    const host = parsed.hostname.toLowerCase();
+    if (host === 'lnkd.in') {
+        return { error: 'is a shortened lnkd.in link, open it and copy the profile URL' };
+    }
+    if (host !== 'linkedin.com' && !host.endsWith('.linkedin.com')) {
+        return { error: 'is not a LinkedIn URL' };
+    }
+
+    // Mobile web URLs put the profile under /mwlite/
+    const pathname = parsed.pathname.replace(/^\/mwlite(?=\/)/, '');
+    const match = pathname.match(/^\/in\/([^/]+)/);
+    if (!match) {
+        const known = NOT_PROFILE_PATHS.find(({ prefix }) => `${pathname}/`.startsWith(prefix));
+        return { error: known ? known.reason : 'is not a profile URL, profile URLs look like https://www.linkedin.com/in/<name>' };
+    }
+
+    let slug;
+    try {
+        slug = decodeURIComponent(match[1]).toLowerCase();
+    } catch {
+        return { error: 'has a malformed profile name' };
+    }
+    if (slug.length < 3 || slug.length > 100 || /\s/.test(slug)) {
+        return { error: 'has an invalid profile name, it must be 3 to 100 characters without spaces' };
+    }
+
+    const url = `${CANONICAL_ORIGIN}/in/${encodeURIComponent(slug)}`;
+    return { url, normalized: url !== trimmed };
+}
+
+/**
+ * The canonical form of a profile URL, or the URL itself when it does not
+ * normalize, for comparing URLs stored before normalization
+ */
+function profileKey(url) {
+    return normalizeProfileUrl(url).url || url;
+}
+
+/**
+ * Normalize a list of profile URL entries ({ input, line, label }), keeping the
+ * first of each canonical URL. Entries whose URL is in existingUrls count as
+ * duplicates too. Returns the accepted, duplicate and rejected entries.
+ */
+function normalizeProfileList(entries, { existingUrls = [] } = {}) {
+    const seen = new Set(existingUrls.map(profileKey));
+    const accepted = [];
+    const duplicates = [];
+    const rejected = [];
+
+    for (const entry of entries) {
+        const { url, normalized, error } = normalizeProfileUrl(entry.input);
+        if (error) {
+            rejected.push({ ...entry, reason: `${entry.input || 'URL'} ${error}` });
+        } else if (seen.has(url)) {
+            duplicates.push({ ...entry, url });
+        } else {
+            seen.add(url);
+            accepted.push({ ...entry, url, normalized });
+        }
+    }
+    return { accepted, duplicates, rejected };
+}
+
+/**
+ * Split CSV text into rows of cells, following RFC 4180 quoting
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                cell += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') {
+                index++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Read profile URL entries from an import file. A CSV file with a URL column,
+ * such as LinkedIn's connections export (notes above the header are skipped),
+ * gives one entry per row, labelled with the row's name columns. Anything else
+ * is read as plain text, one URL per line; blank lines and lines starting with
+ * # are ignored. Each entry has the input URL and its line number.
+ */
+function parseProfileImport(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const rows = parseCsv(content);
+    const headerIndex = rows.findIndex(row => row.some(cell => URL_HEADERS.test(cell.trim())));
+
+    if (headerIndex !== -1) {
+        const header = rows[headerIndex].map(cell => cell.trim().toLowerCase());
+        const urlColumn = header.findIndex(cell => URL_HEADERS.test(cell));
+        const column = name => header.indexOf(name);
+        const [first, last, full] = [column('first name'), column('last name'), column('name')];
+
+        return rows.slice(headerIndex + 1)
+            .map((row, offset) => {
+                const name = full !== -1 ? row[full] : [row[first], row[last]].filter(Boolean).join(' ');
+                return {
+                    input: (row[urlColumn] || '').trim(),
+                    line: headerIndex + offset + 2,
+                    label: name && name.trim() ? name.trim() : null
+                };
+            })
+            .filter(entry => entry.input !== '');
+    }
+
+    return content.split(/\r?\n/)
+        .map((line, index) => ({ input: line.trim(), line: index + 1, label: null }))
+        .filter(entry => entry.input !== '' && !entry.input.startsWith('#'));
+}
+
+module.exports = {
+    normalizeProfileUrl,
+    profileKey,
+    normalizeProfileList,
+    parseProfileImport
+};
@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const { httpError } = require('./errors');
+const { DEFAULT_ACCOUNT_ID, accountIdOf } = require('./accounts');
+const { normalizeProfileUrl, profileKey, normalizeProfileList } = require('./profileUrls');
+
+const store = createStore('profiles.json', { seeded: false, profiles: [] }, {
+    upgrade(data) {
+        data.profiles.forEach(profile => {
+            profile.accountId = accountIdOf(profile);
+            profile.unavailable = profile.unavailable ?? null;
+            profile.url = profileKey(profile.url);
+        });
+        data.profiles = mergeDuplicates(data.profiles);
+    }
+});
+
+const EDITABLE_FIELDS = ['accountId', 'url', 'label', 'notes', 'enabled', 'unavailable'];
+
+/**
+ * Validate profile fields, throwing a 400 error on the first problem. Returns the
+ * fields with the URL in its canonical form.
+ */
+function validateFields(fields, { partial }) {
+    const unknown = Object.keys(fields).filter(key => !EDITABLE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        throw httpError(400, `Unknown profile fields: ${unknown.join(', ')}`);
+    }
+
+    let url = fields.url;
+    if (!partial || fields.url !== undefined) {
+        const normalized = normalizeProfileUrl(fields.url);
+        if (normalized.error) {
+            throw httpError(400, `Invalid profile URL: ${fields.url} ${normalized.error}`);
+        }
+        url = normalized.url;
+    }
+
+    if (fields.accountId !== undefined && typeof fields.accountId !== 'string') {
+        throw httpError(400, 'Profile accountId must be a string');
+    }
+
+    for (const key of ['label', 'notes']) {
+        if (fields[key] !== undefined && fields[key] !== null && typeof fields[key] !== 'string') {
+            throw httpError(400, `Profile ${key} must be a string`);
+        }
+    }
+
+    if (fields.enabled !== undefined && typeof fields.enabled !== 'boolean') {
+        throw httpError(400, 'Profile enabled must be a boolean');
+    }
+
+    if (fields.unavailable !== undefined && fields.unavailable !== null) {
+        throw httpError(400, 'Profile unavailable can only be cleared, with null');
+    }
+    return url === undefined ? fields : { ...fields, url };
+}
+
+/**
+ * Merge the profiles of an account that hold the same URL once normalized, as
+ * profiles saved before URLs were normalized may. The oldest is kept with its
+ * flag and settings, taking the label and notes of a later one when it has none.
+ */
+function mergeDuplicates(list) {
+    const kept = new Map();
+    for (const profile of list) {
+        const key = `${profile.accountId} ${profile.url}`;
+        const oldest = kept.get(key);
+        if (!oldest) {
+            kept.set(key, profile);
+            continue;
+        }
+        oldest.label = oldest.label ?? profile.label ?? null;
+        oldest.notes = oldest.notes ?? profile.notes ?? null;
+    }
+    return [...kept.values()];
+}
+
+/**
+ * Whether the profiles hold the same URL, comparing canonical forms so that
+ * profiles added before URLs were normalized are matched too
+ */
+function sameUrl(profile, url) {
+    return profileKey(profile.url) === profileKey(url);
+}
+
+/**
+ * Import URLs from the given loader into the default account's profiles the
+ * first time the registry is used
+ */
+async function seedProfiles(loadUrls) {
+    return store.update(data => {
+        if (data.seeded) {
+            return 0;
+        }
+        data.seeded = true;
+
+        const urls = loadUrls();
+        const now = new Date().toISOString();
+        let imported = 0;
+        for (const url of urls) {
+            if (typeof url !== 'string' || data.profiles.some(p => p.accountId === DEFAULT_ACCOUNT_ID && sameUrl(p, url))) {
+                continue;
+            }
+            data.profiles.push({
+                id: crypto.randomUUID(),
+                accountId: DEFAULT_ACCOUNT_ID,
+                url,
+                label: null,
+                notes: null,
+                enabled: true,
+                unavailable: null,
+                createdAt: now,
+                updatedAt: now
+            });
+            imported++;
+        }
+        return imported;
+    });
+}
+
+/**
+ * List profiles in the order they were added, optionally only those of one account
+ */
+async function listProfiles({ enabled, accountId } = {}) {
+    const data = await store.read();
+    return data.profiles
+        .filter(p => enabled === undefined || p.enabled === enabled)
+        .filter(p => !accountId || p.accountId === accountId);
+}
+
+/**
+ * Get a single profile by id
+ */
+async function getProfile(id) {
+    const data = await store.read();
+    return data.profiles.find(p => p.id === id) || null;
+}
+
+/**
+ * Add a profile to the registry, for the default account unless accountId is given.
+ * Each account may have a profile of the same URL.
+ */
+async function createProfile(input) {
+    const fields = validateFields(input, { partial: false });
+    const accountId = fields.accountId ?? DEFAULT_ACCOUNT_ID;
+
+    return store.update(data => {
+        if (data.profiles.some(p => p.accountId === accountId && sameUrl(p, fields.url))) {
+            throw httpError(409, `Profile already exists: ${fields.url}`);
+        }
+        const now = new Date().toISOString();
+        const profile = {
+            id: crypto.randomUUID(),
+            accountId,
+            url: fields.url,
+            label: fields.label ?? null,
+            notes: fields.notes ?? null,
+            enabled: fields.enabled ?? true,
+            unavailable: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        data.profiles.push(profile);
+        return profile;
+    });
+}
+
+/**
+ * Update the editable fields of a profile
+ */
+async function updateProfile(id, input) {
+    const fields = validateFields(input, { partial: true });
+
+    return store.update(data => {
+        const profile = data.profiles.find(p => p.id === id);
+        if (!profile) {
+            throw httpError(404, 'Profile not found');
+        }
+        const accountId = fields.accountId ?? profile.accountId;
+        const url = fields.url ?? profile.url;
+        if (data.profiles.some(p => p.id !== id && p.accountId === accountId && sameUrl(p, url))) {
+            throw httpError(409, `Profile already exists: ${url}`);
+        }
+        // A new URL may well be available, so its flag is cleared
+        const cleared = fields.url !== undefined && !sameUrl(profile, fields.url) ? { unavailable: null } : {};
+        Object.assign(profile, fields, cleared, { updatedAt: new Date().toISOString() });
+        return profile;
+    });
+}
+
+/**
+ * Add the profile URLs of an import file's entries ({ input, line, label }) to an
+ * account. URLs are normalized, and those already in the list or in the account's
+ * registry are counted as duplicates. With dryRun nothing is stored. Returns a
+ * report of the accepted, normalized, duplicate and rejected URLs.
+ */
+async function importProfiles(entries, { accountId = DEFAULT_ACCOUNT_ID, dryRun = false } = {}) {
+    const importList = async data => {
+        const existingUrls = data.profiles.filter(p => p.accountId === accountId).map(p => p.url);
+        const { accepted, duplicates, rejected } = normalizeProfileList(entries, { existingUrls });
+
+        if (!dryRun) {
+            const now = new Date().toISOString();
+            for (const entry of accepted) {
+                data.profiles.push({
+                    id: crypto.randomUUID(),
+                    accountId,
+                    url: entry.url,
+                    label: entry.label ?? null,
+                    notes: null,
+                    enabled: true,
+                    unavailable: null,
+                    createdAt: now,
+                    updatedAt: now
+                });
+            }
+        }
+        return {
+            accountId,
+            dryRun,
+            total: entries.length,
+            accepted: accepted.length,
+            normalized: accepted.filter(entry => entry.normalized).length,
+            duplicates: duplicates.length,
+            rejected: rejected.length,
+            added: accepted.map(({ line, input, url, label }) => ({ line, input, url, label })),
+            duplicateEntries: duplicates.map(({ line, input, url }) => ({ line, input, url })),
+            rejectedEntries: rejected.map(({ line, input, reason }) => ({ line, input, reason }))
+        };
+    };
+    return dryRun ? importList(await store.read()) : store.update(importList);
+}
+
+/**
+ * Flag a profile as unavailable, such as removed or private, so runs skip it
+ * until the flag is cleared
+ */
+async function flagUnavailable(id, { state, reason, runId = null }) {
+    return store.update(data => {
+        const profile = data.profiles.find(p => p.id === id);
+        if (!profile) {
+            throw httpError(404, 'Profile not found');
+        }
+        const now = new Date().toISOString();
+        profile.unavailable = { state, reason, runId, flaggedAt: now };
+        profile.updatedAt = now;
+        return profile;
+    });
+}
+
+/**
+ * Remove a profile from the registry
+ */
+async function deleteProfile(id) {
+    return store.update(data => {
+        const index = data.profiles.findIndex(p => p.id === id);
+        if (index === -1) {
+            throw httpError(404, 'Profile not found');
+        }
+        return data.profiles.splice(index, 1)[0];
+    });
+}
+
+module.exports = {
+    seedProfiles,
+    listProfiles,
+    getProfile,
+    createProfile,
+    updateProfile,
+    importProfiles,
+    flagUnavailable,
+    deleteProfile
+};
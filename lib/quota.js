@@ -0,0 +1,153 @@
+const runs = require('./runs');
+const { profileKey } = require('./profileUrls');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * Read a non-negative integer setting, null when unset
+ */
+function envLimit(env, name) {
+    if (!env[name]) {
+        return null;
+    }
+    const value = parseInt(env[name], 10);
+    if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`${name} must be a non-negative integer, got ${env[name]}`);
+    }
+    return value;
+}
+
+/**
+ * Parse QUOTA_QUIET_HOURS ("HH:MM-HH:MM") into minutes since midnight
+ */
+function parseQuietHours(value) {
+    if (!value) {
+        return null;
+    }
+    const match = value.match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+    if (!match) {
+        throw new Error(`QUOTA_QUIET_HOURS must look like 22:00-07:00, got ${value}`);
+    }
+    const [startHour, startMinute, endHour, endMinute] = match.slice(1).map(Number);
+    if (startHour > 23 || endHour > 23 || startMinute > 59 || endMinute > 59) {
+        throw new Error(`QUOTA_QUIET_HOURS has an invalid time: ${value}`);
+    }
+    return { start: startHour * 60 + startMinute, end: endHour * 60 + endMinute, label: value };
+}
+
+/**
+ * Quota settings from the environment, or from an account's settings; unset
+ * limits are not enforced
+ */
+function quotaConfig(env = process.env) {
+    return {
+        dailyLimit: envLimit(env, 'QUOTA_DAILY_LIMIT'),
+        weeklyLimit: envLimit(env, 'QUOTA_WEEKLY_LIMIT'),
+        revisitHours: envLimit(env, 'QUOTA_REVISIT_HOURS'),
+        quietHours: parseQuietHours(env.QUOTA_QUIET_HOURS),
+        timezone: env.QUOTA_TIMEZONE || env.CRON_TIMEZONE || 'Asia/Kolkata'
+    };
+}
+
+/**
+ * Whether the given time falls inside the quiet hours
+ */
+function isQuietTime(config, now = new Date()) {
+    if (!config.quietHours) {
+        return false;
+    }
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: config.timezone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now);
+    const minutes = Number(parts.find(p => p.type === 'hour').value) * 60
+        + Number(parts.find(p => p.type === 'minute').value);
+    const { start, end } = config.quietHours;
+    return start <= end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+/**
+ * Visits made for an account in the last week, the longest window any limit looks at
+ */
+async function recentVisits(accountId, now) {
+    return runs.listVisitsSince(new Date(now.getTime() - WEEK_MS), { accountId });
+}
+
+/**
+ * Split an account's profile URLs into those that may be visited now and those
+ * that are skipped, with the reason each one was skipped. Limits count the
+ * account's own visits, with its settings given as env.
+ */
+async function planVisits(urls, { accountId, env = process.env, now = new Date() }) {
+    const config = quotaConfig(env);
+
+    if (isQuietTime(config, now)) {
+        const reason = `Quiet hours (${config.quietHours.label} ${config.timezone})`;
+        return { allowed: [], skipped: urls.map(url => ({ url, reason })) };
+    }
+
+    const visits = await recentVisits(accountId, now);
+    const dayStart = now.getTime() - DAY_MS;
+    let dailyRemaining = config.dailyLimit === null ? Infinity
+        : config.dailyLimit - visits.filter(v => new Date(v.startedAt).getTime() >= dayStart).length;
+    let weeklyRemaining = config.weeklyLimit === null ? Infinity : config.weeklyLimit - visits.length;
+
+    const revisitAfter = config.revisitHours === null ? null : now.getTime() - config.revisitHours * 60 * 60 * 1000;
+
+    const allowed = [];
+    const skipped = [];
+    for (const url of urls) {
+        const lastVisit = visits.filter(v => profileKey(v.url) === url && v.success).pop();
+        if (revisitAfter !== null && lastVisit && new Date(lastVisit.startedAt).getTime() > revisitAfter) {
+            skipped.push({ url, reason: `Visited less than ${config.revisitHours} hours ago (${lastVisit.startedAt})` });
+        } else if (dailyRemaining <= 0) {
+            skipped.push({ url, reason: `Daily cap of ${config.dailyLimit} visits reached` });
+        } else if (weeklyRemaining <= 0) {
+            skipped.push({ url, reason: `Weekly cap of ${config.weeklyLimit} visits reached` });
+        } else {
+            allowed.push(url);
+            dailyRemaining--;
+            weeklyRemaining--;
+        }
+    }
+
+    return { allowed, skipped };
+}
+
+/**
+ * Current usage and remaining quota of an account
+ */
+async function getQuotaStatus({ accountId, env = process.env, now = new Date() }) {
+    const config = quotaConfig(env);
+    const visits = await recentVisits(accountId, now);
+    const dayStart = now.getTime() - DAY_MS;
+    const dailyUsed = visits.filter(v => new Date(v.startedAt).getTime() >= dayStart).length;
+
+    const describe = (limit, used) => ({
+        limit,
+        used,
+        remaining: limit === null ? null : Math.max(limit - used, 0)
+    });
+
+    return {
+        daily: describe(config.dailyLimit, dailyUsed),
+        weekly: describe(config.weeklyLimit, visits.length),
+        revisitHours: config.revisitHours,
+        quietHours: config.quietHours ? config.quietHours.label : null,
+        timezone: config.timezone,
+        inQuietHours: isQuietTime(config, now)
+    };
+}
+
+module.exports = {
+    parseQuietHours,
+    quotaConfig,
+    isQuietTime,
+    planVisits,
+    getQuotaStatus
+};
@@ -0,0 +1,357 @@
+const accounts = require('../accounts');
+const profiles = require('../profiles');
+const scheduler = require('../scheduler');
+const jobs = require('../jobs');
+const { deleteUploadedCookies } = require('../cookies');
+const { validateSettings, maskSettings } = require('../config');
+const { hasRole } = require('../auth');
+const { httpError, sendError } = require('../errors');
+const logger = require('../logger');
+
+/**
+ * Public view of an account, with secret settings masked
+ */
+function describeAccount(account) {
+    return { ...account, settings: maskSettings(account.settings) };
+}
+
+/**
+ * Check the setting values of a request body like the environment variables
+ * they override, throwing a 400 error listing every problem. Settings that
+ * point the server at a file, URL or email address need an admin key, a 403
+ * error otherwise.
+ */
+function checkSettings(req) {
+    const settings = req.body && req.body.settings;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        // The accounts module reports a malformed settings field
+        return;
+    }
+    const restricted = Object.keys(settings).filter(name => accounts.SERVER_ACCESS_SETTINGS.includes(name));
+    if (restricted.length > 0 && !hasRole(req, 'admin')) {
+        throw httpError(403, `Only admin keys can set ${restricted.join(', ')}`);
+    }
+    const errors = validateSettings(settings);
+    if (errors.length > 0) {
+        throw httpError(400, errors.join('; '));
+    }
+}
+
+/**
+ * Register LinkedIn account management endpoints
+ */
+function registerAccountRoutes(app) {
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     Account:
+     *       type: object
+     *       properties:
+     *         id:
+     *           type: string
+     *           example: sales-team
+     *         name:
+     *           type: string
+     *           example: Sales team
+     *         enabled:
+     *           type: boolean
+     *           description: Disabled accounts are not run, by hand or by their schedules
+     *           example: true
+     *         settings:
+     *           type: object
+     *           description: Settings overriding the environment variables of the same name for this account. Secrets are masked.
+     *           additionalProperties:
+     *             type: string
+     *           example:
+     *             COOKIES_URL: https://gist.githubusercontent.com/****
+     *             QUOTA_DAILY_LIMIT: '25'
+     *             SLACK_WEBHOOK_URL: https://hooks.slack.com/****
+     *         pausedAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *           description: Set while the account is paused, after a security checkpoint or CAPTCHA. Paused accounts are not run.
+     *         pauseReason:
+     *           type: string
+     *           nullable: true
+     *           example: 'CHALLENGE_ERROR: Security checkpoint, the account must be verified (URL path starts with /checkpoint/)'
+     *         createdAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *         updatedAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *
+     *     AccountInput:
+     *       type: object
+     *       properties:
+     *         name:
+     *           type: string
+     *           example: Sales team
+     *         enabled:
+     *           type: boolean
+     *           example: true
+     *         settings:
+     *           type: object
+     *           description: |
+     *             Per-account overrides of COOKIE_SOURCES, COOKIES_PATH, COOKIES, COOKIES_URL, COOKIES_TOKEN,
+     *             the QUOTA_* settings, the Slack, Discord, webhook and email channel URLs, EMAIL_TO and the
+     *             *_MIN_SEVERITY settings. On update, settings are merged and a null value removes an override.
+     *             Only admin keys can set COOKIES_PATH, COOKIES_URL, the Slack, Discord and webhook URLs,
+     *             NOTIFY_WEBHOOK_TOKEN and EMAIL_TO, other keys get a 403 error.
+     *           additionalProperties:
+     *             type: string
+     *             nullable: true
+     */
+
+    /**
+     * @swagger
+     * /accounts:
+     *   get:
+     *     summary: List accounts
+     *     description: Returns every account, the default account first
+     *     tags: [Accounts]
+     *     responses:
+     *       200:
+     *         description: The accounts
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/Account'
+     *   post:
+     *     summary: Add an account
+     *     description: Adds a LinkedIn account. Its profiles, schedules and session are managed with the accountId of the other endpoints.
+     *     tags: [Accounts]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             allOf:
+     *               - $ref: '#/components/schemas/AccountInput'
+     *               - type: object
+     *                 required: [id, name]
+     *                 properties:
+     *                   id:
+     *                     type: string
+     *                     description: Lowercase letters, digits, dashes and underscores
+     *                     example: sales-team
+     *     responses:
+     *       201:
+     *         description: The created account
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Account'
+     *       400:
+     *         description: Invalid id, name or settings
+     *       403:
+     *         description: A setting that only admin keys can change, such as a file, URL, token or email address
+     *       409:
+     *         description: An account with this id already exists
+     */
+    app.get('/accounts', async (req, res) => {
+        try {
+            res.json((await accounts.listAccounts()).map(describeAccount));
+        } catch (error) {
+            sendError(res, error, 'Failed to list accounts');
+        }
+    });
+
+    app.post('/accounts', async (req, res) => {
+        try {
+            checkSettings(req);
+            const account = await accounts.createAccount(req.body || {});
+            logger.info(`👤 Account '${account.id}' created`);
+            res.status(201).json(describeAccount(account));
+        } catch (error) {
+            sendError(res, error, 'Failed to create account');
+        }
+    });
+
+    /**
+     * @swagger
+     * /accounts/{id}:
+     *   parameters:
+     *     - in: path
+     *       name: id
+     *       required: true
+     *       schema:
+     *         type: string
+     *   get:
+     *     summary: Get an account
+     *     tags: [Accounts]
+     *     responses:
+     *       200:
+     *         description: The account
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Account'
+     *       404:
+     *         description: Account not found
+     *   patch:
+     *     summary: Update an account
+     *     description: Changes the name, enabled flag or settings of an account, including the default one
+     *     tags: [Accounts]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/AccountInput'
+     *     responses:
+     *       200:
+     *         description: The updated account
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Account'
+     *       400:
+     *         description: Invalid name or settings
+     *       403:
+     *         description: A setting that only admin keys can change, such as a file, URL, token or email address
+     *       404:
+     *         description: Account not found
+     *   delete:
+     *     summary: Remove an account
+     *     description: Removes an account and its uploaded cookies. Its profiles and schedules must be removed or moved to another account first.
+     *     tags: [Accounts]
+     *     responses:
+     *       204:
+     *         description: Account removed
+     *       400:
+     *         description: The default account cannot be removed
+     *       404:
+     *         description: Account not found
+     *       409:
+     *         description: The account still has profiles, schedules or a run in progress
+     */
+    app.get('/accounts/:id', async (req, res) => {
+        try {
+            res.json(describeAccount(await accounts.requireAccount(req.params.id)));
+        } catch (error) {
+            sendError(res, error, 'Failed to load account');
+        }
+    });
+
+    app.patch('/accounts/:id', async (req, res) => {
+        try {
+            checkSettings(req);
+            res.json(describeAccount(await accounts.updateAccount(req.params.id, req.body || {})));
+        } catch (error) {
+            sendError(res, error, 'Failed to update account');
+        }
+    });
+
+    /**
+     * @swagger
+     * /accounts/{id}/pause:
+     *   post:
+     *     summary: Pause an account
+     *     description: Stops the account from being run, by hand or by its schedules, until it is resumed. Runs pause an account themselves when they hit a security checkpoint or CAPTCHA.
+     *     tags: [Accounts]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               reason:
+     *                 type: string
+     *                 example: Logging in by hand to verify the account
+     *     responses:
+     *       200:
+     *         description: The paused account
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Account'
+     *       404:
+     *         description: Account not found
+     *
+     * /accounts/{id}/resume:
+     *   post:
+     *     summary: Resume a paused account
+     *     description: Lets the account run again, once the challenge that paused it has been resolved
+     *     tags: [Accounts]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: The resumed account
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Account'
+     *       404:
+     *         description: Account not found
+     */
+    app.post('/accounts/:id/pause', async (req, res) => {
+        try {
+            const reason = req.body && req.body.reason;
+            if (reason !== undefined && typeof reason !== 'string') {
+                throw httpError(400, 'Pause reason must be a string');
+            }
+            const account = await accounts.pauseAccount(req.params.id, reason);
+            logger.info(`⏸️ Account '${account.id}' paused: ${account.pauseReason}`);
+            res.json(describeAccount(account));
+        } catch (error) {
+            sendError(res, error, 'Failed to pause account');
+        }
+    });
+
+    app.post('/accounts/:id/resume', async (req, res) => {
+        try {
+            const account = await accounts.resumeAccount(req.params.id);
+            logger.info(`▶️ Account '${account.id}' resumed`);
+            res.json(describeAccount(account));
+        } catch (error) {
+            sendError(res, error, 'Failed to resume account');
+        }
+    });
+
+    app.delete('/accounts/:id', async (req, res) => {
+        const { id } = req.params;
+        try {
+            if (id !== accounts.DEFAULT_ACCOUNT_ID) {
+                const remaining = [
+                    [(await profiles.listProfiles({ accountId: id })).length, 'profile'],
+                    [(await scheduler.listSchedules({ accountId: id })).length, 'schedule']
+                ].filter(([count]) => count > 0);
+                if (remaining.length > 0) {
+                    const described = remaining.map(([count, what]) => `${count} ${what}${count === 1 ? '' : 's'}`);
+                    throw httpError(409, `Account '${id}' still has ${described.join(' and ')}`);
+                }
+                if (jobs.getActiveJob(id)) {
+                    throw httpError(409, `Account '${id}' has a run in progress`);
+                }
+            }
+            await accounts.deleteAccount(id);
+            await deleteUploadedCookies(id);
+            logger.info(`👤 Account '${id}' deleted`);
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error, 'Failed to delete account');
+        }
+    });
+}
+
+module.exports = {
+    registerAccountRoutes
+};
@@ -0,0 +1,144 @@
+const auth = require('../auth');
+const { sendError } = require('../errors');
+const logger = require('../logger');
+
+/**
+ * Register API key management endpoints, which need the admin role
+ */
+function registerApiKeyRoutes(app) {
+    app.use('/api-keys', auth.requireRole('admin'));
+
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     ApiKey:
+     *       type: object
+     *       properties:
+     *         id:
+     *           type: string
+     *           example: 6f1c2d3e-4a5b-4c6d-8e7f-9a0b1c2d3e4f
+     *         name:
+     *           type: string
+     *           example: grafana
+     *         role:
+     *           type: string
+     *           enum: [viewer, operator, admin]
+     *         prefix:
+     *           type: string
+     *           description: First characters of the key, to recognise it
+     *           example: lpv_Ab3dE9
+     *         createdAt:
+     *           type: string
+     *           format: date-time
+     *         lastUsedAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *     CreatedApiKey:
+     *       allOf:
+     *         - $ref: '#/components/schemas/ApiKey'
+     *         - type: object
+     *           properties:
+     *             key:
+     *               type: string
+     *               description: The key itself. It is only returned once and cannot be recovered.
+     */
+
+    /**
+     * @swagger
+     * /api-keys:
+     *   get:
+     *     summary: List API keys
+     *     tags: [API Keys]
+     *     responses:
+     *       200:
+     *         description: The keys, without the keys themselves
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/ApiKey'
+     *   post:
+     *     summary: Create an API key
+     *     tags: [API Keys]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [name, role]
+     *             properties:
+     *               name:
+     *                 type: string
+     *                 example: grafana
+     *               role:
+     *                 type: string
+     *                 enum: [viewer, operator, admin]
+     *     responses:
+     *       201:
+     *         description: The created key
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/CreatedApiKey'
+     *       400:
+     *         description: Invalid name or role
+     */
+    app.get('/api-keys', async (req, res) => {
+        try {
+            res.json(await auth.listApiKeys());
+        } catch (error) {
+            sendError(res, error, 'Failed to list API keys');
+        }
+    });
+
+    app.post('/api-keys', async (req, res) => {
+        try {
+            const { name, role } = req.body || {};
+            const created = await auth.createApiKey({ name, role });
+            logger.info(`🔑 API key '${created.name}' (${created.role}) created by '${req.apiKey ? req.apiKey.name : 'unauthenticated'}'`);
+            res.status(201).json(created);
+        } catch (error) {
+            sendError(res, error, 'Failed to create API key');
+        }
+    });
+
+    /**
+     * @swagger
+     * /api-keys/{id}:
+     *   delete:
+     *     summary: Revoke an API key
+     *     tags: [API Keys]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: The revoked key
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ApiKey'
+     *       404:
+     *         description: API key not found
+     */
+    app.delete('/api-keys/:id', async (req, res) => {
+        try {
+            const revoked = await auth.revokeApiKey(req.params.id);
+            logger.info(`🔑 API key '${revoked.name}' revoked`);
+            res.json(revoked);
+        } catch (error) {
+            sendError(res, error, 'Failed to revoke API key');
+        }
+    });
+}
+
+module.exports = {
+    registerApiKeyRoutes
+};
@@ -0,0 +1,137 @@
+const jobs = require('../jobs');
+const { httpError, sendError } = require('../errors');
+const logger = require('../logger');
+
+/**
+ * Register background run job endpoints
+ */
+function registerJobRoutes(app) {
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     Job:
+     *       type: object
+     *       properties:
+     *         id:
+     *           type: string
+     *           example: 9b2f6c1d-3e4a-4f5b-8c7d-1a2b3c4d5e6f
+     *         accountId:
+     *           type: string
+     *           example: default
+     *         trigger:
+     *           type: string
+     *           enum: [cron, api, cli, resume]
+     *         status:
+     *           type: string
+     *           enum: [running, completed, partial, failed, cancelled, interrupted]
+     *         runId:
+     *           type: string
+     *           nullable: true
+     *           description: Id of the run recorded in the history
+     *         createdAt:
+     *           type: string
+     *           format: date-time
+     *         finishedAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *         totalUrls:
+     *           type: integer
+     *           nullable: true
+     *           example: 12
+     *         currentIndex:
+     *           type: integer
+     *           nullable: true
+     *           description: Zero-based index of the profile being visited
+     *           example: 4
+     *         currentUrl:
+     *           type: string
+     *           nullable: true
+     *           example: https://www.linkedin.com/in/example-profile
+     *         processedCount:
+     *           type: integer
+     *           example: 4
+     *         successCount:
+     *           type: integer
+     *           example: 4
+     *         failureCount:
+     *           type: integer
+     *           example: 0
+     *         skippedCount:
+     *           type: integer
+     *           description: Profiles skipped by the visit quota
+     *           example: 0
+     *         cancelRequested:
+     *           type: boolean
+     *           example: false
+     *         error:
+     *           type: string
+     *           nullable: true
+     *         result:
+     *           nullable: true
+     *           allOf:
+     *             - $ref: '#/components/schemas/RunResult'
+     */
+
+    /**
+     * @swagger
+     * /jobs/{id}:
+     *   parameters:
+     *     - in: path
+     *       name: id
+     *       required: true
+     *       schema:
+     *         type: string
+     *   get:
+     *     summary: Get run job progress
+     *     tags: [Jobs]
+     *     responses:
+     *       200:
+     *         description: The job
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Job'
+     *       404:
+     *         description: Job not found
+     *   delete:
+     *     summary: Cancel a run job
+     *     description: Requests cancellation. The run stops before the next profile; a visit already in progress is allowed to finish.
+     *     tags: [Jobs]
+     *     responses:
+     *       202:
+     *         description: Cancellation requested
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Job'
+     *       404:
+     *         description: Job not found
+     *       409:
+     *         description: Job has already finished
+     */
+    app.get('/jobs/:id', (req, res) => {
+        try {
+            const job = jobs.getJob(req.params.id);
+            if (!job) {
+                throw httpError(404, 'Job not found');
+            }
+            res.json(jobs.describeJob(job));
+        } catch (error) {
+            sendError(res, error, 'Failed to load job');
+        }
+    });
+
+    app.delete('/jobs/:id', (req, res) => {
+        try {
+            const job = jobs.cancelJob(req.params.id);
+            logger.info(`🛑 Cancellation requested for job ${job.id}`);
+            res.status(202).json(jobs.describeJob(job));
+        } catch (error) {
+            sendError(res, error, 'Failed to cancel job');
+        }
+    });
+}
+
+module.exports = { registerJobRoutes };
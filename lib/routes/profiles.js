@@ -0,0 +1,501 @@
+const express = require('express');
+const profiles = require('../profiles');
+const accounts = require('../accounts');
+const snapshots = require('../snapshots');
+const { parseProfileImport } = require('../profileUrls');
+const { httpError, sendError } = require('../errors');
+const logger = require('../logger');
+
+/**
+ * Check that the account a request body assigns a profile to exists
+ */
+async function requireBodyAccount(body) {
+    if (body && typeof body.accountId === 'string') {
+        await accounts.requireAccount(body.accountId);
+    }
+}
+
+/**
+ * Read the entries of an import request: a CSV or plain-text file, or JSON with a urls array
+ */
+function importEntries(body) {
+    if (typeof body === 'string') {
+        return parseProfileImport(body);
+    }
+    if (!body || !Array.isArray(body.urls)) {
+        throw httpError(400, 'Request body must be a CSV or text file of profile URLs, or JSON with a "urls" array');
+    }
+    return body.urls.map((input, index) => ({ input: typeof input === 'string' ? input : '', line: index + 1, label: null }));
+}
+
+/**
+ * Register profile registry endpoints
+ */
+function registerProfileRoutes(app) {
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     Profile:
+     *       type: object
+     *       properties:
+     *         id:
+     *           type: string
+     *           example: 7d4e2a51-0b8f-4c3e-a1d2-5f6e7a8b9c0d
+     *         accountId:
+     *           type: string
+     *           description: The account that visits this profile
+     *           example: default
+     *         url:
+     *           type: string
+     *           description: The profile URL in its canonical form
+     *           example: https://www.linkedin.com/in/example-profile
+     *         label:
+     *           type: string
+     *           nullable: true
+     *           example: Jane Doe
+     *         notes:
+     *           type: string
+     *           nullable: true
+     *           example: Met at the March meetup
+     *         enabled:
+     *           type: boolean
+     *           example: true
+     *         unavailable:
+     *           type: object
+     *           nullable: true
+     *           description: Set when a visit found the profile removed, private or missing. Runs skip the profile until this is cleared.
+     *           properties:
+     *             state:
+     *               type: string
+     *               enum: [not_found, profile_unavailable]
+     *             reason:
+     *               type: string
+     *               example: 'PROFILE_ERROR: Profile unavailable (URL path starts with /in/unavailable)'
+     *             runId:
+     *               type: string
+     *               nullable: true
+     *             flaggedAt:
+     *               type: string
+     *               format: date-time
+     *         createdAt:
+     *           type: string
+     *           format: date-time
+     *         updatedAt:
+     *           type: string
+     *           format: date-time
+     *
+     *     ProfileSnapshot:
+     *       type: object
+     *       properties:
+     *         capturedAt:
+     *           type: string
+     *           format: date-time
+     *         runId:
+     *           type: string
+     *         url:
+     *           type: string
+     *           example: https://www.linkedin.com/in/example-profile
+     *         data:
+     *           type: object
+     *           properties:
+     *             name:
+     *               type: string
+     *               nullable: true
+     *               example: Jane Doe
+     *             headline:
+     *               type: string
+     *               nullable: true
+     *               example: Engineering Manager at Example Corp
+     *             currentPosition:
+     *               type: string
+     *               nullable: true
+     *               example: Example Corp
+     *             location:
+     *               type: string
+     *               nullable: true
+     *               example: Bengaluru, Karnataka, India
+     *             canonicalUrl:
+     *               type: string
+     *               nullable: true
+     *               example: https://www.linkedin.com/in/example-profile/
+     *         changes:
+     *           type: array
+     *           description: Fields that changed since the previous snapshot
+     *           items:
+     *             type: object
+     *             properties:
+     *               field:
+     *                 type: string
+     *                 example: headline
+     *               from:
+     *                 type: string
+     *                 example: Senior Engineer at Example Corp
+     *               to:
+     *                 type: string
+     *                 example: Engineering Manager at Example Corp
+     *
+     *     ProfileInput:
+     *       type: object
+     *       properties:
+     *         accountId:
+     *           type: string
+     *           description: The account that visits this profile, the default account if omitted
+     *           example: default
+     *         url:
+     *           type: string
+     *           example: https://www.linkedin.com/in/example-profile
+     *         label:
+     *           type: string
+     *           example: Jane Doe
+     *         notes:
+     *           type: string
+     *           example: Met at the March meetup
+     *         enabled:
+     *           type: boolean
+     *           example: true
+     *         unavailable:
+     *           type: object
+     *           nullable: true
+     *           description: Only null is accepted, to clear the unavailable flag so the profile is visited again
+     *           example: null
+     *
+     *     ProfileImportReport:
+     *       type: object
+     *       properties:
+     *         accountId:
+     *           type: string
+     *           example: default
+     *         dryRun:
+     *           type: boolean
+     *         total:
+     *           type: integer
+     *           description: URLs found in the file
+     *           example: 120
+     *         accepted:
+     *           type: integer
+     *           description: URLs added as profiles, or that would be on a dry run
+     *           example: 112
+     *         normalized:
+     *           type: integer
+     *           description: Accepted URLs that were changed to their canonical form
+     *           example: 40
+     *         duplicates:
+     *           type: integer
+     *           description: URLs repeated in the file or already in the account's registry
+     *           example: 6
+     *         rejected:
+     *           type: integer
+     *           description: URLs that are not LinkedIn profiles
+     *           example: 2
+     *         added:
+     *           type: array
+     *           items:
+     *             type: object
+     *             properties:
+     *               line:
+     *                 type: integer
+     *               input:
+     *                 type: string
+     *               url:
+     *                 type: string
+     *               label:
+     *                 type: string
+     *                 nullable: true
+     *         duplicateEntries:
+     *           type: array
+     *           items:
+     *             type: object
+     *             properties:
+     *               line:
+     *                 type: integer
+     *               input:
+     *                 type: string
+     *               url:
+     *                 type: string
+     *         rejectedEntries:
+     *           type: array
+     *           items:
+     *             type: object
+     *             properties:
+     *               line:
+     *                 type: integer
+     *               input:
+     *                 type: string
+     *               reason:
+     *                 type: string
+     *                 example: https://www.linkedin.com/company/example is a company page, not a profile
+     */
+
+    /**
+     * @swagger
+     * /profiles:
+     *   get:
+     *     summary: List profiles
+     *     description: Returns every profile in the registry, or only those of one account
+     *     tags: [Profiles]
+     *     parameters:
+     *       - in: query
+     *         name: enabled
+     *         schema:
+     *           type: boolean
+     *       - in: query
+     *         name: accountId
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: The profiles
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/Profile'
+     *   post:
+     *     summary: Add a profile
+     *     tags: [Profiles]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             allOf:
+     *               - $ref: '#/components/schemas/ProfileInput'
+     *               - required: [url]
+     *     responses:
+     *       201:
+     *         description: The created profile
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Profile'
+     *       400:
+     *         description: Invalid profile
+     *       404:
+     *         description: Account not found
+     *       409:
+     *         description: The account already has a profile with this URL
+     */
+    app.get('/profiles', async (req, res) => {
+        const { enabled, accountId } = req.query;
+        try {
+            if (enabled !== undefined && !['true', 'false'].includes(enabled)) {
+                throw httpError(400, `Invalid enabled filter: ${enabled}`);
+            }
+            res.json(await profiles.listProfiles({
+                enabled: enabled === undefined ? undefined : enabled === 'true',
+                accountId
+            }));
+        } catch (error) {
+            sendError(res, error, 'Failed to list profiles');
+        }
+    });
+
+    app.post('/profiles', async (req, res) => {
+        try {
+            await requireBodyAccount(req.body);
+            res.status(201).json(await profiles.createProfile(req.body || {}));
+        } catch (error) {
+            sendError(res, error, 'Failed to create profile');
+        }
+    });
+
+    /**
+     * @swagger
+     * /profiles/import:
+     *   post:
+     *     summary: Import profiles in bulk
+     *     description: |
+     *       Adds the profile URLs of a CSV or plain-text file to an account. CSV files need a URL column, as in
+     *       LinkedIn's connections export, and their name columns become the profile labels. Plain-text files have
+     *       one URL per line. URLs are normalized to https://www.linkedin.com/in/<name>, URLs that are not
+     *       LinkedIn profiles are rejected with a reason, and duplicates are skipped.
+     *     tags: [Profiles]
+     *     parameters:
+     *       - in: query
+     *         name: accountId
+     *         description: The account, the default account if omitted
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: dryRun
+     *         description: Report what would be imported without adding anything
+     *         schema:
+     *           type: boolean
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         text/csv:
+     *           schema:
+     *             type: string
+     *         text/plain:
+     *           schema:
+     *             type: string
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               urls:
+     *                 type: array
+     *                 items:
+     *                   type: string
+     *     responses:
+     *       200:
+     *         description: The report of a dry run
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ProfileImportReport'
+     *       201:
+     *         description: The import report
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ProfileImportReport'
+     *       400:
+     *         description: The body holds no profile URLs
+     *       404:
+     *         description: Account not found
+     */
+    app.post('/profiles/import', express.text({ type: ['text/plain', 'text/csv'], limit: '5mb' }), async (req, res) => {
+        try {
+            const { accountId = accounts.DEFAULT_ACCOUNT_ID, dryRun } = req.query;
+            if (dryRun !== undefined && !['true', 'false'].includes(dryRun)) {
+                throw httpError(400, `Invalid dryRun flag: ${dryRun}`);
+            }
+            await accounts.requireAccount(accountId);
+            const entries = importEntries(req.body);
+            if (entries.length === 0) {
+                throw httpError(400, 'No profile URLs found in the request body');
+            }
+            const report = await profiles.importProfiles(entries, { accountId, dryRun: dryRun === 'true' });
+            logger.info(`📥 ${report.dryRun ? 'Dry run of profile import' : 'Imported profiles'} for account '${accountId}': `
+                + `${report.accepted} accepted (${report.normalized} normalized), ${report.duplicates} duplicates, ${report.rejected} rejected`);
+            res.status(report.dryRun ? 200 : 201).json(report);
+        } catch (error) {
+            sendError(res, error, 'Failed to import profiles');
+        }
+    });
+
+    /**
+     * @swagger
+     * /profiles/{id}:
+     *   parameters:
+     *     - in: path
+     *       name: id
+     *       required: true
+     *       schema:
+     *         type: string
+     *   get:
+     *     summary: Get a profile
+     *     tags: [Profiles]
+     *     responses:
+     *       200:
+     *         description: The profile
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Profile'
+     *       404:
+     *         description: Profile not found
+     *   patch:
+     *     summary: Update a profile
+     *     description: Changes the account, URL, label, notes or enabled flag of a profile, or clears its unavailable flag. A new URL clears the flag too.
+     *     tags: [Profiles]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/ProfileInput'
+     *     responses:
+     *       200:
+     *         description: The updated profile
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Profile'
+     *       400:
+     *         description: Invalid profile
+     *       404:
+     *         description: Profile or account not found
+     *       409:
+     *         description: The account already has a profile with this URL
+     *   delete:
+     *     summary: Remove a profile
+     *     tags: [Profiles]
+     *     responses:
+     *       204:
+     *         description: Profile removed
+     *       404:
+     *         description: Profile not found
+     */
+    app.get('/profiles/:id', async (req, res) => {
+        try {
+            const profile = await profiles.getProfile(req.params.id);
+            if (!profile) {
+                throw httpError(404, 'Profile not found');
+            }
+            res.json(profile);
+        } catch (error) {
+            sendError(res, error, 'Failed to load profile');
+        }
+    });
+
+    app.patch('/profiles/:id', async (req, res) => {
+        try {
+            await requireBodyAccount(req.body);
+            res.json(await profiles.updateProfile(req.params.id, req.body || {}));
+        } catch (error) {
+            sendError(res, error, 'Failed to update profile');
+        }
+    });
+
+    app.delete('/profiles/:id', async (req, res) => {
+        try {
+            await profiles.deleteProfile(req.params.id);
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error, 'Failed to delete profile');
+        }
+    });
+
+    /**
+     * @swagger
+     * /profiles/{id}/history:
+     *   get:
+     *     summary: Get profile snapshot history
+     *     description: Returns the snapshots captured on each visit, newest first, with the changes detected since the previous snapshot. Snapshots are only captured when CAPTURE_SNAPSHOTS is enabled.
+     *     tags: [Profiles]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: The snapshots
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/ProfileSnapshot'
+     *       404:
+     *         description: Profile not found
+     */
+    app.get('/profiles/:id/history', async (req, res) => {
+        try {
+            if (!await profiles.getProfile(req.params.id)) {
+                throw httpError(404, 'Profile not found');
+            }
+            res.json(await snapshots.getHistory(req.params.id));
+        } catch (error) {
+            sendError(res, error, 'Failed to load profile history');
+        }
+    });
+}
+
+module.exports = { registerProfileRoutes };
@@ -0,0 +1,437 @@
+const runs = require('../runs');
+const artifacts = require('../artifacts');
+const events = require('../events');
+const { httpError, sendError } = require('../errors');
+
+/**
+ * Register run history endpoints
+ */
+function registerRunRoutes(app) {
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     VisitRecord:
+     *       type: object
+     *       properties:
+     *         url:
+     *           type: string
+     *           example: https://www.linkedin.com/in/example-profile
+     *         success:
+     *           type: boolean
+     *           example: true
+     *         skipped:
+     *           type: boolean
+     *           description: The profile was not visited because of the visit quota
+     *         skipReason:
+     *           type: string
+     *           example: Daily cap of 40 visits reached
+     *         error:
+     *           type: string
+     *           nullable: true
+     *           example: null
+     *         category:
+     *           type: string
+     *           nullable: true
+     *           enum: [auth, transient, profile]
+     *         artifact:
+     *           type: string
+     *           nullable: true
+     *           description: Name of the failure artifacts listed by /runs/{id}/artifacts
+     *         attempts:
+     *           type: integer
+     *           example: 1
+     *         startedAt:
+     *           type: string
+     *           format: date-time
+     *         finishedAt:
+     *           type: string
+     *           format: date-time
+     *         durationMs:
+     *           type: integer
+     *           example: 14230
+     *
+     *     RunSummary:
+     *       type: object
+     *       properties:
+     *         id:
+     *           type: string
+     *           example: 3f1c2b9e-6a0d-4e0b-9f4a-2f1e7c3d5a10
+     *         accountId:
+     *           type: string
+     *           example: default
+     *         trigger:
+     *           type: string
+     *           enum: [cron, api, manual, cli]
+     *         scheduleId:
+     *           type: string
+     *           nullable: true
+     *           description: Schedule that started the run, for cron runs
+     *         status:
+     *           type: string
+     *           enum: [running, success, partial, failed, cancelled, interrupted, aborted]
+     *         startedAt:
+     *           type: string
+     *           format: date-time
+     *         finishedAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *         durationMs:
+     *           type: integer
+     *           nullable: true
+     *         totalUrls:
+     *           type: integer
+     *           example: 12
+     *         successCount:
+     *           type: integer
+     *           example: 11
+     *         failureCount:
+     *           type: integer
+     *           example: 1
+     *         skippedCount:
+     *           type: integer
+     *           example: 0
+     *         error:
+     *           type: string
+     *           nullable: true
+     *         checkpoint:
+     *           type: object
+     *           nullable: true
+     *           description: Profiles the run has still to visit, kept while it is in progress or interrupted
+     *           properties:
+     *             remaining:
+     *               type: array
+     *               items:
+     *                 type: string
+     *             updatedAt:
+     *               type: string
+     *               format: date-time
+     *         resumeCount:
+     *           type: integer
+     *           description: How many times the run was resumed after being interrupted
+     *           example: 0
+     *         visitCount:
+     *           type: integer
+     *           example: 12
+     *
+     *     Run:
+     *       allOf:
+     *         - $ref: '#/components/schemas/RunSummary'
+     *         - type: object
+     *           properties:
+     *             visits:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/VisitRecord'
+     *
+     *     RunList:
+     *       type: object
+     *       properties:
+     *         total:
+     *           type: integer
+     *           example: 42
+     *         limit:
+     *           type: integer
+     *           example: 20
+     *         offset:
+     *           type: integer
+     *           example: 0
+     *         runs:
+     *           type: array
+     *           items:
+     *             $ref: '#/components/schemas/RunSummary'
+     */
+
+    /**
+     * @swagger
+     * /runs:
+     *   get:
+     *     summary: List past runs
+     *     description: Returns recorded runs, newest first, with optional filters
+     *     tags: [Runs]
+     *     parameters:
+     *       - in: query
+     *         name: accountId
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: trigger
+     *         schema:
+     *           type: string
+     *           enum: [cron, api, manual, cli]
+     *       - in: query
+     *         name: status
+     *         schema:
+     *           type: string
+     *           enum: [running, success, partial, failed, cancelled, interrupted, aborted]
+     *       - in: query
+     *         name: since
+     *         description: Only runs started at or after this time
+     *         schema:
+     *           type: string
+     *           format: date-time
+     *       - in: query
+     *         name: until
+     *         description: Only runs started at or before this time
+     *         schema:
+     *           type: string
+     *           format: date-time
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 20
+     *           maximum: 100
+     *       - in: query
+     *         name: offset
+     *         schema:
+     *           type: integer
+     *           default: 0
+     *     responses:
+     *       200:
+     *         description: A page of runs
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/RunList'
+     *       400:
+     *         description: Invalid filter
+     */
+    app.get('/runs', async (req, res) => {
+        const { accountId, trigger, status, since, until, limit, offset } = req.query;
+
+        for (const [name, value] of Object.entries({ since, until })) {
+            if (value && Number.isNaN(new Date(value).getTime())) {
+                return res.status(400).json({ error: `Invalid ${name} date: ${value}` });
+            }
+        }
+
+        try {
+            res.json(await runs.listRuns({ accountId, trigger, status, since, until, limit, offset }));
+        } catch (error) {
+            sendError(res, error, 'Failed to list runs');
+        }
+    });
+
+    /**
+     * @swagger
+     * /runs/{id}:
+     *   get:
+     *     summary: Get a single run
+     *     description: Returns a run with the outcome and timing of every visited profile
+     *     tags: [Runs]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: The run
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Run'
+     *       404:
+     *         description: Run not found
+     */
+    app.get('/runs/:id', async (req, res) => {
+        try {
+            const run = await runs.getRun(req.params.id);
+            if (!run) {
+                return res.status(404).json({ error: 'Run not found' });
+            }
+            res.json(run);
+        } catch (error) {
+            sendError(res, error, 'Failed to load run');
+        }
+    });
+
+    /**
+     * @swagger
+     * /runs/{id}/events:
+     *   get:
+     *     summary: Stream live progress events of a run
+     *     description: |
+     *       Server-Sent Events stream of a run's progress. Events already published are
+     *       replayed first, skipping those up to the Last-Event-ID header when reconnecting.
+     *       Event types are started, authenticated, visiting, visited, skipped, failed and
+     *       finished. The stream ends after the finished event.
+     *     tags: [Runs]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Event stream
+     *         content:
+     *           text/event-stream:
+     *             schema:
+     *               type: string
+     *               example: "id: 1\nevent: started\ndata: {\"type\":\"started\",\"totalUrls\":5}\n\n"
+     *       404:
+     *         description: Run not found
+     */
+    app.get('/runs/:id/events', async (req, res) => {
+        let run;
+        try {
+            run = await runs.getRun(req.params.id);
+            if (!run) {
+                throw httpError(404, 'Run not found');
+            }
+        } catch (error) {
+            return sendError(res, error, 'Failed to load run');
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.flushHeaders();
+
+        const send = event => {
+            res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+            if (event.type === 'finished') {
+                res.end();
+            }
+        };
+
+        const lastEventId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+        const buffered = events.getRunEvents(run.id);
+        buffered.filter(event => event.id > lastEventId).forEach(send);
+        if (buffered.some(event => event.type === 'finished')) {
+            return;
+        }
+        if (run.status !== 'running') {
+            // The run finished before its events were buffered, e.g. before a restart
+            return send({
+                id: buffered.length + 1,
+                type: 'finished',
+                runId: run.id,
+                at: run.finishedAt,
+                status: run.status,
+                successCount: run.successCount,
+                failureCount: run.failureCount,
+                skippedCount: run.skippedCount,
+                error: run.error
+            });
+        }
+
+        const unsubscribe = events.subscribeRunEvents(run.id, send);
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+        res.on('close', () => {
+            unsubscribe();
+            clearInterval(heartbeat);
+        });
+    });
+
+    /**
+     * @swagger
+     * /runs/{id}/artifacts:
+     *   get:
+     *     summary: List failure artifacts of a run
+     *     description: Returns the screenshot, HTML dump and navigation and console details captured for each failed visit
+     *     tags: [Runs]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: The artifacts
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 type: object
+     *                 properties:
+     *                   name:
+     *                     type: string
+     *                     example: 003-example-profile
+     *                   details:
+     *                     type: object
+     *                     description: Final URL, redirect chain, error, console errors and network errors
+     *                   files:
+     *                     type: array
+     *                     items:
+     *                       type: object
+     *                       properties:
+     *                         name:
+     *                           type: string
+     *                           example: screenshot.png
+     *                         url:
+     *                           type: string
+     *       404:
+     *         description: Run not found
+     */
+    app.get('/runs/:id/artifacts', async (req, res) => {
+        try {
+            if (!await runs.getRun(req.params.id)) {
+                throw httpError(404, 'Run not found');
+            }
+            res.json(await artifacts.listArtifacts(req.params.id));
+        } catch (error) {
+            sendError(res, error, 'Failed to list artifacts');
+        }
+    });
+
+    /**
+     * @swagger
+     * /runs/{id}/artifacts/{name}/{file}:
+     *   get:
+     *     summary: Download a failure artifact file
+     *     tags: [Runs]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *       - in: path
+     *         name: name
+     *         required: true
+     *         schema:
+     *           type: string
+     *       - in: path
+     *         name: file
+     *         required: true
+     *         schema:
+     *           type: string
+     *           enum: [screenshot.png, page.html, details.json]
+     *     responses:
+     *       200:
+     *         description: The file
+     *       404:
+     *         description: Artifact not found
+     */
+    app.get('/runs/:id/artifacts/:name/:file', async (req, res) => {
+        try {
+            const { id, name, file } = req.params;
+            if (!await runs.getRun(id)) {
+                throw httpError(404, 'Run not found');
+            }
+            const filePath = await artifacts.resolveArtifactFile(id, name, file);
+            if (!filePath) {
+                throw httpError(404, 'Artifact not found');
+            }
+            // Serve captured HTML as text so LinkedIn's scripts never run on our origin
+            if (file === 'page.html') {
+                res.type('text/plain');
+            }
+            res.sendFile(filePath);
+        } catch (error) {
+            sendError(res, error, 'Failed to load artifact');
+        }
+    });
+}
+
+module.exports = { registerRunRoutes };
@@ -0,0 +1,284 @@
+const scheduler = require('../scheduler');
+const accounts = require('../accounts');
+const { httpError, sendError } = require('../errors');
+
+/**
+ * Check that the account a request body assigns a schedule to exists
+ */
+async function requireBodyAccount(body) {
+    if (body && typeof body.accountId === 'string') {
+        await accounts.requireAccount(body.accountId);
+    }
+}
+
+/**
+ * Register schedule management endpoints
+ */
+function registerScheduleRoutes(app) {
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     Schedule:
+     *       type: object
+     *       properties:
+     *         id:
+     *           type: string
+     *           example: 2c9d7f3a-5b1e-4a6c-8d0f-3e2a1b4c5d6e
+     *         accountId:
+     *           type: string
+     *           description: The account whose profiles this schedule visits
+     *           example: default
+     *         name:
+     *           type: string
+     *           example: weekday-mornings
+     *         cron:
+     *           type: string
+     *           example: 0 9 * * 1-5
+     *         timezone:
+     *           type: string
+     *           example: Asia/Kolkata
+     *         profileIds:
+     *           type: array
+     *           nullable: true
+     *           description: Profiles visited by this schedule, null for all enabled profiles
+     *           items:
+     *             type: string
+     *         paused:
+     *           type: boolean
+     *           example: false
+     *         nextRuns:
+     *           type: array
+     *           description: Next fire times, empty while paused
+     *           items:
+     *             type: string
+     *             format: date-time
+     *         createdAt:
+     *           type: string
+     *           format: date-time
+     *         updatedAt:
+     *           type: string
+     *           format: date-time
+     *
+     *     ScheduleInput:
+     *       type: object
+     *       properties:
+     *         accountId:
+     *           type: string
+     *           description: The account whose profiles this schedule visits, the default account if omitted
+     *           example: default
+     *         name:
+     *           type: string
+     *           example: weekday-mornings
+     *         cron:
+     *           type: string
+     *           example: 0 9 * * 1-5
+     *         timezone:
+     *           type: string
+     *           example: Asia/Kolkata
+     *         profileIds:
+     *           type: array
+     *           nullable: true
+     *           items:
+     *             type: string
+     *         paused:
+     *           type: boolean
+     *           example: false
+     */
+
+    /**
+     * @swagger
+     * /schedules:
+     *   get:
+     *     summary: List schedules
+     *     tags: [Schedules]
+     *     parameters:
+     *       - in: query
+     *         name: accountId
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: The schedules with their next fire times
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/Schedule'
+     *   post:
+     *     summary: Add a schedule
+     *     tags: [Schedules]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             allOf:
+     *               - $ref: '#/components/schemas/ScheduleInput'
+     *               - required: [name, cron]
+     *     responses:
+     *       201:
+     *         description: The created schedule
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Schedule'
+     *       400:
+     *         description: Invalid cron expression, timezone or fields
+     *       404:
+     *         description: Account not found
+     *       409:
+     *         description: A schedule with this name already exists
+     */
+    app.get('/schedules', async (req, res) => {
+        try {
+            res.json(await scheduler.listSchedules({ accountId: req.query.accountId }));
+        } catch (error) {
+            sendError(res, error, 'Failed to list schedules');
+        }
+    });
+
+    app.post('/schedules', async (req, res) => {
+        try {
+            await requireBodyAccount(req.body);
+            res.status(201).json(await scheduler.createSchedule(req.body || {}));
+        } catch (error) {
+            sendError(res, error, 'Failed to create schedule');
+        }
+    });
+
+    /**
+     * @swagger
+     * /schedules/{id}:
+     *   parameters:
+     *     - in: path
+     *       name: id
+     *       required: true
+     *       schema:
+     *         type: string
+     *   get:
+     *     summary: Get a schedule
+     *     tags: [Schedules]
+     *     responses:
+     *       200:
+     *         description: The schedule
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Schedule'
+     *       404:
+     *         description: Schedule not found
+     *   patch:
+     *     summary: Update a schedule
+     *     tags: [Schedules]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/ScheduleInput'
+     *     responses:
+     *       200:
+     *         description: The updated schedule
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Schedule'
+     *       400:
+     *         description: Invalid cron expression, timezone or fields
+     *       404:
+     *         description: Schedule or account not found
+     *   delete:
+     *     summary: Remove a schedule
+     *     tags: [Schedules]
+     *     responses:
+     *       204:
+     *         description: Schedule removed
+     *       404:
+     *         description: Schedule not found
+     */
+    app.get('/schedules/:id', async (req, res) => {
+        try {
+            const schedule = await scheduler.getSchedule(req.params.id);
+            if (!schedule) {
+                throw httpError(404, 'Schedule not found');
+            }
+            res.json(schedule);
+        } catch (error) {
+            sendError(res, error, 'Failed to load schedule');
+        }
+    });
+
+    app.patch('/schedules/:id', async (req, res) => {
+        try {
+            await requireBodyAccount(req.body);
+            res.json(await scheduler.updateSchedule(req.params.id, req.body || {}));
+        } catch (error) {
+            sendError(res, error, 'Failed to update schedule');
+        }
+    });
+
+    app.delete('/schedules/:id', async (req, res) => {
+        try {
+            await scheduler.deleteSchedule(req.params.id);
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error, 'Failed to delete schedule');
+        }
+    });
+
+    /**
+     * @swagger
+     * /schedules/{id}/pause:
+     *   post:
+     *     summary: Pause a schedule
+     *     tags: [Schedules]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: The paused schedule
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Schedule'
+     *       404:
+     *         description: Schedule not found
+     *
+     * /schedules/{id}/resume:
+     *   post:
+     *     summary: Resume a paused schedule
+     *     tags: [Schedules]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: The resumed schedule
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Schedule'
+     *       404:
+     *         description: Schedule not found
+     */
+    for (const [action, paused] of [['pause', true], ['resume', false]]) {
+        app.post(`/schedules/:id/${action}`, async (req, res) => {
+            try {
+                res.json(await scheduler.updateSchedule(req.params.id, { paused }));
+            } catch (error) {
+                sendError(res, error, `Failed to ${action} schedule`);
+            }
+        });
+    }
+}
+
+module.exports = { registerScheduleRoutes };
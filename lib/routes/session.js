@@ -0,0 +1,284 @@
+const express = require('express');
+const jobs = require('../jobs');
+const session = require('../session');
+const accounts = require('../accounts');
+const { loadCookies, parseCookies, saveUploadedCookies } = require('../cookies');
+const { httpError, sendError } = require('../errors');
+const logger = require('../logger');
+
+/**
+ * Read an uploaded cookie set from a JSON or text/plain request body
+ */
+function parseUploadedCookies(body) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    if (!text || text === '{}') {
+        throw httpError(400, 'Request body must contain a cookie export');
+    }
+    try {
+        return parseCookies(text);
+    } catch (error) {
+        throw httpError(400, `Could not parse cookies: ${error.message}`);
+    }
+}
+
+/**
+ * The account a session request is about, from the accountId query parameter
+ */
+async function requestAccount(req) {
+    return accounts.requireAccount(req.query.accountId || accounts.DEFAULT_ACCOUNT_ID);
+}
+
+/**
+ * Register session cookie upload and status endpoints.
+ * Each account has a session of its own, chosen with the accountId query parameter.
+ * probeSession(cookies) must resolve when the cookies give a logged-in session
+ * and reject otherwise.
+ */
+function registerSessionRoutes(app, { probeSession }) {
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     CookieStatus:
+     *       type: object
+     *       properties:
+     *         name:
+     *           type: string
+     *           example: li_at
+     *         present:
+     *           type: boolean
+     *           example: true
+     *         expiresAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *         expired:
+     *           type: boolean
+     *           example: false
+     *
+     *     SessionProbe:
+     *       type: object
+     *       properties:
+     *         at:
+     *           type: string
+     *           format: date-time
+     *         success:
+     *           type: boolean
+     *           example: true
+     *         error:
+     *           type: string
+     *           nullable: true
+     *           example: null
+     *         source:
+     *           type: string
+     *           example: upload
+     *
+     *     SessionStatus:
+     *       type: object
+     *       properties:
+     *         accountId:
+     *           type: string
+     *           example: default
+     *         lastProbe:
+     *           nullable: true
+     *           allOf:
+     *             - $ref: '#/components/schemas/SessionProbe'
+     *         lastConfirmedValidAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *         cookieSource:
+     *           type: string
+     *           nullable: true
+     *           example: uploaded
+     *         cookieError:
+     *           type: string
+     *           nullable: true
+     *           description: Why the current cookies could not be loaded
+     *         cookies:
+     *           type: array
+     *           items:
+     *             $ref: '#/components/schemas/CookieStatus'
+     *
+     *     SessionHealth:
+     *       type: object
+     *       description: Session state tracked by the session monitor, from the cookies last loaded and the last login probe
+     *       properties:
+     *         status:
+     *           type: string
+     *           enum: [ok, expiring, expired, logged_out, unknown]
+     *           description: |
+     *             logged_out when the last login probe failed and no run has confirmed the session since,
+     *             expired or expiring when the cookies expire within SESSION_EXPIRY_WARNING_DAYS,
+     *             unknown before the cookies were ever loaded
+     *         loggedOut:
+     *           type: boolean
+     *         expired:
+     *           type: boolean
+     *         expiringSoon:
+     *           type: boolean
+     *         expiresAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *           description: When the first of the required cookies expires, null for browser session cookies
+     *         expiresInDays:
+     *           type: integer
+     *           nullable: true
+     *           example: 42
+     *         warningDays:
+     *           type: integer
+     *           example: 7
+     *         cookieSource:
+     *           type: string
+     *           nullable: true
+     *           example: uploaded
+     *         cookiesCheckedAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *         cookies:
+     *           type: array
+     *           items:
+     *             $ref: '#/components/schemas/CookieStatus'
+     *         lastProbe:
+     *           nullable: true
+     *           allOf:
+     *             - $ref: '#/components/schemas/SessionProbe'
+     *         lastConfirmedValidAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *         nextProbeAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *           description: When the next login probe is due, null when SESSION_PROBE_INTERVAL_HOURS is 0
+     */
+
+    /**
+     * @swagger
+     * /session:
+     *   get:
+     *     summary: Get session status
+     *     description: Reports an account's last login probe, when its session was last confirmed valid and the expiry of its required cookies
+     *     tags: [Session]
+     *     parameters:
+     *       - in: query
+     *         name: accountId
+     *         description: The account, the default account if omitted
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Session status
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/SessionStatus'
+     *       404:
+     *         description: Account not found
+     */
+    app.get('/session', async (req, res) => {
+        try {
+            const account = await requestAccount(req);
+            const state = await session.getSessionState(account.id);
+            let cookieSource = null;
+            let cookieError = null;
+            let cookies = [];
+            try {
+                ({ source: cookieSource, cookies } = await loadCookies(account));
+            } catch (error) {
+                cookieError = error.message;
+            }
+            res.json({
+                accountId: account.id,
+                ...state,
+                cookieSource,
+                cookieError,
+                cookies: session.describeCookies(cookies)
+            });
+        } catch (error) {
+            sendError(res, error, 'Failed to load session status');
+        }
+    });
+
+    /**
+     * @swagger
+     * /session/cookies:
+     *   put:
+     *     summary: Upload a new cookie set
+     *     description: |
+     *       Validates that the required cookies are present and not expired, then runs a headless login probe.
+     *       The cookies are stored and used for the account's later runs only if the probe passes.
+     *       Accepts a browser-extension JSON export or a Netscape cookies.txt file as text/plain.
+     *     tags: [Session]
+     *     parameters:
+     *       - in: query
+     *         name: accountId
+     *         description: The account, the default account if omitted
+     *         schema:
+     *           type: string
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: array
+     *             items:
+     *               type: object
+     *         text/plain:
+     *           schema:
+     *             type: string
+     *     responses:
+     *       200:
+     *         description: Probe passed and the cookies were stored
+     *       400:
+     *         description: Cookies could not be parsed or are missing or expired
+     *       404:
+     *         description: Account not found
+     *       409:
+     *         description: A run or another probe of the account is in progress
+     *       422:
+     *         description: Login probe failed, the cookies were not stored and the session state is unchanged
+     */
+    app.put('/session/cookies', express.text({ type: 'text/plain', limit: '1mb' }), async (req, res) => {
+        try {
+            const account = await requestAccount(req);
+            const cookies = parseUploadedCookies(req.body);
+            const problems = session.validateCookies(cookies);
+            if (problems.length > 0) {
+                throw httpError(400, problems.join('; '));
+            }
+            if (jobs.getActiveJob(account.id) || session.probesInProgress.has(account.id)) {
+                throw httpError(409, `A run or session probe of account '${account.id}' is in progress, try again when it has finished`);
+            }
+
+            session.probesInProgress.add(account.id);
+            try {
+                await probeSession(cookies);
+            } catch (error) {
+                // The rejected cookies say nothing about the account's current session, which is left as it is
+                logger.warn(`🚫 Uploaded cookies for account '${account.id}' failed the login probe: ${error.message}`);
+                throw httpError(422, `Login probe failed, cookies not stored: ${error.message}`);
+            } finally {
+                session.probesInProgress.delete(account.id);
+            }
+
+            await saveUploadedCookies(account.id, cookies);
+            await session.trackCookies(account.id, cookies, 'uploaded');
+            const state = await session.recordProbe(account.id, { success: true, source: 'upload' });
+            logger.info(`🍪 Stored ${cookies.length} uploaded cookies for account '${account.id}'`);
+            res.json({
+                stored: true,
+                accountId: account.id,
+                ...state,
+                cookies: session.describeCookies(cookies)
+            });
+        } catch (error) {
+            sendError(res, error, 'Failed to update session cookies');
+        }
+    });
+}
+
+module.exports = { registerSessionRoutes };
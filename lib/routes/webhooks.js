@@ -0,0 +1,471 @@
+const webhooks = require('../webhooks');
+const accounts = require('../accounts');
+const { requireRole } = require('../auth');
+const { sendError } = require('../errors');
+const logger = require('../logger');
+
+/**
+ * Check that the account a request body limits a webhook to exists
+ */
+async function requireBodyAccount(body) {
+    if (body && typeof body.accountId === 'string') {
+        await accounts.requireAccount(body.accountId);
+    }
+}
+
+/**
+ * Register event webhook endpoints, which need the admin role as they expose
+ * signing secrets
+ */
+function registerWebhookRoutes(app) {
+    app.use('/webhooks', requireRole('admin'));
+
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     Webhook:
+     *       type: object
+     *       properties:
+     *         id:
+     *           type: string
+     *           example: 0b7f6c1e-2d3a-4e5f-8a9b-1c2d3e4f5a6b
+     *         url:
+     *           type: string
+     *           example: https://crm.example.com/hooks/linkedin-visitor
+     *         events:
+     *           type: array
+     *           items:
+     *             type: string
+     *             enum: [run.started, profile.visited, visit.failed, session.expired, run.finished]
+     *         accountId:
+     *           type: string
+     *           nullable: true
+     *           description: Only events of this account are sent, events of every account when null
+     *         description:
+     *           type: string
+     *           nullable: true
+     *           example: CRM sync
+     *         enabled:
+     *           type: boolean
+     *         secretPrefix:
+     *           type: string
+     *           description: First characters of the signing secret, to recognise it
+     *           example: whsec_Ab3d
+     *         createdAt:
+     *           type: string
+     *           format: date-time
+     *         updatedAt:
+     *           type: string
+     *           format: date-time
+     *
+     *     WebhookWithSecret:
+     *       allOf:
+     *         - $ref: '#/components/schemas/Webhook'
+     *         - type: object
+     *           properties:
+     *             secret:
+     *               type: string
+     *               description: The signing secret, only returned when the webhook is created or its secret rotated
+     *
+     *     WebhookInput:
+     *       type: object
+     *       properties:
+     *         url:
+     *           type: string
+     *           example: https://crm.example.com/hooks/linkedin-visitor
+     *         events:
+     *           type: array
+     *           description: Event types to send, every type if omitted
+     *           items:
+     *             type: string
+     *             enum: [run.started, profile.visited, visit.failed, session.expired, run.finished]
+     *         accountId:
+     *           type: string
+     *           nullable: true
+     *           description: Only send events of this account
+     *         description:
+     *           type: string
+     *         enabled:
+     *           type: boolean
+     *
+     *     WebhookEvent:
+     *       type: object
+     *       description: The JSON body of every webhook request
+     *       properties:
+     *         id:
+     *           type: string
+     *           description: Event id, the same for every delivery and retry of the event
+     *         type:
+     *           type: string
+     *           enum: [run.started, profile.visited, visit.failed, session.expired, run.finished, webhook.test]
+     *         version:
+     *           type: integer
+     *           description: Payload version, raised on changes that break receivers
+     *           example: 1
+     *         createdAt:
+     *           type: string
+     *           format: date-time
+     *         accountId:
+     *           type: string
+     *           nullable: true
+     *         runId:
+     *           type: string
+     *           nullable: true
+     *         data:
+     *           type: object
+     *           description: |
+     *             The event's data. run.finished carries the result of the run: status, success,
+     *             totalUrls, processedUrls, successCount, failureCount, skippedCount, message,
+     *             error and the per-profile results.
+     *
+     *     WebhookDelivery:
+     *       type: object
+     *       properties:
+     *         id:
+     *           type: string
+     *           description: Sent in the X-Webhook-Id header
+     *         webhookId:
+     *           type: string
+     *         eventId:
+     *           type: string
+     *         eventType:
+     *           type: string
+     *         accountId:
+     *           type: string
+     *           nullable: true
+     *         runId:
+     *           type: string
+     *           nullable: true
+     *         status:
+     *           type: string
+     *           enum: [pending, delivered, failed]
+     *         attempts:
+     *           type: array
+     *           items:
+     *             type: object
+     *             properties:
+     *               at:
+     *                 type: string
+     *                 format: date-time
+     *               statusCode:
+     *                 type: integer
+     *                 nullable: true
+     *               error:
+     *                 type: string
+     *                 nullable: true
+     *                 example: HTTP 503 Service Unavailable
+     *               durationMs:
+     *                 type: integer
+     *         nextAttemptAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *         createdAt:
+     *           type: string
+     *           format: date-time
+     *         completedAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *         payload:
+     *           $ref: '#/components/schemas/WebhookEvent'
+     */
+
+    /**
+     * @swagger
+     * /webhooks:
+     *   get:
+     *     summary: List event webhooks
+     *     tags: [Webhooks]
+     *     responses:
+     *       200:
+     *         description: The webhooks, without their secrets
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/Webhook'
+     *   post:
+     *     summary: Add an event webhook
+     *     description: |
+     *       Events are POSTed as JSON to the URL, signed with the returned secret: the
+     *       X-Webhook-Signature header holds sha256= and the hex HMAC-SHA256 of the
+     *       X-Webhook-Timestamp header, a dot and the request body.
+     *     tags: [Webhooks]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/WebhookInput'
+     *     responses:
+     *       201:
+     *         description: The created webhook with its signing secret
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/WebhookWithSecret'
+     *       400:
+     *         description: Invalid URL, events or fields
+     *       404:
+     *         description: Account not found
+     */
+    app.get('/webhooks', async (req, res) => {
+        try {
+            res.json(await webhooks.listWebhooks());
+        } catch (error) {
+            sendError(res, error, 'Failed to list webhooks');
+        }
+    });
+
+    app.post('/webhooks', async (req, res) => {
+        try {
+            await requireBodyAccount(req.body);
+            const created = await webhooks.createWebhook(req.body || {});
+            logger.info(`🪝 Webhook ${created.id} added for ${created.url} (${created.events.join(', ')})`);
+            res.status(201).json(created);
+        } catch (error) {
+            sendError(res, error, 'Failed to create webhook');
+        }
+    });
+
+    /**
+     * @swagger
+     * /webhooks/deliveries/{deliveryId}/redeliver:
+     *   post:
+     *     summary: Send a webhook delivery again
+     *     description: Makes a new attempt now, with a fresh set of retries, and returns the delivery after it
+     *     tags: [Webhooks]
+     *     parameters:
+     *       - in: path
+     *         name: deliveryId
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: The delivery
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/WebhookDelivery'
+     *       404:
+     *         description: Delivery not found
+     */
+    app.post('/webhooks/deliveries/:deliveryId/redeliver', async (req, res) => {
+        try {
+            res.json(await webhooks.redeliver(req.params.deliveryId));
+        } catch (error) {
+            sendError(res, error, 'Failed to redeliver webhook event');
+        }
+    });
+
+    /**
+     * @swagger
+     * /webhooks/{id}:
+     *   parameters:
+     *     - in: path
+     *       name: id
+     *       required: true
+     *       schema:
+     *         type: string
+     *   get:
+     *     summary: Get an event webhook
+     *     tags: [Webhooks]
+     *     responses:
+     *       200:
+     *         description: The webhook
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Webhook'
+     *       404:
+     *         description: Webhook not found
+     *   patch:
+     *     summary: Update an event webhook
+     *     tags: [Webhooks]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/WebhookInput'
+     *     responses:
+     *       200:
+     *         description: The updated webhook
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Webhook'
+     *       400:
+     *         description: Invalid URL, events or fields
+     *       404:
+     *         description: Webhook or account not found
+     *   delete:
+     *     summary: Remove an event webhook
+     *     tags: [Webhooks]
+     *     responses:
+     *       204:
+     *         description: Webhook removed
+     *       404:
+     *         description: Webhook not found
+     */
+    app.get('/webhooks/:id', async (req, res) => {
+        try {
+            res.json(await webhooks.getWebhook(req.params.id));
+        } catch (error) {
+            sendError(res, error, 'Failed to load webhook');
+        }
+    });
+
+    app.patch('/webhooks/:id', async (req, res) => {
+        try {
+            await requireBodyAccount(req.body);
+            res.json(await webhooks.updateWebhook(req.params.id, req.body || {}));
+        } catch (error) {
+            sendError(res, error, 'Failed to update webhook');
+        }
+    });
+
+    app.delete('/webhooks/:id', async (req, res) => {
+        try {
+            const removed = await webhooks.deleteWebhook(req.params.id);
+            logger.info(`🪝 Webhook ${removed.id} for ${removed.url} removed`);
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error, 'Failed to delete webhook');
+        }
+    });
+
+    /**
+     * @swagger
+     * /webhooks/{id}/rotate-secret:
+     *   post:
+     *     summary: Replace the signing secret of a webhook
+     *     description: Requests are signed with the new secret from the next attempt on
+     *     tags: [Webhooks]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: The webhook with its new secret
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/WebhookWithSecret'
+     *       404:
+     *         description: Webhook not found
+     */
+    app.post('/webhooks/:id/rotate-secret', async (req, res) => {
+        try {
+            const rotated = await webhooks.rotateSecret(req.params.id);
+            logger.info(`🪝 Signing secret of webhook ${rotated.id} rotated`);
+            res.json(rotated);
+        } catch (error) {
+            sendError(res, error, 'Failed to rotate webhook secret');
+        }
+    });
+
+    /**
+     * @swagger
+     * /webhooks/{id}/test:
+     *   post:
+     *     summary: Send a test event to a webhook
+     *     description: Sends a webhook.test event, even to a disabled webhook, and returns the delivery after its first attempt
+     *     tags: [Webhooks]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: The delivery of the test event
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/WebhookDelivery'
+     *       404:
+     *         description: Webhook not found
+     */
+    app.post('/webhooks/:id/test', async (req, res) => {
+        try {
+            res.json(await webhooks.sendTestEvent(req.params.id));
+        } catch (error) {
+            sendError(res, error, 'Failed to send test event');
+        }
+    });
+
+    /**
+     * @swagger
+     * /webhooks/{id}/deliveries:
+     *   get:
+     *     summary: List the deliveries of a webhook
+     *     description: The delivery log, newest first, with every attempt and its response status or error
+     *     tags: [Webhooks]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: status
+     *         schema:
+     *           type: string
+     *           enum: [pending, delivered, failed]
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 20
+     *           maximum: 100
+     *       - in: query
+     *         name: offset
+     *         schema:
+     *           type: integer
+     *           default: 0
+     *     responses:
+     *       200:
+     *         description: A page of deliveries
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 total:
+     *                   type: integer
+     *                 limit:
+     *                   type: integer
+     *                 offset:
+     *                   type: integer
+     *                 deliveries:
+     *                   type: array
+     *                   items:
+     *                     $ref: '#/components/schemas/WebhookDelivery'
+     *       400:
+     *         description: Invalid status
+     *       404:
+     *         description: Webhook not found
+     */
+    app.get('/webhooks/:id/deliveries', async (req, res) => {
+        try {
+            const webhook = await webhooks.getWebhook(req.params.id);
+            const { status, limit, offset } = req.query;
+            res.json(await webhooks.listDeliveries({ webhookId: webhook.id, status, limit, offset }));
+        } catch (error) {
+            sendError(res, error, 'Failed to list webhook deliveries');
+        }
+    });
+}
+
+module.exports = {
+    registerWebhookRoutes
+};
@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const os = require('os');
+const { createStore } = require('./store');
+const { httpError } = require('./errors');
+const { accountIdOf } = require('./accounts');
+
+const store = createStore('runs.json', { runs: [] }, {
+    upgrade(data) {
+        data.runs.forEach(run => {
+            run.accountId = accountIdOf(run);
+            run.owner = run.owner ?? null;
+            run.checkpoint = run.checkpoint ?? null;
+            run.resumeCount = run.resumeCount ?? 0;
+        });
+    }
+});
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// How often a run in progress refreshes its checkpoint, and how long after the
+// last refresh a run of another host counts as abandoned
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+const STALE_RUN_MS = 5 * HEARTBEAT_INTERVAL_MS;
+
+/**
+ * Maximum number of runs kept on disk, oldest are dropped first
+ */
+function historyLimit() {
+    const limit = parseInt(process.env.RUN_HISTORY_LIMIT, 10);
+    return Number.isFinite(limit) && limit > 0 ? limit : 500;
+}
+
+/**
+ * Strip the per-URL visits from a run for list views
+ */
+function summarize(run) {
+    const { visits, ...summary } = run;
+    return { ...summary, visitCount: visits.length };
+}
+
+/**
+ * The process running a run, so a restarted process can tell the runs it left
+ * behind from those of another process still going
+ */
+function currentOwner() {
+    return { hostname: os.hostname(), pid: process.pid };
+}
+
+/**
+ * Whether a running run is owned by another process still going. Processes on
+ * this host are checked directly. Those of another host sharing DATA_DIR count as
+ * alive until the run's checkpoint, or its start without one, is older than STALE_RUN_MS.
+ */
+function runningElsewhere(run) {
+    const { owner } = run;
+    if (!owner || (owner.hostname === os.hostname() && owner.pid === process.pid)) {
+        return false;
+    }
+    if (owner.hostname !== os.hostname()) {
+        const lastActiveAt = run.checkpoint ? run.checkpoint.updatedAt : run.startedAt;
+        return Date.now() - new Date(lastActiveAt).getTime() < STALE_RUN_MS;
+    }
+    try {
+        process.kill(owner.pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Refuse, with a 409 error, to run an account another process is running, such
+ * as the server while the CLI is used. Runs of this process are kept apart by
+ * the job lock.
+ */
+function requireNoRunElsewhere(data, accountId) {
+    const running = data.runs.find(run => run.accountId === accountId && run.status === 'running' && runningElsewhere(run));
+    if (running) {
+        throw httpError(409, `A run is already in progress for account '${accountId}' in process ${running.owner.pid} on ${running.owner.hostname} (run ${running.id})`);
+    }
+}
+
+/**
+ * Record the start of a run and return it
+ */
+async function startRun({ trigger, accountId, scheduleId = null }) {
+    const run = {
+        id: crypto.randomUUID(),
+        accountId,
+        trigger,
+        scheduleId,
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        durationMs: null,
+        totalUrls: 0,
+        successCount: 0,
+        failureCount: 0,
+        skippedCount: 0,
+        error: null,
+        owner: currentOwner(),
+        checkpoint: null,
+        resumeCount: 0,
+        visits: []
+    };
+
+    await store.update(data => {
+        requireNoRunElsewhere(data, accountId);
+        data.runs.push(run);
+        const overflow = data.runs.length - historyLimit();
+        if (overflow > 0) {
+            data.runs.splice(0, overflow);
+        }
+    });
+
+    return run;
+}
+
+/**
+ * Update fields of a run in place
+ */
+async function updateRun(id, changes) {
+    return store.update(data => {
+        const run = data.runs.find(r => r.id === id);
+        if (run) {
+            Object.assign(run, changes);
+        }
+        return run;
+    });
+}
+
+/**
+ * Save the profile URLs a run is about to visit as its checkpoint. Each URL is
+ * taken off when its visit is recorded, so an interrupted run can be resumed
+ * from the next unvisited profile.
+ */
+async function setCheckpoint(id, urls) {
+    return updateRun(id, { checkpoint: { remaining: [...urls], updatedAt: new Date().toISOString() } });
+}
+
+/**
+ * Refresh the checkpoint of a run in progress, showing other hosts that it is
+ * still going
+ */
+async function touchCheckpoint(id) {
+    return store.update(data => {
+        const run = data.runs.find(r => r.id === id);
+        if (run && run.status === 'running' && run.checkpoint) {
+            run.checkpoint.updatedAt = new Date().toISOString();
+        }
+        return run;
+    });
+}
+
+/**
+ * Append the outcome of a single profile visit to a run, advancing its checkpoint
+ */
+async function recordVisit(id, visit) {
+    return store.update(data => {
+        const run = data.runs.find(r => r.id === id);
+        if (!run) {
+            return null;
+        }
+        run.visits.push(visit);
+        if (run.checkpoint) {
+            const index = run.checkpoint.remaining.indexOf(visit.url);
+            if (index !== -1) {
+                run.checkpoint.remaining.splice(index, 1);
+                run.checkpoint.updatedAt = visit.finishedAt;
+            }
+        }
+        if (visit.skipped) {
+            run.skippedCount = (run.skippedCount || 0) + 1;
+        } else if (visit.success) {
+            run.successCount++;
+        } else {
+            run.failureCount++;
+        }
+        return run;
+    });
+}
+
+/**
+ * Mark a run as finished with the given status. Only interrupted runs keep
+ * their checkpoint, to be resumed.
+ */
+async function finishRun(id, { status, error = null }) {
+    return store.update(data => {
+        const run = data.runs.find(r => r.id === id);
+        if (!run) {
+            return null;
+        }
+        run.status = status;
+        run.error = error;
+        if (status !== 'interrupted') {
+            run.checkpoint = null;
+        }
+        run.finishedAt = new Date().toISOString();
+        run.durationMs = new Date(run.finishedAt) - new Date(run.startedAt);
+        return run;
+    });
+}
+
+/**
+ * Take an interrupted run up again in this process, returning it
+ */
+async function resumeRun(id) {
+    return store.update(data => {
+        const run = data.runs.find(r => r.id === id);
+        if (!run) {
+            return null;
+        }
+        requireNoRunElsewhere(data, run.accountId);
+        Object.assign(run, {
+            status: 'running',
+            error: null,
+            finishedAt: null,
+            durationMs: null,
+            owner: currentOwner(),
+            resumeCount: run.resumeCount + 1
+        });
+        if (run.checkpoint) {
+            run.checkpoint.updatedAt = new Date().toISOString();
+        }
+        return run;
+    });
+}
+
+/**
+ * Runs a shutdown interrupted, and runs left running by a process that crashed
+ * or was killed, oldest first
+ */
+async function listInterruptedRuns() {
+    const data = await store.read();
+    return data.runs.filter(run => run.status === 'interrupted'
+        || (run.status === 'running' && !runningElsewhere(run)));
+}
+
+/**
+ * List runs, newest first, with optional filters and pagination
+ */
+async function listRuns({ accountId, trigger, status, since, until, limit, offset } = {}) {
+    const data = await store.read();
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const untilTime = until ? new Date(until).getTime() : null;
+
+    const matching = data.runs
+        .filter(run => !accountId || run.accountId === accountId)
+        .filter(run => !trigger || run.trigger === trigger)
+        .filter(run => !status || run.status === status)
+        .filter(run => sinceTime === null || new Date(run.startedAt).getTime() >= sinceTime)
+        .filter(run => untilTime === null || new Date(run.startedAt).getTime() <= untilTime)
+        .reverse();
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+    return {
+        total: matching.length,
+        limit: pageSize,
+        offset: start,
+        runs: matching.slice(start, start + pageSize).map(summarize)
+    };
+}
+
+/**
+ * All visits actually made (not skipped) since the given time, oldest first,
+ * optionally only those of one account
+ */
+async function listVisitsSince(since, { accountId } = {}) {
+    const data = await store.read();
+    const sinceTime = new Date(since).getTime();
+    return data.runs
+        .filter(run => !accountId || run.accountId === accountId)
+        .flatMap(run => run.visits)
+        .filter(visit => !visit.skipped && new Date(visit.startedAt).getTime() >= sinceTime);
+}
+
+/**
+ * Get a single run with its per-URL visits
+ */
+async function getRun(id) {
+    const data = await store.read();
+    return data.runs.find(run => run.id === id) || null;
+}
+
+/**
+ * Most recent run that has finished, optionally with the given status or of the given account
+ */
+async function getLastFinishedRun({ status, accountId } = {}) {
+    const data = await store.read();
+    for (let index = data.runs.length - 1; index >= 0; index--) {
+        const run = data.runs[index];
+        if (run.status !== 'running' && (!status || run.status === status) && (!accountId || run.accountId === accountId)) {
+            return run;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    HEARTBEAT_INTERVAL_MS,
+    startRun,
+    updateRun,
+    setCheckpoint,
+    touchCheckpoint,
+    recordVisit,
+    finishRun,
+    resumeRun,
+    listInterruptedRuns,
+    listRuns,
+    listVisitsSince,
+    getRun,
+    getLastFinishedRun
+};
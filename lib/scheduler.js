@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
+const cronParser = require('cron-parser');
+const { createStore } = require('./store');
+const { httpError } = require('./errors');
+const logger = require('./logger');
+const { DEFAULT_ACCOUNT_ID, accountIdOf } = require('./accounts');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const EDITABLE_FIELDS = ['accountId', 'name', 'cron', 'timezone', 'profileIds', 'paused'];
+
+const store = createStore('schedules.json', { seeded: false, schedules: [] }, {
+    upgrade(data) {
+        data.schedules.forEach(schedule => {
+            schedule.accountId = accountIdOf(schedule);
+        });
+    }
+});
+
+// Schedule id -> node-cron task
+const tasks = new Map();
+let fireHandler = null;
+
+/**
+ * Whether a timezone is a valid IANA zone name. Bare abbreviations such as
+ * IST are rejected even though Intl accepts some of them, as they are ambiguous.
+ */
+function isValidTimezone(timezone) {
+    if (timezone !== 'UTC' && !timezone.includes('/')) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Validate schedule fields, throwing a 400 error on the first problem
+ */
+function validateFields(fields, { partial }) {
+    const unknown = Object.keys(fields).filter(key => !EDITABLE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        throw httpError(400, `Unknown schedule fields: ${unknown.join(', ')}`);
+    }
+    if (fields.accountId !== undefined && typeof fields.accountId !== 'string') {
+        throw httpError(400, 'Schedule accountId must be a string');
+    }
+    if ((!partial || fields.name !== undefined) && (typeof fields.name !== 'string' || fields.name.trim() === '')) {
+        throw httpError(400, 'Schedule name is required');
+    }
+    if ((!partial || fields.cron !== undefined) && (typeof fields.cron !== 'string' || !cron.validate(fields.cron))) {
+        throw httpError(400, `Invalid cron expression: ${fields.cron}`);
+    }
+    if (fields.timezone !== undefined && (typeof fields.timezone !== 'string' || !isValidTimezone(fields.timezone))) {
+        throw httpError(400, `Invalid timezone: ${fields.timezone}. Use an IANA name such as Asia/Kolkata`);
+    }
+    if (fields.profileIds !== undefined && fields.profileIds !== null
+        && (!Array.isArray(fields.profileIds) || fields.profileIds.some(id => typeof id !== 'string'))) {
+        throw httpError(400, 'profileIds must be null or an array of profile ids');
+    }
+    if (fields.paused !== undefined && typeof fields.paused !== 'boolean') {
+        throw httpError(400, 'paused must be a boolean');
+    }
+}
+
+/**
+ * The next fire times of a schedule, empty while it is paused
+ */
+function nextRuns(schedule, count = 3) {
+    if (schedule.paused) {
+        return [];
+    }
+    const interval = cronParser.parseExpression(schedule.cron, { tz: schedule.timezone });
+    return Array.from({ length: count }, () => interval.next().toDate().toISOString());
+}
+
+/**
+ * Public view of a schedule with its next fire times
+ */
+function describeSchedule(schedule) {
+    return { ...schedule, nextRuns: nextRuns(schedule) };
+}
+
+/**
+ * Stop and forget the cron task of a schedule
+ */
+function unregister(id) {
+    const task = tasks.get(id);
+    if (task) {
+        task.stop();
+        tasks.delete(id);
+    }
+}
+
+/**
+ * (Re)create the cron task of a schedule to match its stored state
+ */
+function register(schedule) {
+    unregister(schedule.id);
+    if (schedule.paused) {
+        return;
+    }
+    const task = cron.schedule(schedule.cron, () => {
+        logger.info(`🕘 Schedule '${schedule.name}' triggered (${schedule.cron} ${schedule.timezone})`);
+        Promise.resolve(fireHandler(schedule)).catch(error => {
+            logger.error(`❌ Schedule '${schedule.name}' failed`, { error });
+        });
+    }, { timezone: schedule.timezone });
+    tasks.set(schedule.id, task);
+}
+
+/**
+ * Build a new schedule record from validated fields, for the default account
+ * unless accountId is given
+ */
+function buildSchedule(fields) {
+    const now = new Date().toISOString();
+    return {
+        id: crypto.randomUUID(),
+        accountId: fields.accountId ?? DEFAULT_ACCOUNT_ID,
+        name: fields.name.trim(),
+        cron: fields.cron,
+        timezone: fields.timezone || DEFAULT_TIMEZONE,
+        profileIds: fields.profileIds ?? null,
+        paused: fields.paused ?? false,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+/**
+ * Load persisted schedules and start their cron tasks. On first start, a
+ * schedule is seeded from CRON_EXPRESSION and CRON_TIMEZONE when set.
+ * onFire(schedule) is called every time a schedule fires.
+ */
+async function startScheduler({ onFire }) {
+    fireHandler = onFire;
+
+    const data = await store.update(state => {
+        if (!state.seeded) {
+            if (process.env.CRON_EXPRESSION) {
+                const fields = {
+                    name: 'default',
+                    cron: process.env.CRON_EXPRESSION,
+                    timezone: process.env.CRON_TIMEZONE || DEFAULT_TIMEZONE
+                };
+                validateFields(fields, { partial: false });
+                state.schedules.push(buildSchedule(fields));
+                logger.info(`🌱 Seeded schedule 'default' from CRON_EXPRESSION`);
+            }
+            state.seeded = true;
+        }
+        return state;
+    });
+
+    for (const schedule of data.schedules) {
+        try {
+            validateFields({ name: schedule.name, cron: schedule.cron, timezone: schedule.timezone }, { partial: false });
+            register(schedule);
+            const next = nextRuns(schedule, 1)[0];
+            logger.info(`⏰ Schedule '${schedule.name}': ${schedule.cron} (${schedule.timezone})${schedule.paused ? ' - paused' : `, next run ${next}`}`);
+        } catch (error) {
+            logger.error(`❌ Skipping invalid schedule '${schedule.name}': ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Stop every cron task
+ */
+function stopScheduler() {
+    for (const id of [...tasks.keys()]) {
+        unregister(id);
+    }
+}
+
+/**
+ * List schedules with their next fire times, optionally only those of one account
+ */
+async function listSchedules({ accountId } = {}) {
+    const data = await store.read();
+    return data.schedules
+        .filter(schedule => !accountId || schedule.accountId === accountId)
+        .map(describeSchedule);
+}
+
+/**
+ * Get a schedule by id
+ */
+async function getSchedule(id) {
+    const data = await store.read();
+    const schedule = data.schedules.find(s => s.id === id);
+    return schedule ? describeSchedule(schedule) : null;
+}
+
+/**
+ * Add a schedule and start it unless it is created paused
+ */
+async function createSchedule(fields) {
+    validateFields(fields, { partial: false });
+    const schedule = await store.update(data => {
+        if (data.schedules.some(s => s.name === fields.name.trim())) {
+            throw httpError(409, `Schedule already exists: ${fields.name}`);
+        }
+        const created = buildSchedule(fields);
+        data.schedules.push(created);
+        return created;
+    });
+    register(schedule);
+    return describeSchedule(schedule);
+}
+
+/**
+ * Update a schedule and re-register its cron task
+ */
+async function updateSchedule(id, fields) {
+    validateFields(fields, { partial: true });
+    const schedule = await store.update(data => {
+        const existing = data.schedules.find(s => s.id === id);
+        if (!existing) {
+            throw httpError(404, 'Schedule not found');
+        }
+        if (fields.name !== undefined && data.schedules.some(s => s.id !== id && s.name === fields.name.trim())) {
+            throw httpError(409, `Schedule already exists: ${fields.name}`);
+        }
+        Object.assign(existing, fields, { updatedAt: new Date().toISOString() });
+        if (fields.name !== undefined) {
+            existing.name = fields.name.trim();
+        }
+        return existing;
+    });
+    register(schedule);
+    return describeSchedule(schedule);
+}
+
+/**
+ * Remove a schedule and stop its cron task
+ */
+async function deleteSchedule(id) {
+    await store.update(data => {
+        const index = data.schedules.findIndex(s => s.id === id);
+        if (index === -1) {
+            throw httpError(404, 'Schedule not found');
+        }
+        data.schedules.splice(index, 1);
+    });
+    unregister(id);
+}
+
+module.exports = {
+    isValidTimezone,
+    startScheduler,
+    stopScheduler,
+    listSchedules,
+    getSchedule,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule
+};
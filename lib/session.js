@@ -0,0 +1,207 @@
+const { createStore } = require('./store');
+const { DEFAULT_ACCOUNT_ID } = require('./accounts');
+
+const REQUIRED_COOKIES = ['li_at', 'JSESSIONID'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accounts with a login probe in progress, so two probes of one account never overlap
+const probesInProgress = new Set();
+
+// Account id -> session state
+const store = createStore('session.json', { accounts: {} }, {
+    upgrade(data) {
+        // Before accounts, the document held the single session's state
+        if (!data.accounts) {
+            const { lastProbe = null, lastConfirmedValidAt = null } = data;
+            delete data.lastProbe;
+            delete data.lastConfirmedValidAt;
+            data.accounts = { [DEFAULT_ACCOUNT_ID]: { lastProbe, lastConfirmedValidAt } };
+        }
+    }
+});
+
+/**
+ * Session state of an account nothing is known about yet. cookieExpiry is the
+ * expiry of the cookies last loaded, expiryNotice the last expiry warning sent.
+ */
+function emptyState() {
+    return { lastProbe: null, lastConfirmedValidAt: null, cookieExpiry: null, expiryNotice: null };
+}
+
+/**
+ * An account's entry in the session document, created on first use
+ */
+function accountState(data, accountId) {
+    data.accounts[accountId] = { ...emptyState(), ...data.accounts[accountId] };
+    return data.accounts[accountId];
+}
+
+/**
+ * Describe the required cookies in a cookie set: presence and expiry
+ */
+function describeCookies(cookies) {
+    const now = Date.now() / 1000;
+
+    return REQUIRED_COOKIES.map(name => {
+        const cookie = cookies.find(c => c.name === name);
+        if (!cookie) {
+            return { name, present: false, expiresAt: null, expired: false };
+        }
+        return {
+            name,
+            present: true,
+            expiresAt: cookie.expires ? new Date(cookie.expires * 1000).toISOString() : null,
+            expired: Boolean(cookie.expires && cookie.expires < now)
+        };
+    });
+}
+
+/**
+ * List problems that make a cookie set unusable, empty when it looks valid
+ */
+function validateCookies(cookies) {
+    const problems = [];
+    for (const cookie of describeCookies(cookies)) {
+        if (!cookie.present) {
+            problems.push(`Missing required cookie: ${cookie.name}`);
+        } else if (cookie.expired) {
+            problems.push(`Cookie ${cookie.name} expired at ${cookie.expiresAt}`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Earliest expiry of the required cookies in a cookie set, null when none of
+ * them expires before the browser session ends
+ */
+function earliestExpiry(cookies) {
+    const expiries = describeCookies(cookies).map(cookie => cookie.expiresAt).filter(Boolean).sort();
+    return expiries[0] || null;
+}
+
+/**
+ * Record when the required cookies an account's session was loaded with expire
+ */
+async function trackCookies(accountId, cookies, source) {
+    return store.update(data => {
+        const state = accountState(data, accountId);
+        state.cookieExpiry = {
+            checkedAt: new Date().toISOString(),
+            source,
+            expiresAt: earliestExpiry(cookies),
+            cookies: describeCookies(cookies).map(({ name, present, expiresAt }) => ({ name, present, expiresAt }))
+        };
+        return state;
+    });
+}
+
+/**
+ * Record that an expiry warning ('warning' or 'expired') was sent for the
+ * cookies expiring at expiresAt, so it is only sent once
+ */
+async function recordExpiryNotice(accountId, { level, expiresAt }) {
+    return store.update(data => {
+        const state = accountState(data, accountId);
+        state.expiryNotice = { level, expiresAt, sentAt: new Date().toISOString() };
+        return state;
+    });
+}
+
+/**
+ * Record the outcome of a login probe for an account
+ */
+async function recordProbe(accountId, { success, error = null, source }) {
+    return store.update(data => {
+        const state = accountState(data, accountId);
+        const at = new Date().toISOString();
+        state.lastProbe = { at, success, error, source };
+        if (success) {
+            state.lastConfirmedValidAt = at;
+        }
+        return state;
+    });
+}
+
+/**
+ * Record that an account's session was seen working, e.g. by a successful visit
+ */
+async function confirmValid(accountId) {
+    return store.update(data => {
+        const state = accountState(data, accountId);
+        state.lastConfirmedValidAt = new Date().toISOString();
+        return state;
+    });
+}
+
+/**
+ * An account's session state as last recorded
+ */
+async function getSessionState(accountId) {
+    const data = await store.read();
+    return { ...emptyState(), ...data.accounts[accountId] };
+}
+
+/**
+ * Whether the last login probe failed and nothing has confirmed the session since
+ */
+function isLoggedOut(state) {
+    const { lastProbe, lastConfirmedValidAt } = state;
+    return Boolean(lastProbe && !lastProbe.success && !(lastConfirmedValidAt && lastConfirmedValidAt > lastProbe.at));
+}
+
+/**
+ * Summarize an account's session state: logged_out after a failed probe, expired
+ * or expiring within warningDays by the tracked cookie expiry, ok otherwise, and
+ * unknown before the cookies were ever loaded or checked
+ */
+function describeSessionHealth(state, { warningDays, now = Date.now() }) {
+    const expiry = state.cookieExpiry;
+    const expiresAt = expiry ? expiry.expiresAt : null;
+    const remainingMs = expiresAt ? new Date(expiresAt).getTime() - now : null;
+    const expired = remainingMs !== null && remainingMs <= 0;
+    const expiringSoon = !expired && remainingMs !== null && remainingMs <= warningDays * DAY_MS;
+    const loggedOut = isLoggedOut(state);
+
+    let status = 'ok';
+    if (loggedOut) {
+        status = 'logged_out';
+    } else if (expired) {
+        status = 'expired';
+    } else if (expiringSoon) {
+        status = 'expiring';
+    } else if (!expiry && !state.lastProbe && !state.lastConfirmedValidAt) {
+        status = 'unknown';
+    }
+
+    return {
+        status,
+        loggedOut,
+        expired,
+        expiringSoon,
+        expiresAt,
+        expiresInDays: remainingMs === null ? null : Math.max(0, Math.floor(remainingMs / DAY_MS)),
+        warningDays,
+        cookieSource: expiry ? expiry.source : null,
+        cookiesCheckedAt: expiry ? expiry.checkedAt : null,
+        cookies: expiry
+            ? expiry.cookies.map(cookie => ({ ...cookie, expired: Boolean(cookie.expiresAt && new Date(cookie.expiresAt).getTime() <= now) }))
+            : [],
+        lastProbe: state.lastProbe,
+        lastConfirmedValidAt: state.lastConfirmedValidAt
+    };
+}
+
+module.exports = {
+    REQUIRED_COOKIES,
+    probesInProgress,
+    describeCookies,
+    validateCookies,
+    trackCookies,
+    recordExpiryNotice,
+    recordProbe,
+    confirmValid,
+    getSessionState,
+    isLoggedOut,
+    describeSessionHealth
+};
@@ -0,0 +1,236 @@
+const accounts = require('./accounts');
+const jobs = require('./jobs');
+const sessionState = require('./session');
+const webhooks = require('./webhooks');
+const { loadCookies } = require('./cookies');
+const { classifyError } = require('./failures');
+const logger = require('./logger');
+const { envInt } = require('./config');
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+// Expiry notices from the least to the most severe
+const NOTICE_LEVELS = ['warning', 'expired'];
+
+let checkTimer = null;
+let checkInProgress = null;
+
+/**
+ * Monitor settings: hours between login probes (0 turns probing off) and how
+ * many days before the cookies expire to warn
+ */
+function monitorPolicy() {
+    return {
+        probeIntervalHours: envInt('SESSION_PROBE_INTERVAL_HOURS', 6),
+        warningDays: envInt('SESSION_EXPIRY_WARNING_DAYS', 7)
+    };
+}
+
+/**
+ * When the next login probe of an account is due: a probe interval after the
+ * session was last probed or seen working, so runs going well postpone it.
+ * Null when probing is off.
+ */
+function nextProbeAt(state, { probeIntervalHours }) {
+    if (probeIntervalHours === 0) {
+        return null;
+    }
+    const last = [state.lastProbe && state.lastProbe.at, state.lastConfirmedValidAt].filter(Boolean).sort().pop();
+    return last ? new Date(new Date(last).getTime() + probeIntervalHours * HOUR_MS).toISOString() : new Date().toISOString();
+}
+
+/**
+ * An account's session health as reported by GET /status
+ */
+async function getSessionStatus(accountId) {
+    const policy = monitorPolicy();
+    const state = await sessionState.getSessionState(accountId);
+    return {
+        ...sessionState.describeSessionHealth(state, policy),
+        nextProbeAt: nextProbeAt(state, policy)
+    };
+}
+
+/**
+ * How long until the cookies expire, for messages
+ */
+function inDays(days) {
+    return days === 0 ? 'in less than a day' : `in ${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * What to do about an expired or logged-out session
+ */
+function replaceInstructions(account) {
+    const query = account.id === accounts.DEFAULT_ACCOUNT_ID ? '' : `?accountId=${account.id}`;
+    return `Upload fresh cookies with PUT /session/cookies${query}, or update the account's cookie source.`;
+}
+
+/**
+ * Warn once when the tracked cookies are about to expire, and alert once more
+ * when they have expired
+ */
+async function checkExpiry(account, health, { onAlert }) {
+    const level = health.expired ? 'expired' : health.expiringSoon ? 'warning' : null;
+    if (!level) {
+        return;
+    }
+    const { expiryNotice } = await sessionState.getSessionState(account.id);
+    if (expiryNotice && expiryNotice.expiresAt === health.expiresAt
+        && NOTICE_LEVELS.indexOf(expiryNotice.level) >= NOTICE_LEVELS.indexOf(level)) {
+        return;
+    }
+
+    const expiring = health.cookies.filter(cookie => cookie.expiresAt === health.expiresAt).map(cookie => cookie.name).join(' and ');
+    if (level === 'expired') {
+        logger.warn(`🍪 Session cookies of account '${account.id}' expired at ${health.expiresAt}`);
+        await onAlert(account, {
+            severity: 'urgent',
+            title: 'LinkedIn session cookies expired',
+            message: `The ${expiring} cookie expired at ${health.expiresAt}, so runs will fail to log in. ${replaceInstructions(account)}`
+        });
+        webhooks.publishEvent('session.expired', { accountId: account.id, data: { reason: `Cookie ${expiring} expired at ${health.expiresAt}`, url: null } });
+    } else {
+        logger.warn(`🍪 Session cookies of account '${account.id}' expire at ${health.expiresAt}, ${inDays(health.expiresInDays)}`);
+        await onAlert(account, {
+            severity: 'failure',
+            title: 'LinkedIn session expires soon',
+            message: `The ${expiring} cookie expires at ${health.expiresAt}, ${inDays(health.expiresInDays)}. ${replaceInstructions(account)}`
+        });
+    }
+    await sessionState.recordExpiryNotice(account.id, { level, expiresAt: health.expiresAt });
+}
+
+/**
+ * Probe an account's session in a throwaway browser, alerting when it was
+ * working before and is now logged out. Probes that fail for other reasons,
+ * such as a network error, are only logged.
+ */
+async function probeAccount(account, cookies, source, { probeSession, onAlert }) {
+    const before = await sessionState.getSessionState(account.id);
+    sessionState.probesInProgress.add(account.id);
+    let error = null;
+    try {
+        await probeSession(cookies);
+    } catch (probeError) {
+        error = probeError;
+    } finally {
+        sessionState.probesInProgress.delete(account.id);
+    }
+
+    if (!error) {
+        await sessionState.recordProbe(account.id, { success: true, source });
+        logger.info(`🔎 Session of account '${account.id}' is logged in`);
+        return;
+    }
+    if (classifyError(error.message) !== 'auth') {
+        logger.warn(`⚠️ Session probe of account '${account.id}' could not finish: ${error.message}`);
+        return;
+    }
+
+    await sessionState.recordProbe(account.id, { success: false, error: error.message, source });
+    logger.warn(`🚫 Session probe found account '${account.id}' logged out: ${error.message}`);
+    if (!sessionState.isLoggedOut(before)) {
+        await onAlert(account, {
+            severity: 'urgent',
+            title: 'LinkedIn session logged out',
+            message: `A session probe found the account logged out: ${error.message}\nScheduled runs will fail until the cookies are replaced. ${replaceInstructions(account)}`
+        });
+        webhooks.publishEvent('session.expired', { accountId: account.id, data: { reason: error.message, url: null } });
+    }
+}
+
+/**
+ * Check an account's session: track when its cookies expire, warn ahead of
+ * that, and probe the login when a probe is due and no run or probe of the
+ * account is in progress
+ */
+async function checkAccountSession(account, handlers) {
+    const policy = monitorPolicy();
+    let loaded;
+    try {
+        loaded = await loadCookies(account);
+    } catch (error) {
+        // A run would fail on this too, and alert about it
+        logger.warn(`⚠️ Could not load the cookies of account '${account.id}' to check its session: ${error.message}`);
+        return;
+    }
+
+    const { cookieExpiry: previous } = await sessionState.getSessionState(account.id);
+    const state = await sessionState.trackCookies(account.id, loaded.cookies, loaded.source);
+    const health = sessionState.describeSessionHealth(state, policy);
+    await checkExpiry(account, health, handlers);
+
+    // Cookies replaced after a logout are probed right away rather than at the next interval
+    const replaced = Boolean(previous && previous.expiresAt !== state.cookieExpiry.expiresAt);
+    const due = nextProbeAt(state, policy);
+    if (!due || health.expired || (new Date(due).getTime() > Date.now() && !(health.loggedOut && replaced))) {
+        return;
+    }
+    if (jobs.getActiveJob(account.id) || sessionState.probesInProgress.has(account.id)) {
+        logger.debug(`Skipping the session probe of account '${account.id}', a run or probe is in progress`);
+        return;
+    }
+    await probeAccount(account, loaded.cookies, loaded.source, handlers);
+}
+
+/**
+ * Check the session of every enabled account that is not paused, one after another
+ */
+async function checkSessions(handlers) {
+    if (checkInProgress) {
+        return checkInProgress;
+    }
+    checkInProgress = (async () => {
+        for (const account of await accounts.listAccounts({ enabled: true })) {
+            if (account.pausedAt) {
+                continue;
+            }
+            try {
+                await checkAccountSession(account, handlers);
+            } catch (error) {
+                logger.error(`❌ Session check of account '${account.id}' failed`, { error });
+            }
+        }
+    })().finally(() => {
+        checkInProgress = null;
+    });
+    return checkInProgress;
+}
+
+/**
+ * Check sessions now and then every hour. probeSession(cookies) must resolve when
+ * the cookies give a logged-in session and reject otherwise; onAlert(account, event)
+ * sends a notification.
+ */
+function startSessionMonitor(handlers) {
+    stopSessionMonitor();
+    const { probeIntervalHours, warningDays } = monitorPolicy();
+    const check = () => checkSessions(handlers).catch(error => {
+        logger.error('❌ Session check failed', { error });
+    });
+    checkTimer = setInterval(check, CHECK_INTERVAL_MS);
+    check();
+    logger.info(probeIntervalHours > 0
+        ? `🔎 Probing sessions every ${probeIntervalHours} hours, warning ${warningDays} days before cookies expire`
+        : `🔎 Session probes are off, warning ${warningDays} days before cookies expire`);
+}
+
+/**
+ * Stop checking sessions, resolving once a check in progress has finished
+ */
+async function stopSessionMonitor() {
+    if (checkTimer) {
+        clearInterval(checkTimer);
+        checkTimer = null;
+    }
+    await checkInProgress;
+}
+
+module.exports = {
+    getSessionStatus,
+    checkAccountSession,
+    checkSessions,
+    startSessionMonitor,
+    stopSessionMonitor
+};
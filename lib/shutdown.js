@@ -0,0 +1,96 @@
+const os = require('os');
+const { flushStores } = require('./store');
+const logger = require('./logger');
+
+const controller = new AbortController();
+const steps = [];
+let shutdownPromise = null;
+let handlersInstalled = false;
+
+/**
+ * Aborted once a shutdown starts: runs stop before their next profile and no
+ * new work is taken
+ */
+const shutdownSignal = controller.signal;
+
+function isShuttingDown() {
+    return controller.signal.aborted;
+}
+
+/**
+ * How long a shutdown waits for runs in progress before closing their browsers
+ */
+function shutdownTimeoutMs() {
+    const timeout = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10);
+    return Number.isFinite(timeout) && timeout > 0 ? timeout : 30000;
+}
+
+/**
+ * Add a step to run on shutdown. Steps run one after another, in the order
+ * they were added, and a failing step does not stop the others.
+ */
+function onShutdown(name, step) {
+    steps.push({ name, step });
+}
+
+/**
+ * Stop taking new work, run the shutdown steps and flush every store. Calling
+ * it again returns the shutdown already in progress.
+ */
+function shutdown(reason) {
+    if (shutdownPromise) {
+        return shutdownPromise;
+    }
+    logger.info(`🛑 ${reason}, shutting down...`);
+    controller.abort();
+
+    shutdownPromise = (async () => {
+        for (const { name, step } of steps) {
+            try {
+                await step();
+            } catch (error) {
+                logger.warn(`⚠️ Shutdown step '${name}' failed: ${error.message}`);
+            }
+        }
+        await flushStores();
+        logger.info("👋 Shutdown complete");
+    })();
+    return shutdownPromise;
+}
+
+/**
+ * Shut down gracefully on SIGTERM and SIGINT, then exit with the usual code of
+ * a process ended by the signal. A second signal, or a shutdown that hangs well
+ * past its timeout, exits straight away.
+ */
+function installSignalHandlers() {
+    if (handlersInstalled) {
+        return;
+    }
+    handlersInstalled = true;
+
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+        process.on(signal, () => {
+            const exitCode = 128 + os.constants.signals[signal];
+            if (isShuttingDown()) {
+                logger.warn(`⚠️ ${signal} received again, exiting without waiting`);
+                process.exit(exitCode);
+            }
+            setTimeout(() => {
+                logger.error("❌ Shutdown did not finish in time, exiting");
+                process.exit(exitCode);
+            }, shutdownTimeoutMs() + 15000).unref();
+
+            shutdown(`${signal} received`).finally(() => process.exit(exitCode));
+        });
+    }
+}
+
+module.exports = {
+    shutdownSignal,
+    isShuttingDown,
+    shutdownTimeoutMs,
+    onShutdown,
+    shutdown,
+    installSignalHandlers
+};
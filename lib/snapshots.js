@@ -0,0 +1,99 @@
+const { createStore } = require('./store');
+
+const SNAPSHOT_FIELDS = ['name', 'headline', 'currentPosition', 'location', 'canonicalUrl'];
+
+const store = createStore('snapshots.json', { profiles: {} });
+
+/**
+ * Whether visits capture a profile snapshot, from CAPTURE_SNAPSHOTS
+ */
+function snapshotsEnabled() {
+    return process.env.CAPTURE_SNAPSHOTS === 'true';
+}
+
+/**
+ * Maximum number of snapshots kept per profile
+ */
+function historyLimit() {
+    const limit = parseInt(process.env.SNAPSHOT_HISTORY_LIMIT, 10);
+    return Number.isFinite(limit) && limit > 0 ? limit : 50;
+}
+
+/**
+ * Read the visible profile details from a loaded profile page.
+ * Fields that cannot be found are null.
+ */
+async function extractSnapshot(page) {
+    return page.evaluate(() => {
+        const text = selectors => {
+            for (const selector of selectors) {
+                const element = document.querySelector(selector);
+                const value = element && element.textContent.replace(/\s+/g, ' ').trim();
+                if (value) {
+                    return value;
+                }
+            }
+            return null;
+        };
+
+        const canonical = document.querySelector('link[rel="canonical"]');
+        const currentCompany = document.querySelector('button[aria-label^="Current company"]');
+
+        return {
+            name: text(['main h1', 'h1.text-heading-xlarge', 'h1']),
+            headline: text(['main .text-body-medium.break-words', '.pv-text-details__left-panel .text-body-medium']),
+            currentPosition: currentCompany
+                ? currentCompany.getAttribute('aria-label').replace(/^Current company:\s*/, '').replace(/\.\s*Click.*$/, '').trim()
+                : text(['#experience ~ .pvs-list__outer-container li .t-bold span[aria-hidden="true"]']),
+            location: text(['main .text-body-small.inline.t-black--light.break-words', '.pv-text-details__left-panel .text-body-small']),
+            canonicalUrl: canonical ? canonical.href : null
+        };
+    });
+}
+
+/**
+ * Fields that changed between two snapshots. Fields missing from either side
+ * are ignored, as a missing value usually means the extraction failed.
+ */
+function diffSnapshots(previous, current) {
+    if (!previous) {
+        return [];
+    }
+    return SNAPSHOT_FIELDS
+        .filter(field => previous[field] && current[field] && previous[field] !== current[field])
+        .map(field => ({ field, from: previous[field], to: current[field] }));
+}
+
+/**
+ * Store a snapshot for a profile and return the changes since the previous one
+ */
+async function recordSnapshot(profileId, { url, runId, data }) {
+    return store.update(state => {
+        const history = state.profiles[profileId] || (state.profiles[profileId] = []);
+        const previous = history.length > 0 ? history[history.length - 1].data : null;
+        const changes = diffSnapshots(previous, data);
+
+        history.push({ capturedAt: new Date().toISOString(), runId, url, data, changes });
+        if (history.length > historyLimit()) {
+            history.splice(0, history.length - historyLimit());
+        }
+        return changes;
+    });
+}
+
+/**
+ * Snapshots of a profile, newest first
+ */
+async function getHistory(profileId) {
+    const state = await store.read();
+    return [...(state.profiles[profileId] || [])].reverse();
+}
+
+module.exports = {
+    SNAPSHOT_FIELDS,
+    snapshotsEnabled,
+    extractSnapshot,
+    diffSnapshots,
+    recordSnapshot,
+    getHistory
+};
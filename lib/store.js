@@ -0,0 +1,173 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Where persistent state is kept unless DATA_DIR says otherwise
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+/**
+ * Resolve the directory where persistent state is kept
+ */
+function dataDir() {
+    return process.env.DATA_DIR || DEFAULT_DATA_DIR;
+}
+
+/**
+ * Resolve a path inside the data directory
+ */
+function dataPath(...parts) {
+    return path.join(dataDir(), ...parts);
+}
+
+// Every store created, so pending writes can be awaited before the process exits
+const stores = [];
+
+const LOCK_RETRY_MS = 20;
+// A lock this old was left behind by a process that died while writing
+const LOCK_STALE_MS = 10000;
+
+/**
+ * Identity of a file's contents on disk, which changes with every write since
+ * writes replace the file
+ */
+async function fileVersion(filePath) {
+    try {
+        const { ino, mtimeMs, size } = await fs.stat(filePath);
+        return `${ino}:${mtimeMs}:${size}`;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Take the lock file next to a document, waiting while another process, such as
+ * the CLI next to the server, holds it. Resolves to a function releasing it.
+ */
+async function acquireLock(filePath) {
+    const lockPath = `${filePath}.lock`;
+    for (;;) {
+        try {
+            await fs.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+            return () => fs.rm(lockPath, { force: true });
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+        try {
+            const { mtimeMs } = await fs.stat(lockPath);
+            if (Date.now() - mtimeMs > LOCK_STALE_MS) {
+                await fs.rm(lockPath, { force: true });
+                continue;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            continue;
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+}
+
+/**
+ * Create a JSON document store backed by a single file in the data directory.
+ * Writes are serialized and go through a temp file + rename so a crash never
+ * leaves a half-written document behind.
+ *
+ * The document is cached, and read again once another process has written the
+ * file. Updates hold a lock file, so the server and the CLI sharing a data
+ * directory never overwrite each other's changes.
+ *
+ * An optional upgrade(data) function brings documents written by older
+ * versions up to date when they are read from disk.
+ */
+function createStore(fileName, defaultValue, { upgrade } = {}) {
+    let cache = null;
+    // fileVersion() of the file the cache was read from or written to
+    let cachedVersion = null;
+    let queue = Promise.resolve();
+    stores.push({ pending: () => queue });
+
+    async function load() {
+        const filePath = dataPath(fileName);
+        const version = await fileVersion(filePath);
+        if (cache !== null && version === cachedVersion) {
+            return cache;
+        }
+        try {
+            const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            if (upgrade) {
+                upgrade(data);
+            }
+            cache = data;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Failed to read ${filePath}: ${error.message}`);
+            }
+            cache = structuredClone(defaultValue);
+        }
+        cachedVersion = version;
+        return cache;
+    }
+
+    async function persist(data) {
+        const filePath = dataPath(fileName);
+        const tmpPath = `${filePath}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+        // The rename keeps the temp file's inode and times, so this is the version written
+        const version = await fileVersion(tmpPath);
+        await fs.rename(tmpPath, filePath);
+        cache = data;
+        cachedVersion = version;
+    }
+
+    return {
+        read: load,
+
+        /**
+         * Apply a mutation to the latest document on disk and persist it
+         */
+        update(mutator) {
+            const next = queue.then(async () => {
+                const filePath = dataPath(fileName);
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                const release = await acquireLock(filePath);
+                try {
+                    const data = await load();
+                    let result;
+                    try {
+                        result = await mutator(data);
+                    } catch (error) {
+                        // Drop whatever the mutator changed before it failed
+                        cache = null;
+                        throw error;
+                    }
+                    await persist(data);
+                    return result;
+                } finally {
+                    await release();
+                }
+            });
+            queue = next.catch(() => {});
+            return next;
+        }
+    };
+}
+
+/**
+ * Wait until the writes queued on every store so far are on disk
+ */
+async function flushStores() {
+    await Promise.all(stores.map(store => store.pending()));
+}
+
+module.exports = {
+    DEFAULT_DATA_DIR,
+    dataDir,
+    dataPath,
+    createStore,
+    flushStores
+};
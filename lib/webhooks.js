@@ -0,0 +1,511 @@
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const { httpError } = require('./errors');
+const { classifyError, backoffDelay } = require('./failures');
+const { postJson } = require('./notifiers/http');
+const logger = require('./logger');
+const { envInt } = require('./config');
+
+/**
+ * Events a webhook can subscribe to:
+ * - run.started: a run started, or an interrupted run was resumed
+ * - profile.visited: a profile was visited
+ * - visit.failed: a visit failed, after its retries
+ * - session.expired: a run or session probe found the account's session logged out,
+ *   or its cookies expired
+ * - run.finished: a run finished, with the same data runProfileVisits() returns
+ */
+const WEBHOOK_EVENT_TYPES = ['run.started', 'profile.visited', 'visit.failed', 'session.expired', 'run.finished'];
+const TEST_EVENT_TYPE = 'webhook.test';
+
+// Version of the payload layout, raised on changes that break receivers
+const PAYLOAD_VERSION = 1;
+const SECRET_PREFIX = 'whsec_';
+const EDITABLE_FIELDS = ['url', 'events', 'accountId', 'description', 'enabled'];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const store = createStore('webhooks.json', { webhooks: [] });
+const deliveryStore = createStore('webhook-deliveries.json', { deliveries: [] });
+
+// Delivery id -> timer of its next attempt
+const retryTimers = new Map();
+// Publications and attempts in progress, so the process can wait for them before exiting
+const inFlight = new Set();
+// Run id -> account id, for the run events that do not carry it
+const runAccounts = new Map();
+// Runs whose session.expired event was already published
+const expiredRuns = new Set();
+
+/**
+ * Delivery settings: attempts per event, backoff between them and the request timeout
+ */
+function deliveryPolicy() {
+    return {
+        maxAttempts: Math.max(envInt('WEBHOOK_MAX_ATTEMPTS', 5), 1),
+        baseDelayMs: envInt('WEBHOOK_RETRY_BASE_DELAY_MS', 30000),
+        maxDelayMs: envInt('WEBHOOK_RETRY_MAX_DELAY_MS', 60 * 60 * 1000),
+        timeoutMs: envInt('WEBHOOK_TIMEOUT_MS', 10000),
+        logLimit: Math.max(envInt('WEBHOOK_DELIVERY_LOG_LIMIT', 500), 1)
+    };
+}
+
+function generateSecret() {
+    return `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Signature of a request body sent at the given Unix time: the hex HMAC-SHA256,
+ * keyed with the webhook's secret, of "<timestamp>.<body>"
+ */
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Webhook fields that are safe to return, the secret reduced to its first characters
+ */
+function describeWebhook({ secret, ...webhook }) {
+    return { ...webhook, secretPrefix: secret.slice(0, SECRET_PREFIX.length + 4) };
+}
+
+/**
+ * Validate webhook fields, throwing a 400 error on the first problem
+ */
+function validateFields(fields, { partial }) {
+    const unknown = Object.keys(fields).filter(key => !EDITABLE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        throw httpError(400, `Unknown webhook fields: ${unknown.join(', ')}`);
+    }
+    if (!partial || fields.url !== undefined) {
+        let protocol = null;
+        try {
+            protocol = new URL(fields.url).protocol;
+        } catch {
+            // Reported below
+        }
+        if (!['http:', 'https:'].includes(protocol)) {
+            throw httpError(400, `Webhook url must be an http or https URL: ${fields.url}`);
+        }
+    }
+    if (fields.events !== undefined && (!Array.isArray(fields.events) || fields.events.length === 0
+        || fields.events.some(type => !WEBHOOK_EVENT_TYPES.includes(type)))) {
+        throw httpError(400, `Webhook events must be a non-empty list of ${WEBHOOK_EVENT_TYPES.join(', ')}`);
+    }
+    if (fields.accountId !== undefined && fields.accountId !== null && typeof fields.accountId !== 'string') {
+        throw httpError(400, 'Webhook accountId must be null or a string');
+    }
+    if (fields.description !== undefined && fields.description !== null && typeof fields.description !== 'string') {
+        throw httpError(400, 'Webhook description must be a string');
+    }
+    if (fields.enabled !== undefined && typeof fields.enabled !== 'boolean') {
+        throw httpError(400, 'Webhook enabled must be a boolean');
+    }
+}
+
+/**
+ * List webhooks in the order they were added
+ */
+async function listWebhooks() {
+    const data = await store.read();
+    return data.webhooks.map(describeWebhook);
+}
+
+/**
+ * Get a single webhook by id, throwing a 404 error when there is none
+ */
+async function getWebhook(id) {
+    const data = await store.read();
+    const webhook = data.webhooks.find(w => w.id === id);
+    if (!webhook) {
+        throw httpError(404, 'Webhook not found');
+    }
+    return describeWebhook(webhook);
+}
+
+/**
+ * Add a webhook, subscribed to every event type unless events is given and to
+ * the events of every account unless accountId is given. The signing secret is
+ * only returned here and by rotateSecret.
+ */
+async function createWebhook(fields) {
+    validateFields(fields, { partial: false });
+
+    return store.update(data => {
+        const now = new Date().toISOString();
+        const webhook = {
+            id: crypto.randomUUID(),
+            url: fields.url,
+            events: fields.events ?? [...WEBHOOK_EVENT_TYPES],
+            accountId: fields.accountId ?? null,
+            description: fields.description ?? null,
+            enabled: fields.enabled ?? true,
+            secret: generateSecret(),
+            createdAt: now,
+            updatedAt: now
+        };
+        data.webhooks.push(webhook);
+        return { ...describeWebhook(webhook), secret: webhook.secret };
+    });
+}
+
+/**
+ * Apply a change to a stored webhook, throwing a 404 error when there is none
+ */
+async function changeWebhook(id, change) {
+    return store.update(data => {
+        const webhook = data.webhooks.find(w => w.id === id);
+        if (!webhook) {
+            throw httpError(404, 'Webhook not found');
+        }
+        Object.assign(webhook, change(webhook), { updatedAt: new Date().toISOString() });
+        return webhook;
+    });
+}
+
+/**
+ * Update the URL, events, account, description or enabled flag of a webhook
+ */
+async function updateWebhook(id, fields) {
+    validateFields(fields, { partial: true });
+    return describeWebhook(await changeWebhook(id, () => fields));
+}
+
+/**
+ * Replace the signing secret of a webhook, returning the new one. Requests are
+ * signed with it from the next attempt on.
+ */
+async function rotateSecret(id) {
+    const webhook = await changeWebhook(id, () => ({ secret: generateSecret() }));
+    return { ...describeWebhook(webhook), secret: webhook.secret };
+}
+
+/**
+ * Remove a webhook. Its pending deliveries fail on their next attempt.
+ */
+async function deleteWebhook(id) {
+    return store.update(data => {
+        const index = data.webhooks.findIndex(w => w.id === id);
+        if (index === -1) {
+            throw httpError(404, 'Webhook not found');
+        }
+        return describeWebhook(data.webhooks.splice(index, 1)[0]);
+    });
+}
+
+/**
+ * Drop the oldest finished deliveries beyond the log limit. Pending ones are kept.
+ */
+function pruneDeliveries(data, limit) {
+    let overflow = data.deliveries.length - limit;
+    data.deliveries = data.deliveries.filter(delivery => {
+        if (overflow > 0 && delivery.status !== 'pending') {
+            overflow--;
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Queue deliveries of an event to the given webhooks and start their first attempt
+ */
+async function queueDeliveries(webhooks, payload) {
+    const policy = deliveryPolicy();
+    const deliveries = await deliveryStore.update(data => {
+        const now = new Date().toISOString();
+        const queued = webhooks.map(webhook => ({
+            id: crypto.randomUUID(),
+            webhookId: webhook.id,
+            eventId: payload.id,
+            eventType: payload.type,
+            accountId: payload.accountId,
+            runId: payload.runId,
+            status: 'pending',
+            attempts: [],
+            nextAttemptAt: now,
+            createdAt: now,
+            completedAt: null,
+            payload
+        }));
+        data.deliveries.push(...queued);
+        pruneDeliveries(data, policy.logLimit);
+        return queued;
+    });
+    return Promise.all(deliveries.map(delivery => attempt(delivery.id)));
+}
+
+/**
+ * Send an event to every enabled webhook subscribed to it, for the account's
+ * events or those of every account. Delivery failures are logged and retried,
+ * never thrown.
+ */
+async function publishEvent(type, { accountId = null, runId = null, data = {} }) {
+    if (!WEBHOOK_EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown webhook event type: ${type}`);
+    }
+    try {
+        const { webhooks } = await store.read();
+        const subscribed = webhooks.filter(webhook => webhook.enabled && webhook.events.includes(type)
+            && (webhook.accountId === null || webhook.accountId === accountId));
+        if (subscribed.length === 0) {
+            return [];
+        }
+        const payload = { id: crypto.randomUUID(), type, version: PAYLOAD_VERSION, createdAt: new Date().toISOString(), accountId, runId, data };
+        return await queueDeliveries(subscribed, payload);
+    } catch (error) {
+        logger.warn(`⚠️ Failed to publish webhook event ${type}: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Send a webhook.test event to a single webhook, even a disabled one, and
+ * return its delivery once the first attempt is made
+ */
+async function sendTestEvent(id) {
+    const data = await store.read();
+    const webhook = data.webhooks.find(w => w.id === id);
+    if (!webhook) {
+        throw httpError(404, 'Webhook not found');
+    }
+    const payload = {
+        id: crypto.randomUUID(),
+        type: TEST_EVENT_TYPE,
+        version: PAYLOAD_VERSION,
+        createdAt: new Date().toISOString(),
+        accountId: webhook.accountId,
+        runId: null,
+        data: { message: 'Test event from the LinkedIn profile visitor' }
+    };
+    const [delivery] = await queueDeliveries([webhook], payload);
+    return delivery;
+}
+
+/**
+ * Whether a failed attempt may succeed later: network errors, timeouts,
+ * 408, 429 and server errors are retried, other client errors are not
+ */
+function isRetryable(statusCode) {
+    return statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+/**
+ * Make the next attempt of a pending delivery and record its outcome, scheduling
+ * a retry with backoff when it failed and attempts are left. Returns the delivery.
+ */
+function attempt(deliveryId) {
+    return track(makeAttempt(deliveryId));
+}
+
+/**
+ * Keep track of a promise until it settles, for stopDeliveries to wait for
+ */
+function track(promise) {
+    inFlight.add(promise);
+    return promise.finally(() => inFlight.delete(promise));
+}
+
+async function makeAttempt(deliveryId) {
+    clearTimeout(retryTimers.get(deliveryId));
+    retryTimers.delete(deliveryId);
+
+    const delivery = (await deliveryStore.read()).deliveries.find(d => d.id === deliveryId);
+    if (!delivery || delivery.status !== 'pending') {
+        return delivery || null;
+    }
+    const webhook = (await store.read()).webhooks.find(w => w.id === delivery.webhookId);
+    const policy = deliveryPolicy();
+    const startedAt = new Date();
+    let statusCode = null;
+    let error = null;
+
+    if (!webhook) {
+        error = 'Webhook was deleted';
+    } else if (!webhook.enabled && delivery.eventType !== TEST_EVENT_TYPE) {
+        error = 'Webhook was disabled';
+    } else {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(startedAt.getTime() / 1000);
+        try {
+            const response = await postJson(webhook.url, body, {
+                timeoutMs: policy.timeoutMs,
+                headers: {
+                    'User-Agent': 'linkedin-profile-visitor',
+                    'X-Webhook-Id': delivery.id,
+                    'X-Webhook-Event': delivery.eventType,
+                    'X-Webhook-Version': String(PAYLOAD_VERSION),
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+                }
+            });
+            statusCode = response.status;
+            await response.arrayBuffer().catch(() => {});
+        } catch (attemptError) {
+            statusCode = attemptError.status ?? null;
+            // fetch reports network errors as "fetch failed" with the reason as the cause
+            const cause = attemptError.cause && (attemptError.cause.code || attemptError.cause.message);
+            error = cause ? `${attemptError.message}: ${cause}` : attemptError.message;
+        }
+    }
+
+    const finishedAt = new Date();
+    const updated = await deliveryStore.update(data => {
+        const stored = data.deliveries.find(d => d.id === deliveryId);
+        if (!stored) {
+            return null;
+        }
+        stored.attempts.push({ at: startedAt.toISOString(), statusCode, error, durationMs: finishedAt - startedAt });
+        if (!error) {
+            Object.assign(stored, { status: 'delivered', nextAttemptAt: null, completedAt: finishedAt.toISOString() });
+        } else if (webhook && isRetryable(statusCode) && stored.attempts.length < policy.maxAttempts) {
+            const delayMs = backoffDelay(stored.attempts.length, policy);
+            stored.nextAttemptAt = new Date(finishedAt.getTime() + delayMs).toISOString();
+        } else {
+            Object.assign(stored, { status: 'failed', nextAttemptAt: null, completedAt: finishedAt.toISOString() });
+        }
+        return stored;
+    });
+
+    if (updated && updated.status === 'pending') {
+        logger.warn(`⚠️ Webhook delivery of ${updated.eventType} to ${webhook.url} failed (attempt ${updated.attempts.length}/${policy.maxAttempts}), retrying at ${updated.nextAttemptAt}: ${error}`);
+        scheduleAttempt(updated);
+    } else if (updated && updated.status === 'failed') {
+        logger.error(`❌ Webhook delivery ${updated.id} of ${updated.eventType} failed after ${updated.attempts.length} attempt(s): ${error}`);
+    } else if (updated) {
+        logger.debug(`📨 Delivered ${updated.eventType} to ${webhook.url}`);
+    }
+    return updated;
+}
+
+/**
+ * Make the next attempt of a pending delivery at its nextAttemptAt. The timer
+ * does not keep the process alive; pending deliveries are picked up again by
+ * resumeDeliveries after a restart.
+ */
+function scheduleAttempt(delivery) {
+    clearTimeout(retryTimers.get(delivery.id));
+    const delayMs = Math.max(new Date(delivery.nextAttemptAt).getTime() - Date.now(), 0);
+    const timer = setTimeout(() => {
+        attempt(delivery.id).catch(error => {
+            logger.warn(`⚠️ Webhook delivery ${delivery.id} failed: ${error.message}`);
+        });
+    }, delayMs);
+    timer.unref();
+    retryTimers.set(delivery.id, timer);
+}
+
+/**
+ * Schedule the deliveries an earlier process left pending
+ */
+async function resumeDeliveries() {
+    const pending = (await deliveryStore.read()).deliveries.filter(delivery => delivery.status === 'pending');
+    pending.forEach(scheduleAttempt);
+    if (pending.length > 0) {
+        logger.info(`📨 Resuming ${pending.length} pending webhook deliveries`);
+    }
+    return pending.length;
+}
+
+/**
+ * Cancel the scheduled retries and wait for the attempts in progress. Retries
+ * left pending are made by the next server start.
+ */
+async function stopDeliveries() {
+    retryTimers.forEach(timer => clearTimeout(timer));
+    retryTimers.clear();
+    await Promise.allSettled([...inFlight]);
+}
+
+/**
+ * List deliveries, newest first, optionally of one webhook or with one status
+ */
+async function listDeliveries({ webhookId, status, limit, offset } = {}) {
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+        throw httpError(400, `Delivery status must be one of ${DELIVERY_STATUSES.join(', ')}`);
+    }
+    const data = await deliveryStore.read();
+    const matching = data.deliveries
+        .filter(delivery => !webhookId || delivery.webhookId === webhookId)
+        .filter(delivery => !status || delivery.status === status)
+        .reverse();
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const start = Math.max(parseInt(offset, 10) || 0, 0);
+    return { total: matching.length, limit: pageSize, offset: start, deliveries: matching.slice(start, start + pageSize) };
+}
+
+/**
+ * Send a delivery again now, whatever its status, with a fresh set of attempts.
+ * Returns the delivery once the attempt is made.
+ */
+async function redeliver(deliveryId) {
+    await deliveryStore.update(data => {
+        const delivery = data.deliveries.find(d => d.id === deliveryId);
+        if (!delivery) {
+            throw httpError(404, 'Webhook delivery not found');
+        }
+        Object.assign(delivery, { status: 'pending', attempts: [], nextAttemptAt: new Date().toISOString(), completedAt: null });
+    });
+    return attempt(deliveryId);
+}
+
+function isLoginError(message) {
+    return classifyError(message) === 'auth' || /LOGIN_ERROR:/.test(message || '');
+}
+
+/**
+ * Publish the webhook events of a run event: each progress event maps to one
+ * webhook event, and a login failure also publishes session.expired once per run
+ */
+function publishRunEvent({ type, runId, id, at, ...data }) {
+    if (type === 'started') {
+        runAccounts.set(runId, data.accountId);
+    }
+    const accountId = runAccounts.get(runId) ?? null;
+    const publish = (eventType, eventData) => track(publishEvent(eventType, { accountId, runId, data: eventData }));
+    const sessionExpired = (reason, url = null) => {
+        if (!expiredRuns.has(runId)) {
+            expiredRuns.add(runId);
+            publish('session.expired', { reason, url });
+        }
+    };
+
+    if (type === 'started') {
+        publish('run.started', { trigger: data.trigger, scheduleId: data.scheduleId ?? null, resumed: data.resumed ?? false });
+    } else if (type === 'visited') {
+        publish('profile.visited', data);
+    } else if (type === 'failed') {
+        publish('visit.failed', data);
+        if (data.category === 'auth') {
+            sessionExpired(data.error, data.url);
+        }
+    } else if (type === 'finished') {
+        if (data.status === 'failed' && isLoginError(data.error)) {
+            sessionExpired(data.error);
+        }
+        publish('run.finished', data);
+        runAccounts.delete(runId);
+        expiredRuns.delete(runId);
+    }
+}
+
+module.exports = {
+    WEBHOOK_EVENT_TYPES,
+    PAYLOAD_VERSION,
+    signPayload,
+    listWebhooks,
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    rotateSecret,
+    deleteWebhook,
+    publishEvent,
+    publishRunEvent,
+    sendTestEvent,
+    resumeDeliveries,
+    stopDeliveries,
+    listDeliveries,
+    redeliver
+};
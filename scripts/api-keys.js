@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Manage API keys from the command line, e.g. to create the first admin key:
+ *
+ *   npm run api-keys -- create <name> <viewer|operator|admin>
+ *   npm run api-keys -- list
+ *   npm run api-keys -- revoke <id>
+ */
+require('dotenv').config({ override: true });
+const auth = require('../lib/auth');
+
+async function main([command, ...args]) {
+    switch (command) {
+        case 'create': {
+            const [name, role] = args;
+            const created = await auth.createApiKey({ name, role });
+            console.log(`🔑 Created ${created.role} key '${created.name}' (${created.id})`);
+            console.log(`   ${created.key}`);
+            console.log('   Store it now, it cannot be shown again.');
+            break;
+        }
+        case 'list': {
+            const keys = await auth.listApiKeys();
+            if (keys.length === 0) {
+                console.log('No API keys');
+            }
+            for (const key of keys) {
+                console.log(`${key.id}  ${key.prefix}…  ${key.role.padEnd(8)}  ${key.name}  last used ${key.lastUsedAt || 'never'}`);
+            }
+            break;
+        }
+        case 'revoke': {
+            const revoked = await auth.revokeApiKey(args[0]);
+            console.log(`🔑 Revoked key '${revoked.name}'`);
+            break;
+        }
+        default:
+            console.log('Usage: npm run api-keys -- create <name> <role> | list | revoke <id>');
+            console.log(`Roles: ${auth.ROLES.join(', ')}`);
+            process.exitCode = command ? 1 : 0;
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+/**
+ * Validate the configuration and print the effective settings with secrets masked.
+ * Exits with status 1 when the application would refuse to start.
+ *
+ *   npm run check-config
+ *   npm run check-config -- --json
+ */
+require('dotenv').config({ override: true });
+const { loadConfig, describeConfig } = require('../lib/config');
+
+const { settings, errors, warnings } = loadConfig({ apply: false });
+const effective = describeConfig(settings);
+
+if (process.argv.includes('--json')) {
+    console.log(JSON.stringify({ valid: errors.length === 0, errors, warnings, settings: effective }, null, 2));
+} else {
+    if (process.env.CONFIG_FILE) {
+        console.log(`📄 Config file: ${process.env.CONFIG_FILE}\n`);
+    }
+    const width = Math.max(...effective.map(setting => setting.name.length));
+    let group = null;
+    for (const setting of effective) {
+        if (setting.group !== group) {
+            group = setting.group;
+            console.log(`${group}`);
+        }
+        const value = setting.value === null ? '(not set)' : setting.value;
+        console.log(`  ${setting.name.padEnd(width)}  ${value}${setting.source && setting.source !== 'env' ? `  [${setting.source}]` : ''}`);
+    }
+
+    console.log('');
+    warnings.forEach(warning => console.log(`⚠️ ${warning}`));
+    errors.forEach(error => console.log(`❌ ${error}`));
+    console.log(errors.length === 0 ? '✅ Configuration is valid' : `❌ Configuration has ${errors.length} error${errors.length === 1 ? '' : 's'}`);
+}
+
+process.exitCode = errors.length === 0 ? 0 : 1;
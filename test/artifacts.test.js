@@ -0,0 +1,42 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { setupTestEnv, removeDataDir } = require('./helpers');
+
+const dataDir = setupTestEnv();
+// The default DATA_DIR, ./data, is relative too
+process.env.DATA_DIR = path.relative(process.cwd(), dataDir);
+const { registerRunRoutes } = require('../lib/routes/runs');
+const runs = require('../lib/runs');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    const app = express();
+    registerRunRoutes(app);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    removeDataDir(dataDir);
+});
+
+test('serves artifact files from a relative data directory', async () => {
+    const run = await runs.startRun({ trigger: 'manual', accountId: 'default' });
+    const artifactDir = path.join(dataDir, 'artifacts', run.id, '001-jane-doe');
+    fs.mkdirSync(artifactDir, { recursive: true });
+    fs.writeFileSync(path.join(artifactDir, 'details.json'), JSON.stringify({ url: 'https://www.linkedin.com/in/jane-doe/' }));
+
+    const response = await fetch(`${baseUrl}/runs/${run.id}/artifacts/001-jane-doe/details.json`);
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { url: 'https://www.linkedin.com/in/jane-doe/' });
+
+    const missing = await fetch(`${baseUrl}/runs/${run.id}/artifacts/001-jane-doe/screenshot.png`);
+    assert.equal(missing.status, 404);
+});
@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { setupTestEnv, removeDataDir } = require('./helpers');
+
+const dataDir = setupTestEnv();
+const auth = require('../lib/auth');
+const { registerApiKeyRoutes } = require('../lib/routes/apiKeys');
+const { registerWebhookRoutes } = require('../lib/routes/webhooks');
+const { registerAccountRoutes } = require('../lib/routes/accounts');
+
+let server;
+let baseUrl;
+const keys = {};
+
+before(async () => {
+    for (const role of auth.ROLES) {
+        keys[role] = (await auth.createApiKey({ name: role, role })).key;
+    }
+    const app = express();
+    app.use(express.json());
+    app.use(auth.authenticate);
+    registerApiKeyRoutes(app);
+    registerWebhookRoutes(app);
+    registerAccountRoutes(app);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    removeDataDir(dataDir);
+});
+
+function request(method, path, role, body) {
+    return fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { Authorization: `Bearer ${keys[role]}`, 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+    });
+}
+
+test('requires a key', async () => {
+    const response = await fetch(`${baseUrl}/api-keys`);
+    assert.equal(response.status, 401);
+});
+
+test('admin routes refuse lower roles whatever the case of the path', async () => {
+    const attempts = [
+        ['POST', '/API-KEYS', 'operator', { name: 'escalated', role: 'admin' }],
+        ['POST', '/Api-Keys/', 'operator', { name: 'escalated', role: 'admin' }],
+        ['GET', '/api-keys', 'viewer'],
+        ['GET', '/Webhooks', 'viewer'],
+        ['GET', '/WEBHOOKS', 'operator'],
+        ['POST', '/webhooks', 'operator', { url: 'https://example.com/hook', events: ['run.finished'] }]
+    ];
+    for (const [method, path, role, body] of attempts) {
+        const response = await request(method, path, role, body);
+        assert.equal(response.status, 403, `${method} ${path} as ${role}`);
+    }
+    assert.equal((await auth.listApiKeys()).length, auth.ROLES.length);
+});
+
+test('admin keys reach admin routes whatever the case of the path', async () => {
+    assert.equal((await request('GET', '/API-KEYS', 'admin')).status, 200);
+    assert.equal((await request('GET', '/Webhooks', 'admin')).status, 200);
+});
+
+test('only admin keys can point an account at a server file, URL or email address', async () => {
+    const fileAccount = { id: 'file-read', name: 'File read', settings: { COOKIE_SOURCES: 'file', COOKIES_PATH: '/etc/passwd' } };
+    assert.equal((await request('POST', '/accounts', 'operator', fileAccount)).status, 403);
+    assert.equal((await request('PATCH', '/accounts/default', 'operator', { settings: { COOKIES_URL: 'http://169.254.169.254/' } })).status, 403);
+    assert.equal((await request('PATCH', '/accounts/default', 'operator', { settings: { SLACK_WEBHOOK_URL: 'http://127.0.0.1:6379/' } })).status, 403);
+    assert.equal((await request('PATCH', '/accounts/default', 'operator', { settings: { EMAIL_TO: 'someone@example.com' } })).status, 403);
+    assert.equal((await request('PATCH', '/accounts/default', 'operator', { settings: { NOTIFY_WEBHOOK_TOKEN: 'stolen' } })).status, 403);
+
+    assert.equal((await request('POST', '/accounts', 'operator', { id: 'quota-only', name: 'Quota only', settings: { QUOTA_DAILY_LIMIT: '10' } })).status, 201);
+    assert.equal((await request('POST', '/accounts', 'admin', fileAccount)).status, 201);
+});
@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv, removeDataDir, sessionCookies } = require('./helpers');
+
+const dataDir = setupTestEnv();
+const { setupDriver, closeBrowser, addCookie, checkLoginStatus, probeSession } = require('../index');
+const drivers = require('../lib/drivers');
+
+let browser;
+let baseUrl;
+
+/**
+ * Open a fixture page in a context of its own, logged in unless cookies is empty
+ */
+async function openFixture(path, { cookies = sessionCookies() } = {}) {
+    const context = await browser.createBrowserContext();
+    const page = await context.newPage();
+    if (cookies.length > 0) {
+        await addCookie(page, { cookies });
+    }
+    const response = await page.goto(`${baseUrl}${path}`);
+    return { page, response };
+}
+
+before(async () => {
+    browser = await setupDriver();
+    baseUrl = await drivers.linkedinBaseUrl();
+});
+
+after(async () => {
+    await closeBrowser(browser);
+    removeDataDir(dataDir);
+});
+
+test('passes on the feed of a logged-in session', async () => {
+    const { page, response } = await openFixture('/feed/');
+    assert.equal(await checkLoginStatus(page, response), true);
+});
+
+test('passes on a logged-in profile', async () => {
+    const { page, response } = await openFixture('/in/jane-doe/');
+    assert.equal(await checkLoginStatus(page, response), true);
+});
+
+test('fails with a login error on the authwall', async () => {
+    const { page, response } = await openFixture('/in/jane-doe/', { cookies: [] });
+    await assert.rejects(checkLoginStatus(page, response), /^Error: LOGIN_ERROR: Not logged in/);
+});
+
+test('fails with a login error on the too many redirects page', async () => {
+    const { page, response } = await openFixture('/in/too-many-redirects/');
+    await assert.rejects(checkLoginStatus(page, response), /^Error: LOGIN_ERROR: Too many redirects/);
+});
+
+test('fails with a challenge error on a security checkpoint', async () => {
+    const { page, response } = await openFixture('/in/checkpoint/');
+    await assert.rejects(checkLoginStatus(page, response), /^Error: CHALLENGE_ERROR: Security checkpoint/);
+});
+
+test('fails with a limit error on the usage limit page', async () => {
+    const { page, response } = await openFixture('/in/usage-limit/');
+    await assert.rejects(checkLoginStatus(page, response), /^Error: LIMIT_ERROR/);
+});
+
+test('probeSession accepts valid cookies and rejects a missing session', async () => {
+    await probeSession(sessionCookies());
+    await assert.rejects(probeSession([]), /LOGIN_ERROR/);
+});
@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCookies } = require('../lib/cookies');
+
+const SECRET = 'AQEDAR-secret-session-token';
+
+test('parses a browser extension JSON export', () => {
+    const [cookie] = parseCookies(JSON.stringify([{ name: 'li_at', value: SECRET, domain: '.linkedin.com', expirationDate: 2000000000 }]));
+    assert.deepEqual(cookie, { name: 'li_at', value: SECRET, domain: '.linkedin.com', path: '/', httpOnly: false, secure: false, expires: 2000000000 });
+});
+
+test('parses a cookies.txt file', () => {
+    const [cookie] = parseCookies(`# Netscape HTTP Cookie File\n#HttpOnly_.linkedin.com\tTRUE\t/\tTRUE\t2000000000\tli_at\t${SECRET}\n`);
+    assert.equal(cookie.name, 'li_at');
+    assert.equal(cookie.value, SECRET);
+    assert.equal(cookie.httpOnly, true);
+});
+
+test('parse errors name the entry or line without its content', () => {
+    const cases = [
+        [JSON.stringify([{ name: 'li_at', value: 'ok' }, { value: SECRET }]), /^Invalid cookie entry 2: /],
+        [`.linkedin.com\tTRUE\t/\tTRUE\t2000000000\tli_at\t${SECRET}\n${SECRET}`, /^Invalid cookies.txt line 2: /],
+        [`[{"name": "li_at", "value": ${SECRET}}]`, /^Invalid cookie JSON/]
+    ];
+    for (const [text, expected] of cases) {
+        assert.throws(() => parseCookies(text), error => {
+            assert.match(error.message, expected);
+            assert.doesNotMatch(error.message, /secret/);
+            return true;
+        });
+    }
+});
@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { setupTestEnv, removeDataDir } = require('./helpers');
+
+const dataDir = setupTestEnv();
+const email = require('../lib/notifiers/email');
+
+/**
+ * Start an SMTP server speaking just enough of the protocol to accept mail,
+ * collecting the sender, recipients and data of each message
+ */
+async function startSmtpStub() {
+    const messages = [];
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let message = null;
+        let inData = false;
+        const reply = line => socket.write(`${line}\r\n`);
+
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        messages.push(message);
+                        reply('250 Queued');
+                    } else {
+                        message.data += `${line}\n`;
+                    }
+                } else if (/^(EHLO|HELO)/i.test(line)) {
+                    reply('250 stub');
+                } else if (/^MAIL FROM:/i.test(line)) {
+                    message = { from: line.slice(10), to: [], data: '' };
+                    reply('250 OK');
+                } else if (/^RCPT TO:/i.test(line)) {
+                    message.to.push(line.slice(8));
+                    reply('250 OK');
+                } else if (/^DATA/i.test(line)) {
+                    inData = true;
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (/^QUIT/i.test(line)) {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('250 OK');
+                }
+            }
+        });
+        reply('220 stub ESMTP');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { messages, port: String(server.address().port), close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+let first;
+let second;
+
+before(async () => {
+    first = await startSmtpStub();
+    second = await startSmtpStub();
+});
+
+after(async () => {
+    await first.close();
+    await second.close();
+    removeDataDir(dataDir);
+});
+
+function smtpEnv(port, to) {
+    return { SMTP_HOST: '127.0.0.1', SMTP_PORT: port, EMAIL_FROM: 'visitor@example.com', EMAIL_TO: to };
+}
+
+test('sends each email through the SMTP server of the settings it is given', async () => {
+    const event = { severity: 'failure', title: 'Run stopped on failed profile', message: 'Failed on profile 1/1', runId: 'run-1' };
+    await email.send(event, smtpEnv(first.port, 'sales@example.com'));
+    await email.send(event, smtpEnv(second.port, 'support@example.com'));
+    await email.send({ ...event, severity: 'urgent', title: 'Login error' }, smtpEnv(first.port, 'sales@example.com'));
+
+    assert.equal(first.messages.length, 2);
+    assert.equal(second.messages.length, 1);
+    assert.deepEqual(first.messages[0].to, ['<sales@example.com>']);
+    assert.deepEqual(second.messages[0].to, ['<support@example.com>']);
+    assert.match(first.messages[0].data, /^Subject: \[LinkedIn Profile Visitor\] Run stopped on failed profile$/m);
+    assert.match(first.messages[1].data, /^Subject: \[LinkedIn Profile Visitor\] URGENT: Login error$/m);
+    assert.match(first.messages[0].data, /Run run-1/);
+});
@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv, removeDataDir } = require('./helpers');
+
+const dataDir = setupTestEnv({ PORT: '0' });
+const { setupAPI } = require('../index');
+const auth = require('../lib/auth');
+const accounts = require('../lib/accounts');
+
+let server;
+let baseUrl;
+let viewerKey;
+
+before(async () => {
+    viewerKey = (await auth.createApiKey({ name: 'viewer', role: 'viewer' })).key;
+    await accounts.createAccount({ id: 'challenged', name: 'Challenged' });
+    await accounts.pauseAccount('challenged', 'CHALLENGE_ERROR: Security checkpoint');
+    server = setupAPI();
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    removeDataDir(dataDir);
+});
+
+test('only reports the status to callers without a key', async () => {
+    for (const headers of [{}, { Authorization: 'Bearer lpv_invalid' }]) {
+        const response = await fetch(`${baseUrl}/health`, { headers });
+        assert.equal(response.status, 503);
+        assert.deepEqual(await response.json(), { status: 'degraded' });
+    }
+});
+
+test('reports the reasons and accounts to callers with a key', async () => {
+    const response = await fetch(`${baseUrl}/health`, { headers: { Authorization: `Bearer ${viewerKey}` } });
+    const health = await response.json();
+
+    assert.equal(response.status, 503);
+    assert.match(health.reasons.join('\n'), /Account 'challenged' is paused/);
+    assert.ok(health.accounts.some(account => account.id === 'challenged'));
+});
+
+test('serves the dashboard shell without a key, but not the data it shows', async () => {
+    const page = await fetch(`${baseUrl}/dashboard/`);
+    assert.equal(page.status, 200);
+    assert.match(page.headers.get('content-type'), /^text\/html/);
+
+    assert.equal((await fetch(`${baseUrl}/runs`)).status, 401);
+    assert.equal((await fetch(`${baseUrl}/runs`, { headers: { Authorization: `Bearer ${viewerKey}` } })).status, 200);
+});
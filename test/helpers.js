@@ -0,0 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Session cookies the fixture server accepts as logged in, valid for a year
+ */
+function sessionCookies() {
+    const expirationDate = Math.floor(Date.now() / 1000) + 365 * 24 * 60 * 60;
+    return [
+        { name: 'li_at', value: 'test-session', domain: '.linkedin.com', expirationDate },
+        { name: 'JSESSIONID', value: '"ajax:0000000000000000000"', domain: '.linkedin.com', expirationDate }
+    ];
+}
+
+/**
+ * Point the app at an empty data directory, the simulation driver and its
+ * fixture server, with the session cookies of sessionCookies(). Call it before
+ * requiring the app: test files each run in a process of their own, and modules
+ * read part of their settings when they are loaded. Returns the data directory.
+ */
+function setupTestEnv(env = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'linkedin-visitor-test-'));
+    for (const name of Object.keys(process.env)) {
+        if (/^(QUOTA_|SLACK_|DISCORD_|NOTIFY_|EMAIL_|SMTP_|COOKIES|API_)/.test(name) || name === 'LINKEDIN_BASE_URL' || name === 'URLS') {
+            delete process.env[name];
+        }
+    }
+    Object.assign(process.env, {
+        DATA_DIR: dataDir,
+        BROWSER_DRIVER: 'simulation',
+        LOG_LEVEL: 'error',
+        COOKIE_SOURCES: 'env',
+        COOKIES: JSON.stringify(sessionCookies()),
+        ...env
+    });
+    return dataDir;
+}
+
+/**
+ * Remove a data directory made by setupTestEnv()
+ */
+function removeDataDir(dataDir) {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+}
+
+module.exports = {
+    sessionCookies,
+    setupTestEnv,
+    removeDataDir
+};
@@ -0,0 +1,92 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnv, removeDataDir } = require('./helpers');
+
+const dataDir = setupTestEnv();
+const profiles = require('../lib/profiles');
+const { normalizeProfileUrl, parseProfileImport } = require('../lib/profileUrls');
+
+after(() => removeDataDir(dataDir));
+
+test('normalizes and merges the profiles saved before URLs were normalized', async () => {
+    const saved = (id, url, fields = {}) => ({
+        id,
+        accountId: 'default',
+        url,
+        label: null,
+        notes: null,
+        enabled: true,
+        createdAt: '2026-01-01T00:00:00.000Z',
+        updatedAt: '2026-01-01T00:00:00.000Z',
+        ...fields
+    });
+    fs.writeFileSync(path.join(dataDir, 'profiles.json'), JSON.stringify({
+        seeded: true,
+        profiles: [
+            saved('oldest', 'https://www.linkedin.com/in/Jane-Doe/', {
+                enabled: false,
+                unavailable: { state: 'profile_unavailable', reason: 'Private', runId: null, flaggedAt: '2026-01-02T00:00:00.000Z' }
+            }),
+            saved('other', 'linkedin.com/in/john-smith?trk=feed'),
+            saved('duplicate', 'https://uk.linkedin.com/in/jane-doe', { label: 'Jane' }),
+            saved('other-account', 'https://www.linkedin.com/in/jane-doe/', { accountId: 'second' })
+        ]
+    }));
+
+    const list = await profiles.listProfiles();
+    assert.deepEqual(list.map(profile => [profile.id, profile.url]), [
+        ['oldest', 'https://www.linkedin.com/in/jane-doe'],
+        ['other', 'https://www.linkedin.com/in/john-smith'],
+        ['other-account', 'https://www.linkedin.com/in/jane-doe']
+    ]);
+    const [oldest] = list;
+    assert.equal(oldest.enabled, false);
+    assert.equal(oldest.unavailable.state, 'profile_unavailable');
+    assert.equal(oldest.label, 'Jane');
+});
+
+test('normalizes profile URLs and refuses those of another kind', () => {
+    assert.equal(normalizeProfileUrl('m.linkedin.com/mwlite/in/Jane-Doe/details/experience/#top').url, 'https://www.linkedin.com/in/jane-doe');
+    assert.equal(normalizeProfileUrl('https://www.linkedin.com/in/jane-doe').normalized, false);
+    assert.match(normalizeProfileUrl('https://www.linkedin.com/company/acme/').error, /company page/);
+    assert.match(normalizeProfileUrl('https://lnkd.in/abc').error, /shortened/);
+});
+
+test('adds a profile once whatever form its URL is given in', async () => {
+    const profile = await profiles.createProfile({ accountId: 'create', url: 'www.linkedin.com/in/ada-lovelace?utm_source=share' });
+    assert.equal(profile.url, 'https://www.linkedin.com/in/ada-lovelace');
+    await assert.rejects(
+        profiles.createProfile({ accountId: 'create', url: 'https://www.linkedin.com/in/Ada-Lovelace/' }),
+        error => error.status === 409
+    );
+});
+
+test('imports the URL column of a LinkedIn connections CSV', async () => {
+    await profiles.createProfile({ accountId: 'import', url: 'https://www.linkedin.com/in/existing-one' });
+    const csv = [
+        'Notes:',
+        '"When exporting your connection data, you may notice that some of the email addresses are missing."',
+        '',
+        'First Name,Last Name,URL,Email Address,Company,Position,Connected On',
+        'Jane,Doe,https://www.linkedin.com/in/jane-doe,,Acme,Engineer,01 Oct 2026',
+        'Jane,Doe,https://www.linkedin.com/in/Jane-Doe/,,Acme,Engineer,01 Oct 2026',
+        'Old,Friend,https://www.linkedin.com/in/existing-one/,,,,01 Oct 2026',
+        'Acme,,https://www.linkedin.com/company/acme,,,,01 Oct 2026',
+        'John,Smith,linkedin.com/in/john-smith?trk=csv,,,,01 Oct 2026'
+    ].join('\n');
+
+    const report = await profiles.importProfiles(parseProfileImport(csv), { accountId: 'import' });
+
+    assert.deepEqual(
+        { total: report.total, accepted: report.accepted, normalized: report.normalized, duplicates: report.duplicates, rejected: report.rejected },
+        { total: 5, accepted: 2, normalized: 1, duplicates: 2, rejected: 1 }
+    );
+    assert.deepEqual(report.added.map(entry => [entry.url, entry.label]), [
+        ['https://www.linkedin.com/in/jane-doe', 'Jane Doe'],
+        ['https://www.linkedin.com/in/john-smith', 'John Smith']
+    ]);
+    assert.match(report.rejectedEntries[0].reason, /company page/);
+    assert.equal((await profiles.listProfiles({ accountId: 'import' })).length, 3);
+});
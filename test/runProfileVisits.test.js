@@ -0,0 +1,202 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnv, removeDataDir, sessionCookies } = require('./helpers');
+
+const dataDir = setupTestEnv({ VISIT_RETRY_BASE_DELAY_MS: '50' });
+const { runProfileVisits } = require('../index');
+const accounts = require('../lib/accounts');
+const profiles = require('../lib/profiles');
+const runs = require('../lib/runs');
+const sessionState = require('../lib/session');
+
+after(() => removeDataDir(dataDir));
+
+/**
+ * Create an account of its own for a test, logged in with the fixture cookies,
+ * with a profile for each slug
+ */
+async function accountWithProfiles(id, slugs, settings = {}) {
+    const account = await accounts.createAccount({
+        id,
+        name: id,
+        settings: { COOKIE_SOURCES: 'env', COOKIES: JSON.stringify(sessionCookies()), ...settings }
+    });
+    for (const slug of slugs) {
+        await profiles.createProfile({ accountId: id, url: `https://www.linkedin.com/in/${slug}/` });
+    }
+    return account;
+}
+
+test('visits every enabled profile and records the run', async () => {
+    await accountWithProfiles('all-visited', ['jane-doe', 'john-smith']);
+    const result = await runProfileVisits({ accountId: 'all-visited' });
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.successCount, 2);
+    const run = await runs.getRun(result.runId);
+    assert.equal(run.status, 'success');
+    assert.deepEqual(run.visits.map(visit => visit.success), [true, true]);
+    assert.ok((await sessionState.getSessionState('all-visited')).lastConfirmedValidAt);
+});
+
+test('skips and flags profiles that do not exist', async () => {
+    await accountWithProfiles('with-missing', ['not-found', 'jane-doe']);
+    const result = await runProfileVisits({ accountId: 'with-missing' });
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.successCount, 1);
+    assert.equal(result.skippedCount, 1);
+    const [flagged] = await profiles.listProfiles({ accountId: 'with-missing' });
+    assert.equal(flagged.unavailable.state, 'not_found');
+});
+
+test('skips and flags unavailable profiles, and later runs do not visit them', async () => {
+    await accountWithProfiles('with-unavailable', ['unavailable', 'jane-doe']);
+    const first = await runProfileVisits({ accountId: 'with-unavailable' });
+
+    assert.equal(first.status, 'success');
+    assert.equal(first.successCount, 1);
+    assert.equal(first.skippedCount, 1);
+    const [flagged] = await profiles.listProfiles({ accountId: 'with-unavailable' });
+    assert.equal(flagged.unavailable.state, 'profile_unavailable');
+
+    const second = await runProfileVisits({ accountId: 'with-unavailable' });
+    assert.match(second.results[0].reason, /^Flagged as unavailable/);
+});
+
+test('aborts the run on a login error without visiting the remaining profiles', async () => {
+    await accountWithProfiles('logged-out', ['authwall', 'jane-doe']);
+    const result = await runProfileVisits({ accountId: 'logged-out' });
+
+    assert.equal(result.status, 'failed');
+    assert.equal(result.results.length, 1);
+    assert.equal(result.results[0].category, 'auth');
+    assert.equal((await runs.getRun(result.runId)).visits.length, 1);
+});
+
+test('retries a transient failure after a backoff delay and records one success', async () => {
+    await accountWithProfiles('retried', ['flaky-retried']);
+    const result = await runProfileVisits({ accountId: 'retried' });
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.successCount, 1);
+    assert.equal(result.results[0].attempts, 2);
+    const [visit] = (await runs.getRun(result.runId)).visits;
+    assert.equal(visit.success, true);
+    assert.equal(visit.attempts, 2);
+    assert.ok(visit.durationMs >= 50);
+});
+
+test('stops on a failure without continueOnError, and visits the rest with it', async t => {
+    process.env.VISIT_RETRIES = '0';
+    t.after(() => delete process.env.VISIT_RETRIES);
+
+    await accountWithProfiles('stopped', ['flaky-stopped', 'jane-doe']);
+    const stopped = await runProfileVisits({ accountId: 'stopped', continueOnError: false });
+    assert.equal(stopped.status, 'failed');
+    assert.equal(stopped.results.length, 1);
+    assert.equal(stopped.results[0].category, 'transient');
+
+    await accountWithProfiles('continued', ['flaky-continued', 'jane-doe']);
+    const continued = await runProfileVisits({ accountId: 'continued', continueOnError: true });
+    assert.equal(continued.status, 'partial');
+    assert.deepEqual(continued.results.map(visit => visit.success), [false, true]);
+});
+
+test('fails before visiting when no session cookies can be loaded', async () => {
+    await accountWithProfiles('no-session', ['jane-doe'], { COOKIES: '[]' });
+    const result = await runProfileVisits({ accountId: 'no-session' });
+
+    assert.equal(result.status, 'failed');
+    assert.match(result.message, /^Failed to start browser session/);
+});
+
+test('fails the run with a configuration error on broken page state rules', async t => {
+    const rulesPath = path.join(dataDir, 'broken-rules.json');
+    fs.writeFileSync(rulesPath, '{ "rules": [');
+    process.env.PAGE_STATE_RULES_PATH = rulesPath;
+    t.after(() => delete process.env.PAGE_STATE_RULES_PATH);
+
+    await accountWithProfiles('broken-rules', ['jane-doe', 'john-smith']);
+    const result = await runProfileVisits({ accountId: 'broken-rules' });
+
+    assert.equal(result.status, 'failed');
+    assert.match(result.message, /^Configuration error: Failed to read page state rules/);
+    const run = await runs.getRun(result.runId);
+    assert.equal(run.error, result.message);
+    assert.equal(run.visits.length, 0);
+});
+
+test('pauses the account on a security challenge', async () => {
+    await accountWithProfiles('challenged', ['checkpoint', 'jane-doe']);
+    const result = await runProfileVisits({ accountId: 'challenged' });
+
+    assert.equal(result.status, 'failed');
+    assert.equal(result.results[0].category, 'challenge');
+    assert.ok((await accounts.getAccount('challenged')).pausedAt);
+});
+
+test('aborts the run on a usage limit even with continueOnError', async () => {
+    await accountWithProfiles('usage-limit', ['usage-limit', 'jane-doe']);
+    const result = await runProfileVisits({ accountId: 'usage-limit', continueOnError: true });
+
+    assert.equal(result.status, 'failed');
+    assert.equal(result.results.length, 1);
+    assert.equal(result.results[0].category, 'limit');
+});
+
+test('skips profiles visited within the revisit interval', async () => {
+    await accountWithProfiles('revisits', ['jane-doe'], { QUOTA_REVISIT_HOURS: '24' });
+    await runProfileVisits({ accountId: 'revisits' });
+    const result = await runProfileVisits({ accountId: 'revisits' });
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.successCount, 0);
+    assert.equal(result.skippedCount, 1);
+});
+
+test('stops before the first profile once cancelled', async () => {
+    await accountWithProfiles('cancelled', ['jane-doe']);
+    const controller = new AbortController();
+    controller.abort();
+    const result = await runProfileVisits({ accountId: 'cancelled', signal: controller.signal });
+
+    assert.equal(result.status, 'cancelled');
+    assert.equal(result.processedUrls, 0);
+});
+
+test('still skips an unavailable profile deleted during the run', async () => {
+    await accountWithProfiles('deleted-mid-run', ['unavailable', 'jane-doe']);
+    const [unavailable] = await profiles.listProfiles({ accountId: 'deleted-mid-run' });
+    const onProgress = ({ currentUrl }) => {
+        if (currentUrl === unavailable.url) {
+            profiles.deleteProfile(unavailable.id);
+        }
+    };
+    const result = await runProfileVisits({ accountId: 'deleted-mid-run', onProgress });
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.skippedCount, 1);
+    assert.equal(result.successCount, 1);
+});
+
+test('a resumed run only visits the profiles left in its checkpoint', async () => {
+    await accountWithProfiles('resumed', ['jane-doe', 'john-smith', 'ada-lovelace']);
+    const urls = (await profiles.listProfiles({ accountId: 'resumed' })).map(profile => profile.url);
+    const run = await runs.startRun({ trigger: 'manual', accountId: 'resumed' });
+    await runs.setCheckpoint(run.id, urls);
+    const now = new Date().toISOString();
+    await runs.recordVisit(run.id, { url: urls[0], success: true, startedAt: now, finishedAt: now });
+    const interrupted = await runs.finishRun(run.id, { status: 'interrupted', error: 'Interrupted by shutdown' });
+
+    const result = await runProfileVisits({ accountId: 'resumed', resumeRun: interrupted });
+
+    assert.equal(result.runId, run.id);
+    assert.equal(result.status, 'success');
+    const resumed = await runs.getRun(run.id);
+    assert.deepEqual(resumed.visits.map(visit => visit.url), urls);
+    assert.equal(resumed.resumeCount, 1);
+    assert.equal(resumed.checkpoint, null);
+});
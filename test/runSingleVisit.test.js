@@ -0,0 +1,96 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const os = require('os');
+const { setupTestEnv, removeDataDir, sessionCookies } = require('./helpers');
+
+const dataDir = setupTestEnv();
+const { runSingleVisit } = require('../index');
+const accounts = require('../lib/accounts');
+const runs = require('../lib/runs');
+const jobs = require('../lib/jobs');
+const { subscribeAllRunEvents } = require('../lib/events');
+
+after(() => removeDataDir(dataDir));
+
+/**
+ * Create an account of its own for a test, logged in with the fixture cookies
+ */
+async function loggedInAccount(id, settings = {}) {
+    return accounts.createAccount({
+        id,
+        name: id,
+        settings: { COOKIE_SOURCES: 'env', COOKIES: JSON.stringify(sessionCookies()), ...settings }
+    });
+}
+
+test('visits the profile and records it as a run', async () => {
+    await loggedInAccount('single');
+    const result = await runSingleVisit('https://www.linkedin.com/in/jane-doe/', { accountId: 'single' });
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.success, true);
+    const run = await runs.getRun(result.runId);
+    assert.equal(run.trigger, 'cli');
+    assert.equal(run.visits.length, 1);
+});
+
+test('skips a profile visited within the revisit interval', async () => {
+    await loggedInAccount('single-revisit', { QUOTA_REVISIT_HOURS: '24' });
+    await runSingleVisit('https://www.linkedin.com/in/jane-doe/', { accountId: 'single-revisit' });
+    const result = await runSingleVisit('https://www.linkedin.com/in/jane-doe/', { accountId: 'single-revisit' });
+
+    assert.equal(result.skipped, true);
+    assert.match(result.reason, /^Visited less than 24 hours ago/);
+    const run = await runs.getRun(result.runId);
+    assert.equal(run.status, 'success');
+    assert.equal(run.visits[0].skipped, true);
+});
+
+test('skips visits past the daily cap', async () => {
+    await loggedInAccount('single-capped', { QUOTA_DAILY_LIMIT: '1' });
+    await runSingleVisit('https://www.linkedin.com/in/jane-doe/', { accountId: 'single-capped' });
+    const result = await runSingleVisit('https://www.linkedin.com/in/john-smith/', { accountId: 'single-capped' });
+
+    assert.equal(result.skipped, true);
+    assert.match(result.reason, /^Daily cap of 1 visits reached/);
+});
+
+test('holds the account run lock while visiting', async () => {
+    await loggedInAccount('single-busy');
+    let startDuringVisit = null;
+    const unsubscribe = subscribeAllRunEvents(event => {
+        if (event.type === 'started' && event.accountId === 'single-busy') {
+            try {
+                jobs.startJob({ trigger: 'manual', accountId: 'single-busy' }, async () => ({ success: true }));
+            } catch (error) {
+                startDuringVisit = error;
+            }
+        }
+    });
+    try {
+        const result = await runSingleVisit('https://www.linkedin.com/in/jane-doe/', { accountId: 'single-busy' });
+        assert.equal(result.success, true);
+    } finally {
+        unsubscribe();
+    }
+
+    assert.equal(startDuringVisit && startDuringVisit.status, 409);
+    assert.equal(jobs.getActiveJob('single-busy'), null);
+});
+
+test('refuses an account another process is running', async () => {
+    await loggedInAccount('single-locked');
+    const other = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 60000)']);
+    try {
+        const run = await runs.startRun({ trigger: 'schedule', accountId: 'single-locked' });
+        await runs.updateRun(run.id, { owner: { hostname: os.hostname(), pid: other.pid } });
+
+        await assert.rejects(
+            runSingleVisit('https://www.linkedin.com/in/jane-doe/', { accountId: 'single-locked' }),
+            error => error.status === 409 && error.message.includes(`process ${other.pid}`)
+        );
+    } finally {
+        other.kill();
+    }
+});
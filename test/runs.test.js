@@ -0,0 +1,67 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const { setupTestEnv, removeDataDir } = require('./helpers');
+
+const dataDir = setupTestEnv();
+const runs = require('../lib/runs');
+
+after(() => removeDataDir(dataDir));
+
+/**
+ * Start a run of an account and hand it to a process of another host, its
+ * checkpoint last refreshed ageMs ago
+ */
+async function runOfOtherHost(accountId, ageMs) {
+    const run = await runs.startRun({ trigger: 'schedule', accountId });
+    await runs.updateRun(run.id, {
+        owner: { hostname: 'other-host', pid: process.pid },
+        checkpoint: { remaining: ['https://www.linkedin.com/in/jane-doe/'], updatedAt: new Date(Date.now() - ageMs).toISOString() }
+    });
+    return run;
+}
+
+test('a run of another host with a recent checkpoint is still going', async () => {
+    const run = await runOfOtherHost('other-host-live', 60 * 1000);
+
+    assert.ok(!(await runs.listInterruptedRuns()).some(interrupted => interrupted.id === run.id));
+    await assert.rejects(
+        runs.startRun({ trigger: 'cli', accountId: 'other-host-live' }),
+        error => error.status === 409 && error.message.includes('on other-host')
+    );
+});
+
+test('a run of another host whose checkpoint went stale counts as crashed', async () => {
+    const run = await runOfOtherHost('other-host-stale', 10 * 60 * 1000);
+
+    assert.ok((await runs.listInterruptedRuns()).some(interrupted => interrupted.id === run.id));
+    const resumed = await runs.resumeRun(run.id);
+    assert.equal(resumed.owner.hostname, os.hostname());
+    assert.ok(Date.now() - new Date(resumed.checkpoint.updatedAt).getTime() < 60 * 1000);
+});
+
+test('touchCheckpoint refreshes the checkpoint of a run in progress only', async () => {
+    const run = await runOfOtherHost('touched', 10 * 60 * 1000);
+    await runs.touchCheckpoint(run.id);
+    assert.ok(!(await runs.listInterruptedRuns()).some(interrupted => interrupted.id === run.id));
+
+    const finished = await runs.finishRun(run.id, { status: 'interrupted' });
+    const { updatedAt } = finished.checkpoint;
+    await runs.touchCheckpoint(run.id);
+    assert.equal((await runs.getRun(run.id)).checkpoint.updatedAt, updatedAt);
+});
+
+test('a run interrupted by a shutdown keeps its checkpoint, other runs drop it', async () => {
+    const urls = ['https://www.linkedin.com/in/jane-doe/', 'https://www.linkedin.com/in/john-smith/'];
+    const interrupted = await runs.startRun({ trigger: 'manual', accountId: 'checkpoints' });
+    await runs.setCheckpoint(interrupted.id, urls);
+    await runs.recordVisit(interrupted.id, { url: urls[0], success: true, startedAt: new Date().toISOString(), finishedAt: new Date().toISOString() });
+
+    const finished = await runs.finishRun(interrupted.id, { status: 'interrupted', error: 'Interrupted by shutdown' });
+    assert.deepEqual(finished.checkpoint.remaining, [urls[1]]);
+    assert.ok((await runs.listInterruptedRuns()).some(run => run.id === interrupted.id));
+
+    const cancelled = await runs.startRun({ trigger: 'manual', accountId: 'checkpoints' });
+    await runs.setCheckpoint(cancelled.id, urls);
+    assert.equal((await runs.finishRun(cancelled.id, { status: 'cancelled' })).checkpoint, null);
+});
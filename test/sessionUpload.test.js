@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { setupTestEnv, removeDataDir, sessionCookies } = require('./helpers');
+
+const dataDir = setupTestEnv();
+const { registerSessionRoutes } = require('../lib/routes/session');
+const session = require('../lib/session');
+
+let server;
+let baseUrl;
+let probeResult;
+
+before(async () => {
+    const app = express();
+    app.use(express.json());
+    registerSessionRoutes(app, { probeSession: async () => probeResult() });
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    removeDataDir(dataDir);
+});
+
+function uploadCookies() {
+    return fetch(`${baseUrl}/session/cookies`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(sessionCookies())
+    });
+}
+
+test('stores uploaded cookies that pass the login probe', async () => {
+    probeResult = () => {};
+    const response = await uploadCookies();
+    assert.equal(response.status, 200);
+    const state = await session.getSessionState('default');
+    assert.equal(state.lastProbe.success, true);
+    assert.equal(state.cookieExpiry.source, 'uploaded');
+});
+
+test('rejects cookies that fail the login probe and leaves the session state alone', async () => {
+    await session.recordProbe('default', { success: true, source: 'env' });
+    const before = await session.getSessionState('default');
+
+    probeResult = () => {
+        throw new Error('LOGIN_ERROR: Not logged in - authentication required');
+    };
+    const response = await uploadCookies();
+    assert.equal(response.status, 422);
+    assert.match((await response.json()).error, /^Login probe failed, cookies not stored/);
+
+    const after = await session.getSessionState('default');
+    assert.deepEqual(after, before);
+    assert.equal(session.isLoggedOut(after), false);
+});
@@ -0,0 +1,32 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv, removeDataDir } = require('./helpers');
+const { startFixtureServer } = require('../lib/drivers/fixtureServer');
+
+const dataDir = setupTestEnv();
+const simulation = require('../lib/drivers/simulation');
+const { classifyError } = require('../lib/failures');
+
+let fixtures;
+let browser;
+
+before(async () => {
+    fixtures = await startFixtureServer({ slowMs: 2000 });
+    browser = await simulation.launch();
+});
+
+after(async () => {
+    await browser.close();
+    await fixtures.close();
+    removeDataDir(dataDir);
+});
+
+test('times out on the slow profile, a transient failure', async () => {
+    const context = await browser.createBrowserContext();
+    const page = await context.newPage();
+    await page.setCookie({ name: 'li_at', value: 'test-session', domain: '127.0.0.1' });
+
+    const error = await page.goto(`${fixtures.url}/in/slow/`, { timeout: 200 }).catch(caught => caught);
+    assert.match(error.message, /^Navigation timeout of 200 ms exceeded/);
+    assert.equal(classifyError(error.message), 'transient');
+});
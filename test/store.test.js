@@ -0,0 +1,56 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const path = require('path');
+const { promisify } = require('util');
+const { setupTestEnv, removeDataDir } = require('./helpers');
+
+const dataDir = setupTestEnv();
+const { createStore } = require('../lib/store');
+const accounts = require('../lib/accounts');
+
+const ROOT = path.join(__dirname, '..');
+const run = promisify(execFile);
+
+after(() => removeDataDir(dataDir));
+
+/**
+ * Run code in another process sharing the data directory, like the CLI next to the server
+ */
+function inOtherProcess(code) {
+    return run(process.execPath, ['-e', code], { cwd: ROOT, env: process.env });
+}
+
+test('reads changes another process wrote and keeps them when updating', async () => {
+    const store = createStore('shared.json', { items: [] });
+    await store.update(data => data.items.push('server'));
+
+    await inOtherProcess(`require('./lib/store').createStore('shared.json', { items: [] }).update(data => data.items.push('cli'))`);
+    assert.deepEqual((await store.read()).items, ['server', 'cli']);
+
+    await store.update(data => data.items.push('server again'));
+    const { stdout } = await inOtherProcess(`require('./lib/store').createStore('shared.json', { items: [] }).read().then(data => console.log(JSON.stringify(data.items)))`);
+    assert.deepEqual(JSON.parse(stdout), ['server', 'cli', 'server again']);
+});
+
+test('updates from two processes at once are all kept', async () => {
+    const store = createStore('counter.json', { count: 0 });
+    const increments = 40;
+    const other = inOtherProcess(`
+        const store = require('./lib/store').createStore('counter.json', { count: 0 });
+        Promise.all(Array.from({ length: ${increments} }, () => store.update(data => { data.count++; })));
+    `);
+    await Promise.all(Array.from({ length: increments }, () => store.update(data => {
+        data.count++;
+    })));
+    await other;
+    assert.equal((await store.read()).count, increments * 2);
+});
+
+test('an account resumed with the CLI can run again in the server', async () => {
+    await accounts.pauseAccount(accounts.DEFAULT_ACCOUNT_ID, 'CHALLENGE_ERROR: Security checkpoint');
+    assert.ok((await accounts.requireAccount(accounts.DEFAULT_ACCOUNT_ID)).pausedAt);
+
+    await run(process.execPath, ['cli.js', 'accounts', 'resume', accounts.DEFAULT_ACCOUNT_ID], { cwd: ROOT, env: process.env });
+    assert.equal((await accounts.requireAccount(accounts.DEFAULT_ACCOUNT_ID)).pausedAt, null);
+});
@@ -0,0 +1,130 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { setupTestEnv, removeDataDir } = require('./helpers');
+
+const dataDir = setupTestEnv({
+    WEBHOOK_MAX_ATTEMPTS: '3',
+    WEBHOOK_RETRY_BASE_DELAY_MS: '20',
+    WEBHOOK_RETRY_MAX_DELAY_MS: '100'
+});
+const webhooks = require('../lib/webhooks');
+
+let server;
+let receiverUrl;
+// Path -> requests received, and the status codes to answer them with in turn
+const received = new Map();
+const responses = new Map();
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            const requests = received.get(req.url) || [];
+            requests.push({ headers: req.headers, body });
+            received.set(req.url, requests);
+            const statuses = responses.get(req.url) || [200];
+            res.writeHead(statuses[Math.min(requests.length, statuses.length) - 1]);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await webhooks.stopDeliveries();
+    server.close();
+    removeDataDir(dataDir);
+});
+
+/**
+ * Subscribe a receiver path to the events of an account of its own, answering
+ * its requests with the given status codes in turn
+ */
+async function receiver(name, statuses = [200]) {
+    responses.set(`/${name}`, statuses);
+    return webhooks.createWebhook({ url: `${receiverUrl}/${name}`, accountId: name });
+}
+
+/**
+ * Wait until a delivery is no longer pending, returning it
+ */
+async function settled(deliveryId) {
+    for (;;) {
+        const { deliveries } = await webhooks.listDeliveries({ limit: 100 });
+        const delivery = deliveries.find(d => d.id === deliveryId);
+        if (delivery.status !== 'pending') {
+            return delivery;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+test('signs each request with the webhook secret', async () => {
+    const webhook = await receiver('signed');
+    const [delivery] = await webhooks.publishEvent('run.started', { accountId: 'signed', runId: 'run-1', data: { trigger: 'manual' } });
+
+    assert.equal(delivery.status, 'delivered');
+    const [{ headers, body }] = received.get('/signed');
+    const timestamp = headers['x-webhook-timestamp'];
+    const expected = `sha256=${crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex')}`;
+    assert.equal(headers['x-webhook-signature'], expected);
+    assert.equal(headers['x-webhook-id'], delivery.id);
+    assert.equal(headers['x-webhook-event'], 'run.started');
+    assert.deepEqual(JSON.parse(body), delivery.payload);
+});
+
+test('retries a delivery after a server error', async () => {
+    await receiver('flaky', [503, 200]);
+    const [first] = await webhooks.publishEvent('run.finished', { accountId: 'flaky', runId: 'run-2', data: { status: 'success' } });
+
+    assert.equal(first.status, 'pending');
+    const delivery = await settled(first.id);
+    assert.equal(delivery.status, 'delivered');
+    assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [503, 200]);
+    const [original, retry] = received.get('/flaky');
+    assert.equal(retry.headers['x-webhook-id'], original.headers['x-webhook-id']);
+});
+
+test('gives up after the last attempt', async () => {
+    await receiver('down', [500]);
+    const [first] = await webhooks.publishEvent('run.finished', { accountId: 'down', runId: 'run-3', data: { status: 'success' } });
+
+    const delivery = await settled(first.id);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts.length, 3);
+});
+
+test('does not retry a delivery the receiver rejected', async () => {
+    await receiver('rejecting', [400, 200]);
+    const [delivery] = await webhooks.publishEvent('visit.failed', { accountId: 'rejecting', runId: 'run-4', data: { url: 'https://www.linkedin.com/in/jane-doe' } });
+
+    assert.equal(delivery.status, 'failed');
+    assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [400]);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(received.get('/rejecting').length, 1);
+});
+
+test('records every delivery and its attempts in the delivery log', async () => {
+    const webhook = await receiver('logged', [200, 400]);
+    await webhooks.publishEvent('run.started', { accountId: 'logged', runId: 'run-5', data: {} });
+    await webhooks.publishEvent('run.finished', { accountId: 'logged', runId: 'run-5', data: {} });
+
+    const log = await webhooks.listDeliveries({ webhookId: webhook.id });
+    assert.equal(log.total, 2);
+    assert.deepEqual(log.deliveries.map(delivery => [delivery.eventType, delivery.runId, delivery.status]), [
+        ['run.finished', 'run-5', 'failed'],
+        ['run.started', 'run-5', 'delivered']
+    ]);
+    const [rejected, delivered] = log.deliveries;
+    assert.equal(rejected.attempts[0].statusCode, 400);
+    assert.ok(rejected.attempts[0].error);
+    assert.ok(rejected.completedAt);
+    assert.equal(delivered.attempts[0].error, null);
+    assert.equal((await webhooks.listDeliveries({ webhookId: webhook.id, status: 'failed' })).total, 1);
+});